@@ -2,12 +2,23 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { pool } = require('./db');
+const { DRAW_RESULTS } = require('./public/game-logic.js');
 
 const router = express.Router();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-change-this';
 const JWT_EXPIRES_IN = '7d';
 
+// Decode a token issued at login or signup: { userId, username }, or null if it is invalid or expired
+function verifyToken(token) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.userId ? { userId: decoded.userId, username: decoded.username } : null;
+  } catch {
+    return null;
+  }
+}
+
 // Signup
 router.post('/signup', async (req, res) => {
   const { username, password } = req.body;
@@ -206,7 +217,8 @@ router.get('/stats', async (req, res) => {
     const stats = {
       white: { wins: 0, losses: 0, draws: 0 },
       black: { wins: 0, losses: 0, draws: 0 },
-      total: { wins: 0, losses: 0, draws: 0, totalGames: 0 }
+      total: { wins: 0, losses: 0, draws: 0, totalGames: 0 },
+      drawsByResult: {}
     };
     const eloHistory = [];
 
@@ -214,9 +226,12 @@ router.get('/stats', async (req, res) => {
       const playedAs = game.played_as;
       const winner = game.winner;
 
-      if (winner === 'draw' || game.result === 'stalemate') {
+      if (winner === 'draw' || DRAW_RESULTS.includes(game.result)) {
         stats[playedAs].draws++;
         stats.total.draws++;
+        // Older games only stored 'draw' as the result
+        const drawResult = DRAW_RESULTS.includes(game.result) ? game.result : 'draw';
+        stats.drawsByResult[drawResult] = (stats.drawsByResult[drawResult] || 0) + 1;
       } else if (winner === playedAs) {
         stats[playedAs].wins++;
         stats.total.wins++;
@@ -250,4 +265,4 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-module.exports = router;
+module.exports = { router, verifyToken };
@@ -0,0 +1,44 @@
+// Correspondence game helpers for Kalas Random Chess
+
+// Correspondence tables give each side a number of days per move
+const CORRESPONDENCE_DAYS = [1, 2, 3, 5, 7];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Deadline for the player to move, who gets the table's days from now
+ * @param {number} days - Days per move
+ * @param {number} now - Current time (ms)
+ * @returns {number} Deadline (ms)
+ */
+function getMoveDeadline(days, now) {
+    return now + days * DAY_MS;
+}
+
+/**
+ * Decide a correspondence game whose player to move may have run out of days: a player who has
+ * not made a first move only gets the game aborted, anyone else loses it
+ * @param {object} correspondence - The game's { days, deadline } (deadline null before the game starts)
+ * @param {KalasRandomChess} game - The game being played
+ * @param {number} now - Current time (ms)
+ * @returns {object|null} { outcome: 'abort' | 'timeout', loser, winner } or null while there is time left
+ */
+function adjudicateCorrespondence(correspondence, game, now) {
+    if (correspondence.deadline === null || correspondence.deadline > now) return null;
+
+    const loser = game.currentTurn;
+    if (game.canAbort(loser)) return { outcome: 'abort', loser, winner: null };
+    return { outcome: 'timeout', loser, winner: loser === 'white' ? 'black' : 'white' };
+}
+
+/**
+ * Order a player's correspondence games: games waiting for their move first, then games waiting
+ * for the opponent, then their open tables; within each group the nearest deadline first
+ * @param {object[]} myGames - Entries with state ('waiting' or 'playing'), yourMove and deadline (ms, null if none)
+ * @returns {object[]} The same array, sorted
+ */
+function sortMyGames(myGames) {
+    const rank = (g) => (g.yourMove ? 0 : g.state === 'playing' ? 1 : 2);
+    return myGames.sort((a, b) => rank(a) - rank(b) || (a.deadline ?? Infinity) - (b.deadline ?? Infinity));
+}
+
+module.exports = { getMoveDeadline, adjudicateCorrespondence, sortMyGames, CORRESPONDENCE_DAYS, DAY_MS };
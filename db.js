@@ -84,6 +84,116 @@ async function initializeDatabase() {
       END $$;
     `);
 
+    // Add position ID column if it doesn't exist (migration)
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                       WHERE table_name = 'games' AND column_name = 'position_id') THEN
+          ALTER TABLE games ADD COLUMN position_id VARCHAR(16);
+        END IF;
+      END $$;
+    `);
+
+    // Add PGN column if it doesn't exist (migration)
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                       WHERE table_name = 'games' AND column_name = 'pgn') THEN
+          ALTER TABLE games ADD COLUMN pgn TEXT;
+        END IF;
+      END $$;
+    `);
+
+    // Add rules column if it doesn't exist (migration)
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                       WHERE table_name = 'games' AND column_name = 'rules') THEN
+          ALTER TABLE games ADD COLUMN rules JSONB;
+        END IF;
+      END $$;
+    `);
+
+    // Add balance score column if it doesn't exist (migration)
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                       WHERE table_name = 'games' AND column_name = 'balance_score') THEN
+          ALTER TABLE games ADD COLUMN balance_score INTEGER;
+        END IF;
+      END $$;
+    `);
+
+    // Add handicap flag column if it doesn't exist (migration)
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                       WHERE table_name = 'games' AND column_name = 'handicap') THEN
+          ALTER TABLE games ADD COLUMN handicap BOOLEAN NOT NULL DEFAULT FALSE;
+        END IF;
+      END $$;
+    `);
+
+    // Add time control increment columns if they don't exist (migration)
+    // time_increment is in seconds per move, given as clock_mode says ('fischer', 'bronstein', 'delay')
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                       WHERE table_name = 'games' AND column_name = 'time_increment') THEN
+          ALTER TABLE games ADD COLUMN time_increment INTEGER NOT NULL DEFAULT 0;
+          ALTER TABLE games ADD COLUMN clock_mode VARCHAR(10) NOT NULL DEFAULT 'fischer';
+        END IF;
+      END $$;
+    `);
+
+    // Add correspondence columns if they don't exist (migration)
+    // Correspondence games are saved while still on: status is 'waiting' or 'playing' until the
+    // result is saved, state holds the game and move_deadline ends the turn of the player to move
+    // (live games use status and state the same way, with 'paused' while a player is away)
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                       WHERE table_name = 'games' AND column_name = 'correspondence_days') THEN
+          ALTER TABLE games ADD COLUMN correspondence_days INTEGER;
+          ALTER TABLE games ADD COLUMN status VARCHAR(10) NOT NULL DEFAULT 'finished';
+          ALTER TABLE games ADD COLUMN state JSONB;
+          ALTER TABLE games ADD COLUMN move_deadline TIMESTAMP;
+        END IF;
+      END $$;
+    `);
+
+    // Add state version column if it doesn't exist (migration)
+    // Games in play are saved after every move; the version keeps a late save from overwriting a newer one
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                       WHERE table_name = 'games' AND column_name = 'state_version') THEN
+          ALTER TABLE games ADD COLUMN state_version INTEGER NOT NULL DEFAULT 0;
+        END IF;
+      END $$;
+    `);
+
+    // Add private table columns if they don't exist (migration)
+    // Private tables are left out of the lobby; creator_color is the colour the creator chose (NULL for random)
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                       WHERE table_name = 'games' AND column_name = 'private') THEN
+          ALTER TABLE games ADD COLUMN private BOOLEAN NOT NULL DEFAULT FALSE;
+          ALTER TABLE games ADD COLUMN creator_color VARCHAR(5);
+        END IF;
+      END $$;
+    `);
+
     console.log('Database tables initialized');
   } catch (err) {
     console.error('Error initializing database:', err);
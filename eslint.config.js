@@ -24,6 +24,8 @@ module.exports = [
                 test: 'readonly',
                 expect: 'readonly',
                 beforeEach: 'readonly',
+                afterEach: 'readonly',
+                jest: 'readonly',
             },
         },
         rules: {
@@ -65,12 +67,21 @@ module.exports = [
                 Array: 'readonly',
                 Object: 'readonly',
                 String: 'readonly',
+                URL: 'readonly',
+                URLSearchParams: 'readonly',
+                navigator: 'readonly',
+                Blob: 'readonly',
+                Uint8Array: 'readonly',
+                Int8Array: 'readonly',
+                Int32Array: 'readonly',
                 // Socket.io
                 io: 'readonly',
                 // Game modules (loaded via script tags)
                 KalasRandomChess: 'readonly',
+                Bitboards: 'readonly',
                 PIECES: 'readonly',
                 PIECE_GLYPHS: 'readonly',
+                PROMOTION_PIECES: 'readonly',
                 ChessBoardUI: 'readonly',
                 ChessAI: 'readonly',
                 UI: 'readonly',
@@ -81,11 +92,12 @@ module.exports = [
                 joinTable: 'readonly',
                 // Node.js for dual-environment files
                 module: 'readonly',
+                require: 'readonly',
             },
         },
         rules: {
             'no-undef': 'error',
-            'no-unused-vars': ['warn', { argsIgnorePattern: '^_', varsIgnorePattern: '^(PIECE_GLYPHS|PIECE_VALUES|Sounds|joinTable|startAIGame)$' }],
+            'no-unused-vars': ['warn', { argsIgnorePattern: '^_', varsIgnorePattern: '^(PIECE_GLYPHS|PIECE_VALUES|Sounds|joinTable|openMyGame|cancelMyTable|spectateGame|acceptChallenge|declineChallenge|startAIGame)$' }],
             'no-const-assign': 'error',
             'no-dupe-keys': 'error',
             'no-duplicate-case': 'error',
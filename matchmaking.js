@@ -0,0 +1,65 @@
+// Quick Pair matchmaking rules for Kalas Random Chess
+
+// Queued players are paired when their ratings are within a window that starts at MATCH_ELO_WINDOW
+// points and widens by MATCH_ELO_WINDOW_GROWTH for every MATCH_WINDOW_STEP they have waited
+const MATCH_ELO_WINDOW = 100;
+const MATCH_ELO_WINDOW_GROWTH = 50;
+const MATCH_ELO_WINDOW_MAX = 800;
+const MATCH_WINDOW_STEP = 10 * 1000;
+
+/**
+ * Rating window of a queued player, widening with the time they have waited
+ * @param {object} entry - Queue entry with joinedAt (ms)
+ * @param {number} now - Current time (ms)
+ * @returns {number} Largest rating gap the player accepts
+ */
+function getMatchWindow(entry, now) {
+    const steps = Math.floor((now - entry.joinedAt) / MATCH_WINDOW_STEP);
+    return Math.min(MATCH_ELO_WINDOW + steps * MATCH_ELO_WINDOW_GROWTH, MATCH_ELO_WINDOW_MAX);
+}
+
+/**
+ * Whether two queued players can be paired: different accounts (two tabs of one player never meet),
+ * same time control, each rating within the other's window, and guests only with guests unless
+ * the guest asked to play registered players too
+ * @param {object} a - Queue entry with key, joinedAt, userId (null for guests), elo, isGuest and allowRegistered
+ * @param {object} b - The other queue entry
+ * @param {number} now - Current time (ms)
+ * @returns {boolean}
+ */
+function canPairQueued(a, b, now) {
+    if (a.key !== b.key) return false;
+    if (a.userId && a.userId === b.userId) return false;
+    if (a.isGuest !== b.isGuest && !(a.isGuest ? a.allowRegistered : b.allowRegistered)) return false;
+    const gap = Math.abs(a.elo - b.elo);
+    return gap <= getMatchWindow(a, now) && gap <= getMatchWindow(b, now);
+}
+
+/**
+ * Pair queued players, longest waiting first, each with the closest rating they can be paired with
+ * @param {object[]} queue - Queue entries in joining order
+ * @param {number} now - Current time (ms)
+ * @returns {Array<[object, object]>} Pairs of [longer waiting entry, opponent]
+ */
+function findQueuePairs(queue, now) {
+    const paired = new Set();
+    const pairs = [];
+    for (const entry of queue) {
+        if (paired.has(entry)) continue;
+        let opponent = null;
+        for (const other of queue) {
+            if (other === entry || paired.has(other) || !canPairQueued(entry, other, now)) continue;
+            if (!opponent || Math.abs(entry.elo - other.elo) < Math.abs(entry.elo - opponent.elo)) {
+                opponent = other;
+            }
+        }
+        if (!opponent) continue;
+
+        paired.add(entry);
+        paired.add(opponent);
+        pairs.push([entry, opponent]);
+    }
+    return pairs;
+}
+
+module.exports = { getMatchWindow, canPairQueued, findQueuePairs, MATCH_ELO_WINDOW, MATCH_ELO_WINDOW_MAX };
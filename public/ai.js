@@ -1,12 +1,33 @@
 // Kalas Random Chess - AI Engine
 
+// Shared game constants: script globals in the browser, required on the server
+const { PIECES: AI_PIECES, PROMOTION_PIECES: AI_PROMOTION_PIECES } = typeof window === 'undefined'
+    ? require('./game-logic.js')
+    : { PIECES, PROMOTION_PIECES };
+const { Bitboards: AIBitboards } = typeof window === 'undefined'
+    ? require('./bitboards.js')
+    : { Bitboards };
+
 class ChessAI {
     constructor(difficulty = 'medium') {
         this.difficulty = difficulty;
         this.maxDepth = this.getDepthForDifficulty();
         this.positionsEvaluated = 0;
+        this.squareScores = this.buildSquareScores();
+        this.searchBitboards = null; // Snapshot kept in step with a running search's moves
+        this.moveLists = []; // Packed move list for each search depth (see getSearchMoves)
+        this.undoRecords = []; // What makeSearchMove changed, for each search depth
+        this.generatedMoves = new Int32Array(ChessAI.MAX_SEARCH_MOVES);
     }
 
+    // Room in a packed move list: more than any position's moves, with each promotion
+    // counted once per promotion piece
+    static MAX_SEARCH_MOVES = 512;
+
+    // Bits of a packed search move above the Bitboards move flags holding its promotion piece
+    // (1 + its index in PROMOTION_PIECES, 0 if it does not promote)
+    static PROMOTION_SHIFT = 20;
+
     // Set difficulty and adjust parameters
     setDifficulty(difficulty) {
         this.difficulty = difficulty;
@@ -25,12 +46,12 @@ class ChessAI {
 
     // Piece values for evaluation
     static PIECE_VALUES = {
-        '♙': 100, '♟': -100,   // Pawns
-        '♘': 320, '♞': -320,   // Knights
-        '♗': 330, '♝': -330,   // Bishops
-        '♖': 500, '♜': -500,   // Rooks
-        '♕': 900, '♛': -900,   // Queens
-        '♔': 20000, '♚': -20000 // Kings
+        'P': 100, 'p': -100,   // Pawns
+        'N': 320, 'n': -320,   // Knights
+        'B': 330, 'b': -330,   // Bishops
+        'R': 500, 'r': -500,   // Rooks
+        'Q': 900, 'q': -900,   // Queens
+        'K': 20000, 'k': -20000 // Kings
     };
 
     // Piece-square tables for positional evaluation
@@ -106,13 +127,13 @@ class ChessAI {
         let table;
         const pieceType = piece.toLowerCase();
 
-        switch (piece) {
-            case '♙': case '♟': table = ChessAI.PAWN_TABLE; break;
-            case '♘': case '♞': table = ChessAI.KNIGHT_TABLE; break;
-            case '♗': case '♝': table = ChessAI.BISHOP_TABLE; break;
-            case '♖': case '♜': table = ChessAI.ROOK_TABLE; break;
-            case '♕': case '♛': table = ChessAI.QUEEN_TABLE; break;
-            case '♔': case '♚': table = ChessAI.KING_TABLE; break;
+        switch (pieceType) {
+            case 'p': table = ChessAI.PAWN_TABLE; break;
+            case 'n': table = ChessAI.KNIGHT_TABLE; break;
+            case 'b': table = ChessAI.BISHOP_TABLE; break;
+            case 'r': table = ChessAI.ROOK_TABLE; break;
+            case 'q': table = ChessAI.QUEEN_TABLE; break;
+            case 'k': table = ChessAI.KING_TABLE; break;
             default: return 0;
         }
 
@@ -124,6 +145,19 @@ class ChessAI {
         return isWhite ? table[adjustedIndex] : -table[adjustedIndex];
     }
 
+    // Material plus positional value of every piece on every square, laid out for
+    // Bitboards.sumPieceValues so evaluation needs one lookup per piece
+    buildSquareScores() {
+        const scores = new Int32Array(12 * 64);
+        for (const piece of Object.keys(ChessAI.PIECE_VALUES)) {
+            const isWhite = piece === piece.toUpperCase();
+            for (let i = 0; i < 64; i++) {
+                scores[AIBitboards.pieceSlot(piece) * 64 + i] = ChessAI.PIECE_VALUES[piece] + this.getPieceSquareValue(piece, i, isWhite);
+            }
+        }
+        return scores;
+    }
+
     // Evaluate the board position
     // Positive = good for white, Negative = good for black
     evaluatePosition(game) {
@@ -133,52 +167,34 @@ class ChessAI {
             return 0; // Stalemate
         }
 
-        let score = 0;
-
-        // Material and positional evaluation
-        for (let i = 0; i < 64; i++) {
-            const piece = game.board[i];
-            if (!piece) continue;
-
-            const isWhite = game.isWhitePiece(piece);
+        // A variant win (e.g. King of the Hill) is as good as mate
+        const variantResult = game.getVariantResult();
+        if (variantResult) {
+            return variantResult.winner === 'white' ? 100000 : -100000;
+        }
 
-            // Material value
-            score += ChessAI.PIECE_VALUES[piece] || 0;
+        // One snapshot of the position for the material, mobility and check terms
+        const bitboards = this.searchBitboards || game.getBitboards();
 
-            // Positional value
-            score += this.getPieceSquareValue(piece, i, isWhite);
-        }
+        // Material and positional evaluation
+        let score = bitboards.sumPieceValues(this.squareScores);
 
         // Mobility bonus (number of legal moves)
-        const currentTurn = game.currentTurn;
-
-        // Count moves for current player
-        let whiteMobility = 0;
-        let blackMobility = 0;
-
-        for (let i = 0; i < 64; i++) {
-            const piece = game.board[i];
-            if (!piece) continue;
-
-            // Temporarily set turn to count moves
-            if (game.isWhitePiece(piece)) {
-                game.currentTurn = 'white';
-                whiteMobility += game.getValidMoves(i).length;
-            } else {
-                game.currentTurn = 'black';
-                blackMobility += game.getValidMoves(i).length;
-            }
-        }
-
-        // Restore turn
-        game.currentTurn = currentTurn;
+        const whiteMobility = game.countValidMoves('white', bitboards);
+        const blackMobility = game.countValidMoves('black', bitboards);
 
         // Add mobility bonus (small weight)
         score += (whiteMobility - blackMobility) * 5;
 
         // Check bonus
-        if (game.isInCheck('black')) score += 50;
-        if (game.isInCheck('white')) score -= 50;
+        if (game.isInCheck('black', bitboards)) score += 50;
+        if (game.isInCheck('white', bitboards)) score -= 50;
+
+        // Variant-specific goals
+        const variant = game.getVariantModule();
+        if (variant && variant.evaluatePosition) {
+            score += variant.evaluatePosition(game);
+        }
 
         // Add small random factor for easy mode to make it less predictable
         if (this.difficulty === 'easy') {
@@ -194,56 +210,192 @@ class ChessAI {
         const originalTurn = game.currentTurn;
         game.currentTurn = color;
 
-        for (let i = 0; i < 64; i++) {
-            const piece = game.board[i];
-            if (!piece) continue;
-            if (game.getPieceColor(piece) !== color) continue;
-
-            const pieceMoves = game.getValidMoves(i);
-            for (const move of pieceMoves) {
-                moves.push({
-                    from: i,
-                    to: move.to,
-                    isCapture: move.isCapture
-                });
+        for (const move of game.getAllValidMoves(this.searchBitboards)) {
+            if (move.isPromotion) {
+                // One candidate per promotion piece so underpromotions are searched too
+                for (const promotion of AI_PROMOTION_PIECES) {
+                    moves.push({
+                        from: move.from,
+                        to: move.to,
+                        isCapture: move.isCapture,
+                        promotion: promotion
+                    });
+                }
+                continue;
             }
+            moves.push({
+                from: move.from,
+                to: move.to,
+                isCapture: move.isCapture
+            });
         }
 
         game.currentTurn = originalTurn;
         return moves;
     }
 
+    // Packed moves for a colour in a search position, written to the list kept for this depth in
+    // getAllMoves order (captures first, one move per promotion piece); returns how many there are
+    getSearchMoves(game, color, depth) {
+        if (!this.moveLists[depth]) this.moveLists[depth] = new Int32Array(ChessAI.MAX_SEARCH_MOVES);
+        const moves = this.moveLists[depth];
+        const generated = this.generatedMoves;
+        const originalTurn = game.currentTurn;
+        game.currentTurn = color;
+        const generatedCount = game.addValidMoves(generated, 0, this.searchBitboards);
+        game.currentTurn = originalTurn;
+
+        let count = 0;
+        for (let pass = 0; pass < 2; pass++) {
+            const capture = pass === 0 ? AIBitboards.MOVE_CAPTURE : 0;
+            for (let i = 0; i < generatedCount; i++) {
+                const move = generated[i];
+                if ((move & AIBitboards.MOVE_CAPTURE) !== capture) continue;
+                if ((move & AIBitboards.MOVE_PROMOTION) === 0) {
+                    moves[count++] = move;
+                    continue;
+                }
+                for (let p = 1; p <= AI_PROMOTION_PIECES.length; p++) {
+                    moves[count++] = move | (p << ChessAI.PROMOTION_SHIFT);
+                }
+            }
+        }
+        return count;
+    }
+
+    // Promotion piece of a packed search move, or null
+    static getSearchPromotion(move) {
+        const index = move >>> ChessAI.PROMOTION_SHIFT;
+        return index === 0 ? null : AI_PROMOTION_PIECES[index - 1];
+    }
+
     // Make a temporary move and return undo function
-    makeTemporaryMove(game, from, to) {
+    makeTemporaryMove(game, from, to, promotion = null) {
+        const record = {};
+        this.makeSearchMove(game, from, to, promotion, record);
+        return () => this.unmakeSearchMove(game, record);
+    }
+
+    // Make a move inside a search, noting in record what unmakeSearchMove needs to take it back
+    // (the search reuses one record per depth, so its moves allocate nothing)
+    makeSearchMove(game, from, to, promotion, record) {
         const capturedPiece = game.board[to];
         const movedPiece = game.board[from];
-        const oldTurn = game.currentTurn;
-        const oldMoveNumber = game.moveNumber;
-
-        game.board[to] = movedPiece;
-        game.board[from] = null;
+        const oldCastlingRights = game.castlingRights;
+
+        // Castling is the king moving onto its own rook
+        const isCastling = capturedPiece !== null &&
+            (movedPiece === AI_PIECES.WHITE_KING || movedPiece === AI_PIECES.BLACK_KING) &&
+            game.getPieceColor(capturedPiece) === game.getPieceColor(movedPiece);
+        const backRow = from >> 3;
+        const kingside = (to & 7) > (from & 7);
+        const kingTo = backRow * 8 + (kingside ? 6 : 2);
+        const rookTo = backRow * 8 + (kingside ? 5 : 3);
+
+        record.from = from;
+        record.to = to;
+        record.movedPiece = movedPiece;
+        record.capturedPiece = capturedPiece;
+        record.isCastling = isCastling;
+        record.kingTo = kingTo;
+        record.rookTo = rookTo;
+        record.displacedByKing = isCastling ? game.board[kingTo] : null;
+        record.displacedByRook = isCastling ? game.board[rookTo] : null;
+        record.castlingRights = oldCastlingRights;
+        record.turn = game.currentTurn;
+        record.moveNumber = game.moveNumber;
+        record.turnCount = game.turnCount;
+
+        if (isCastling) {
+            game.board[from] = null;
+            game.board[to] = null;
+            game.board[kingTo] = movedPiece;
+            game.board[rookTo] = capturedPiece;
+        } else {
+            game.board[to] = movedPiece;
+            game.board[from] = null;
+        }
+        // Rights only change while someone has some (they are all null without the castling rule)
+        if (this.hasCastlingRights(oldCastlingRights)) {
+            game.castlingRights = {
+                white: { ...oldCastlingRights.white },
+                black: { ...oldCastlingRights.black }
+            };
+            game.updateCastlingRights({ piece: movedPiece, from, to });
+        }
 
         // Handle pawn promotion
-        let promoted = false;
-        if ((movedPiece === '♙' && game.getRow(to) === 7) ||
-            (movedPiece === '♟' && game.getRow(to) === 0)) {
-            game.board[to] = game.isWhitePiece(movedPiece) ? '♕' : '♛';
-            promoted = true;
+        if ((movedPiece === AI_PIECES.WHITE_PAWN && (to >> 3) === 7) ||
+            (movedPiece === AI_PIECES.BLACK_PAWN && (to >> 3) === 0)) {
+            game.board[to] = game.getPromotionPiece(promotion, game.getPieceColor(movedPiece));
         }
 
+        // Keep the search's snapshot in step with the board
+        if (this.searchBitboards) this.syncSearchBitboards(game, from, to, isCastling, kingTo, rookTo);
+
         // Switch turn
         if (game.currentTurn === 'black') {
             game.moveNumber++;
         }
         game.currentTurn = game.currentTurn === 'white' ? 'black' : 'white';
+        game.turnCount++; // Keeps the capture restriction right during the search
+
+        // Let the variant see the move (e.g. to count checks)
+        const variant = game.getVariantModule();
+        record.variantMove = variant && (variant.afterMove || variant.undoMove)
+            ? { from, to, piece: movedPiece, captured: capturedPiece }
+            : null;
+        if (variant && variant.afterMove) {
+            variant.afterMove(game, record.variantMove);
+        }
+    }
 
-        // Return undo function
-        return () => {
-            game.board[from] = movedPiece;
-            game.board[to] = capturedPiece;
-            game.currentTurn = oldTurn;
-            game.moveNumber = oldMoveNumber;
-        };
+    // Take back the move makeSearchMove noted in record
+    unmakeSearchMove(game, record) {
+        const variant = game.getVariantModule();
+        if (variant && variant.undoMove) {
+            variant.undoMove(game, record.variantMove);
+        }
+        if (record.isCastling) {
+            game.board[record.kingTo] = record.displacedByKing;
+            game.board[record.rookTo] = record.displacedByRook;
+        }
+        game.board[record.from] = record.movedPiece;
+        game.board[record.to] = record.capturedPiece;
+        if (this.searchBitboards) {
+            this.syncSearchBitboards(game, record.from, record.to, record.isCastling, record.kingTo, record.rookTo);
+        }
+        game.castlingRights = record.castlingRights;
+        game.currentTurn = record.turn;
+        game.moveNumber = record.moveNumber;
+        game.turnCount = record.turnCount;
+    }
+
+    // Check if either side still has a castling right
+    hasCastlingRights(rights) {
+        return rights.white.kingside !== null || rights.white.queenside !== null ||
+            rights.black.kingside !== null || rights.black.queenside !== null;
+    }
+
+    // Reload the squares a temporary move (or its undo) changed into the search's snapshot
+    syncSearchBitboards(game, from, to, isCastling, kingTo, rookTo) {
+        this.searchBitboards.loadSquare(game.board, from);
+        this.searchBitboards.loadSquare(game.board, to);
+        if (isCastling) {
+            this.searchBitboards.loadSquare(game.board, kingTo);
+            this.searchBitboards.loadSquare(game.board, rookTo);
+        }
+    }
+
+    // Run a search with its own bitboard snapshot of the game, which makeTemporaryMove keeps up
+    // to date so the positions searched never need loading from the board
+    withSearchBitboards(game, search) {
+        this.searchBitboards = new AIBitboards(game.board).trackPieceValues(this.squareScores);
+        try {
+            return search();
+        } finally {
+            this.searchBitboards = null;
+        }
     }
 
     // Minimax with alpha-beta pruning
@@ -251,15 +403,23 @@ class ChessAI {
         this.positionsEvaluated++;
 
         // Terminal conditions
+        const variantResult = game.getVariantResult();
+        if (variantResult) {
+            return variantResult.winner === 'white' ? 100000 - (this.maxDepth - depth) : -100000 + (this.maxDepth - depth);
+        }
         if (depth === 0) {
             return this.evaluatePosition(game);
         }
 
         const color = isMaximizing ? 'white' : 'black';
-        const moves = this.getAllMoves(game, color);
+        // Moves come packed and ordered for alpha-beta pruning, captures first
+        const moveCount = this.getSearchMoves(game, color, depth);
+        const moves = this.moveLists[depth];
+        if (!this.undoRecords[depth]) this.undoRecords[depth] = {};
+        const record = this.undoRecords[depth];
 
         // No moves available - check for checkmate/stalemate
-        if (moves.length === 0) {
+        if (moveCount === 0) {
             if (game.isInCheck(color)) {
                 // Checkmate - worst possible score
                 return isMaximizing ? -100000 + (this.maxDepth - depth) : 100000 - (this.maxDepth - depth);
@@ -268,21 +428,14 @@ class ChessAI {
             return 0;
         }
 
-        // Order moves to improve alpha-beta pruning
-        // Captures first, then by piece value
-        moves.sort((a, b) => {
-            if (a.isCapture && !b.isCapture) return -1;
-            if (!a.isCapture && b.isCapture) return 1;
-            return 0;
-        });
-
         if (isMaximizing) {
             let maxEval = -Infinity;
 
-            for (const move of moves) {
-                const undo = this.makeTemporaryMove(game, move.from, move.to);
+            for (let i = 0; i < moveCount; i++) {
+                const move = moves[i];
+                this.makeSearchMove(game, move & 63, (move >> 6) & 63, ChessAI.getSearchPromotion(move), record);
                 const evalScore = this.minimax(game, depth - 1, alpha, beta, false);
-                undo();
+                this.unmakeSearchMove(game, record);
 
                 maxEval = Math.max(maxEval, evalScore);
                 alpha = Math.max(alpha, evalScore);
@@ -294,10 +447,11 @@ class ChessAI {
         } else {
             let minEval = Infinity;
 
-            for (const move of moves) {
-                const undo = this.makeTemporaryMove(game, move.from, move.to);
+            for (let i = 0; i < moveCount; i++) {
+                const move = moves[i];
+                this.makeSearchMove(game, move & 63, (move >> 6) & 63, ChessAI.getSearchPromotion(move), record);
                 const evalScore = this.minimax(game, depth - 1, alpha, beta, true);
-                undo();
+                this.unmakeSearchMove(game, record);
 
                 minEval = Math.min(minEval, evalScore);
                 beta = Math.min(beta, evalScore);
@@ -338,23 +492,25 @@ class ChessAI {
             return 0;
         });
 
-        for (const move of moves) {
-            const undo = this.makeTemporaryMove(game, move.from, move.to);
-            const score = this.minimax(game, this.maxDepth - 1, -Infinity, Infinity, !isMaximizing);
-            undo();
+        this.withSearchBitboards(game, () => {
+            for (const move of moves) {
+                const undo = this.makeTemporaryMove(game, move.from, move.to, move.promotion);
+                const score = this.minimax(game, this.maxDepth - 1, -Infinity, Infinity, !isMaximizing);
+                undo();
 
-            if (isMaximizing) {
-                if (score > bestScore) {
-                    bestScore = score;
-                    bestMove = move;
-                }
-            } else {
-                if (score < bestScore) {
-                    bestScore = score;
-                    bestMove = move;
+                if (isMaximizing) {
+                    if (score > bestScore) {
+                        bestScore = score;
+                        bestMove = move;
+                    }
+                } else {
+                    if (score < bestScore) {
+                        bestScore = score;
+                        bestMove = move;
+                    }
                 }
             }
-        }
+        });
 
         const elapsed = Date.now() - startTime;
         console.log(`AI (${this.difficulty}): Evaluated ${this.positionsEvaluated} positions in ${elapsed}ms`);
@@ -370,6 +526,55 @@ class ChessAI {
         return bestMove;
     }
 
+    // Score how fair a starting position is, in centipawns (positive = better for White)
+    // Searches from the first turn each side may capture, so openings where one side wins
+    // material or the king straight away score far from zero
+    evaluateBalance(game, depth = 2) {
+        const originalTurn = game.currentTurn;
+        const originalTurnCount = game.turnCount;
+        const firstCaptureTurn = game.rules.captureFreeTurns + 1;
+
+        const searchScores = {};
+        for (const color of ['white', 'black']) {
+            // Odd turns belong to White, even turns to Black
+            let turn = firstCaptureTurn;
+            if ((turn % 2 === 1) !== (color === 'white')) turn++;
+            game.currentTurn = color;
+            game.turnCount = turn;
+            searchScores[color] = this.withSearchBitboards(game,
+                () => this.minimax(game, depth, -Infinity, Infinity, color === 'white'));
+        }
+
+        game.currentTurn = originalTurn;
+        game.turnCount = originalTurnCount;
+
+        // Both bishops of one side on the same square colour
+        const sameColorBishops = { white: false, black: false };
+        for (const [color, bishop] of [['white', AI_PIECES.WHITE_BISHOP], ['black', AI_PIECES.BLACK_BISHOP]]) {
+            const squareColors = [];
+            game.board.forEach((piece, i) => {
+                if (piece === bishop) squareColors.push((game.getRow(i) + game.getCol(i)) % 2);
+            });
+            sameColorBishops[color] = squareColors.length === 2 && squareColors[0] === squareColors[1];
+        }
+
+        return {
+            score: Math.round((searchScores.white + searchScores.black) / 2),
+            whiteToMove: Math.round(searchScores.white),
+            blackToMove: Math.round(searchScores.black),
+            sameColorBishops
+        };
+    }
+
+    // Check a balance report against a fairness band (largest allowed advantage in centipawns)
+    static isBalanced(balance, band) {
+        // A king lost inside the search means one side wins outright
+        const decisive = ChessAI.PIECE_VALUES.K / 2;
+        if (Math.abs(balance.whiteToMove) >= decisive || Math.abs(balance.blackToMove) >= decisive) return false;
+        if (balance.sameColorBishops.white || balance.sameColorBishops.black) return false;
+        return Math.abs(balance.score) <= band;
+    }
+
     // Async version with delay for better UX
     async findBestMoveAsync(game, minDelay = 500) {
         const startTime = Date.now();
@@ -389,3 +594,8 @@ class ChessAI {
 if (typeof window !== 'undefined') {
     window.ChessAI = ChessAI;
 }
+
+// Export for the server (starting-position balance checks) and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChessAI };
+}
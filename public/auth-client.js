@@ -355,6 +355,20 @@ const Auth = {
         document.getElementById('wld-bar-draws').style.width = `${drawPct}%`;
         document.getElementById('wld-bar-losses').style.width = `${lossPct}%`;
 
+        // Break down draws by how they happened
+        const drawBreakdown = document.getElementById('draw-breakdown');
+        const drawLabels = {
+            'stalemate': 'stalemate',
+            'threefold-repetition': 'repetition',
+            'fifty-move-rule': 'fifty-move rule',
+            'insufficient-material': 'insufficient material',
+            'draw': 'other'
+        };
+        const drawParts = Object.entries(stats.drawsByResult || {})
+            .map(([result, count]) => `${count} ${drawLabels[result] || result}`);
+        drawBreakdown.textContent = drawParts.length > 0 ? `Draws: ${drawParts.join(', ')}` : '';
+        drawBreakdown.classList.toggle('hidden', drawParts.length === 0);
+
         // Update game count label
         document.getElementById('graph-label-games').textContent = `Game ${eloHistory.length}`;
 
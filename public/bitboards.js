@@ -0,0 +1,675 @@
+// Kalas Random Chess - Bitboard move generation
+// A position is kept as one set of squares per piece type and colour. Each set is a 64-bit board
+// split into two 32-bit halves: lo holds squares 0-31 (ranks 1-4) and hi squares 32-63 (ranks 5-8).
+// KalasRandomChess builds one from its board array whenever it generates moves or tests for
+// attacks, and gets exactly the same results as its square-by-square generators.
+
+// Bit operations used on every square, kept in constants so hot loops skip the global lookup
+const bbClz32 = Math.clz32;
+const bbImul = Math.imul;
+
+// Slot of each piece letter in Bitboards.pieces (each slot is a lo, hi pair), by character code;
+// White's pieces take slots 0-5 and Black's 6-11, in the order pawn, knight, bishop, rook, queen, king
+const BB_SLOTS = new Int8Array(128).fill(-1);
+'PNBRQKpnbrqk'.split('').forEach((piece, slot) => { BB_SLOTS[piece.charCodeAt(0)] = slot; });
+const BB_PAWN = 0;
+const BB_KNIGHT = 1;
+const BB_BISHOP = 2;
+const BB_ROOK = 3;
+const BB_QUEEN = 4;
+const BB_KING = 5;
+
+// Ray directions as [row step, column step]; the first four run towards lower squares
+const BB_DIRECTIONS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+const BB_DELTAS = BB_DIRECTIONS.map(([rowStep, colStep]) => rowStep * 8 + colStep);
+const BB_DIAGONAL = BB_DIRECTIONS.map(([rowStep, colStep]) => rowStep !== 0 && colStep !== 0);
+
+// Directions in the order the original generators walked them, so moves come out in the same order
+const BB_BISHOP_DIRECTIONS = [0, 2, 5, 7];
+const BB_ROOK_DIRECTIONS = [1, 6, 3, 4];
+const BB_QUEEN_DIRECTIONS = [0, 1, 2, 3, 4, 5, 6, 7];
+const BB_PAWN_CAPTURE_OFFSETS = [7, 9]; // Times the pawn's direction, in the original order
+
+// Masks within one 32-bit half (four ranks)
+const BB_FILE_A = 0x01010101;
+const BB_FILE_H = 0x80808080 | 0;
+const BB_RANK_3 = 0x00FF0000; // In lo
+const BB_RANK_6 = 0x0000FF00; // In hi
+
+// Packed moves, so a position's moves can be generated into a typed array without allocating:
+// bits 0-5 hold the from square, bits 6-11 the to square and the bits above these flags
+const BB_MOVE_CAPTURE = 1 << 12;
+const BB_MOVE_PROMOTION = 1 << 13;
+const BB_MOVE_PAWN = 1 << 14; // A pawn's single step or capture, which promotes on the last rank
+const BB_MOVE_DOUBLE_PUSH = 1 << 15;
+const BB_MOVE_EN_PASSANT = 1 << 16;
+const BB_PIECE_MOVES = new Int32Array(32); // Scratch list for one piece's moves (a queen has at most 27)
+
+// Attack tables, two entries (lo, hi) per square
+const BB_KNIGHT_ATTACKS = new Int32Array(128);
+const BB_KING_ATTACKS = new Int32Array(128);
+const BB_PAWN_ATTACKS = new Int32Array(256); // White's squares 0-63, then Black's
+const BB_RAYS = new Int32Array(1024); // Per direction, the squares from each square to the edge
+const BB_RAY_LENGTHS = new Uint8Array(512);
+const BB_ROOK_LINES = new Int32Array(128); // Rank and file through each square
+const BB_BISHOP_LINES = new Int32Array(128); // Both diagonals through each square
+const BB_DIAGONALS = new Int32Array(128); // The a1-h8 diagonal through each square
+const BB_ANTI_DIAGONALS = new Int32Array(128); // The a8-h1 diagonal through each square
+
+// Sliding moves along one line at a time, read into a byte: ranks and diagonals file by file, files
+// rank by rank. For a slider at each place in the line and each occupancy of the line, the places
+// it reaches: up to and including the first piece on either side
+const BB_LINE_REACH = new Uint8Array(8 * 256);
+// Files each square's diagonals leave out (a1-h8 diagonal, then a8-h1), read as if occupied
+const BB_DIAGONAL_GAPS = new Uint8Array(128);
+
+function bbSetBit(table, entry, square) {
+    if (square < 32) {
+        table[entry * 2] |= 1 << square;
+    } else {
+        table[entry * 2 + 1] |= 1 << (square - 32);
+    }
+}
+
+// Number of set bits in a 32-bit value, looked up 16 bits at a time
+const BB_POP_COUNTS = new Uint8Array(65536);
+for (let i = 1; i < 65536; i++) BB_POP_COUNTS[i] = BB_POP_COUNTS[i >> 1] + (i & 1);
+function bbPopCount(value) {
+    return BB_POP_COUNTS[value & 0xFFFF] + BB_POP_COUNTS[value >>> 16];
+}
+
+// The squares of a bitboard on a rank, file or diagonal as a line byte (see BB_LINE_REACH)
+function bbRankLine(lo, hi, rank) {
+    return rank < 4 ? (lo >>> (rank * 8)) & 0xFF : (hi >>> (rank * 8 - 32)) & 0xFF;
+}
+
+function bbFileLine(lo, hi, file) {
+    // Multiplying moves the file's four squares in each half into neighbouring bits of the top byte
+    return (bbImul((lo >>> file) & BB_FILE_A, 0x01020408) >>> 24) |
+        ((bbImul((hi >>> file) & BB_FILE_A, 0x01020408) >>> 24) << 4);
+}
+
+function bbDiagonalLine(lo, hi, diagonals, entry) {
+    // A diagonal has one square per file, so adding up a half's bytes gives its squares by file
+    return (bbImul(lo & diagonals[entry], 0x01010101) >>> 24) |
+        (bbImul(hi & diagonals[entry + 1], 0x01010101) >>> 24);
+}
+
+function bbBuildTables() {
+    const onBoard = (row, col) => row >= 0 && row < 8 && col >= 0 && col < 8;
+    const knightSteps = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+
+    for (let square = 0; square < 64; square++) {
+        const row = Math.floor(square / 8);
+        const col = square % 8;
+
+        for (const [rowStep, colStep] of knightSteps) {
+            if (onBoard(row + rowStep, col + colStep)) {
+                bbSetBit(BB_KNIGHT_ATTACKS, square, (row + rowStep) * 8 + col + colStep);
+            }
+        }
+
+        for (let d = 0; d < 8; d++) {
+            const [rowStep, colStep] = BB_DIRECTIONS[d];
+            if (onBoard(row + rowStep, col + colStep)) {
+                bbSetBit(BB_KING_ATTACKS, square, (row + rowStep) * 8 + col + colStep);
+            }
+            let length = 0;
+            for (let r = row + rowStep, c = col + colStep; onBoard(r, c); r += rowStep, c += colStep) {
+                bbSetBit(BB_RAYS, d * 64 + square, r * 8 + c);
+                length++;
+            }
+            BB_RAY_LENGTHS[d * 64 + square] = length;
+            const lines = BB_DIAGONAL[d] ? BB_BISHOP_LINES : BB_ROOK_LINES;
+            lines[square * 2] |= BB_RAYS[(d * 64 + square) * 2];
+            lines[square * 2 + 1] |= BB_RAYS[(d * 64 + square) * 2 + 1];
+        }
+
+        // Pawns capture one square diagonally forwards
+        for (const [color, rowStep] of [[0, 1], [1, -1]]) {
+            for (const colStep of [-1, 1]) {
+                if (onBoard(row + rowStep, col + colStep)) {
+                    bbSetBit(BB_PAWN_ATTACKS, color * 64 + square, (row + rowStep) * 8 + col + colStep);
+                }
+            }
+        }
+    }
+
+    for (let square = 0; square < 64; square++) {
+        const entry = square * 2;
+        for (const [diagonals, up, down] of [[BB_DIAGONALS, 7, 0], [BB_ANTI_DIAGONALS, 5, 2]]) {
+            diagonals[entry] = BB_RAYS[(up * 64 + square) * 2] | BB_RAYS[(down * 64 + square) * 2];
+            diagonals[entry + 1] = BB_RAYS[(up * 64 + square) * 2 + 1] | BB_RAYS[(down * 64 + square) * 2 + 1];
+            bbSetBit(diagonals, square, square);
+        }
+        BB_DIAGONAL_GAPS[entry] = ~bbDiagonalLine(-1, -1, BB_DIAGONALS, entry) & 0xFF;
+        BB_DIAGONAL_GAPS[entry + 1] = ~bbDiagonalLine(-1, -1, BB_ANTI_DIAGONALS, entry) & 0xFF;
+    }
+
+    for (let place = 0; place < 8; place++) {
+        for (let line = 0; line < 256; line++) {
+            let reach = 0;
+            for (let i = place - 1; i >= 0; i--) {
+                reach |= 1 << i;
+                if (line & (1 << i)) break;
+            }
+            for (let i = place + 1; i < 8; i++) {
+                reach |= 1 << i;
+                if (line & (1 << i)) break;
+            }
+            BB_LINE_REACH[place * 256 + line] = reach;
+        }
+    }
+}
+bbBuildTables();
+
+class Bitboards {
+    // Flags of a packed move that searches look at (see encodeMove)
+    static MOVE_CAPTURE = BB_MOVE_CAPTURE;
+    static MOVE_PROMOTION = BB_MOVE_PROMOTION;
+
+    constructor(board = null) {
+        this.pieces = new Int32Array(24); // lo, hi for each piece slot
+        this.occupied = new Int32Array(6); // White lo, hi, Black lo, hi, then both colours' lo, hi
+        this.slots = new Int8Array(64).fill(-1); // Piece slot on each square, -1 if empty
+        this.trackedValues = null; // Table of piece values whose sum is kept in trackedSum (see trackPieceValues)
+        this.trackedSum = 0;
+        if (board) this.load(board);
+    }
+
+    // Read a board array (piece letters or null, index 0 = a1) into the bitboards
+    // A snapshot can be loaded again for each position, so hot paths reuse one without allocating
+    load(board) {
+        const { pieces, occupied, slots } = this;
+        for (let i = 0; i < 24; i++) pieces[i] = 0;
+        for (let i = 0; i < 6; i++) occupied[i] = 0;
+        for (let square = 0; square < 64; square++) {
+            const piece = board[square];
+            if (!piece) {
+                slots[square] = -1;
+                continue;
+            }
+            const slot = BB_SLOTS[piece.charCodeAt(0)];
+            slots[square] = slot;
+            const half = square >> 5;
+            const bit = 1 << (square & 31);
+            pieces[slot * 2 + half] |= bit;
+            occupied[(slot < 6 ? 0 : 2) + half] |= bit;
+            occupied[4 + half] |= bit;
+        }
+        if (this.trackedValues) this.trackedSum = this.addUpPieceValues(this.trackedValues);
+        return this;
+    }
+
+    // Read one square of the board again after a move changed it
+    loadSquare(board, square) {
+        const piece = board[square];
+        this.setSquare(square, this.slots[square], piece ? BB_SLOTS[piece.charCodeAt(0)] : -1);
+    }
+
+    // Offset of a colour's pieces in the piece slots and of its squares in occupied
+    static colorBase(color) {
+        return color === 'white' ? 0 : 6;
+    }
+
+    static occupiedBase(color) {
+        return color === 'white' ? 0 : 2;
+    }
+
+    // Slot of a piece letter, for tables indexed by slot (see sumPieceValues)
+    static pieceSlot(piece) {
+        return BB_SLOTS[piece.charCodeAt(0)];
+    }
+
+    isOccupied(square) {
+        return (this.occupied[4 + (square >> 5)] & (1 << (square & 31))) !== 0;
+    }
+
+    isOccupiedBy(square, color) {
+        return (this.occupied[Bitboards.occupiedBase(color) + (square >> 5)] & (1 << (square & 31))) !== 0;
+    }
+
+    // Squares holding the given colour's pieces, in ascending order
+    getSquares(color) {
+        const squares = [];
+        const own = Bitboards.occupiedBase(color);
+        for (let half = 0; half < 2; half++) {
+            let remaining = this.occupied[own + half];
+            while (remaining !== 0) {
+                const bit = remaining & -remaining;
+                squares.push(half * 32 + 31 - bbClz32(bit));
+                remaining ^= bit;
+            }
+        }
+        return squares;
+    }
+
+    // First occupied square along a ray from square, or -1 if the ray is clear to the edge
+    rayBlocker(direction, square) {
+        const entry = (direction * 64 + square) * 2;
+        const lo = BB_RAYS[entry] & this.occupied[4];
+        const hi = BB_RAYS[entry + 1] & this.occupied[5];
+        if (direction >= 4) {
+            if (lo !== 0) return 31 - bbClz32(lo & -lo);
+            if (hi !== 0) return 63 - bbClz32(hi & -hi);
+        } else {
+            if (hi !== 0) return 63 - bbClz32(hi);
+            if (lo !== 0) return 31 - bbClz32(lo);
+        }
+        return -1;
+    }
+
+    // Lowest square holding the given colour's king, or -1
+    findKing(color) {
+        const slot = Bitboards.colorBase(color) + BB_KING;
+        const lo = this.pieces[slot * 2];
+        const hi = this.pieces[slot * 2 + 1];
+        if (lo !== 0) return 31 - bbClz32(lo & -lo);
+        if (hi !== 0) return 63 - bbClz32(hi & -hi);
+        return -1;
+    }
+
+    // Check if a square is attacked by the given colour
+    // As with the original generators, pawns attack a square whoever stands on it, but other
+    // pieces only attack squares they could move to (empty or holding an enemy piece)
+    isAttacked(square, byColor) {
+        if (square < 0 || square > 63) return false;
+        const base = Bitboards.colorBase(byColor);
+        const pieces = this.pieces;
+
+        // A pawn attacks this square if it stands where an enemy pawn here would capture
+        const pawnEntry = ((byColor === 'white' ? 64 : 0) + square) * 2;
+        if ((BB_PAWN_ATTACKS[pawnEntry] & pieces[base * 2]) !== 0 ||
+            (BB_PAWN_ATTACKS[pawnEntry + 1] & pieces[base * 2 + 1]) !== 0) {
+            return true;
+        }
+        if (this.isOccupiedBy(square, byColor)) return false;
+
+        const entry = square * 2;
+        const knights = (base + BB_KNIGHT) * 2;
+        if ((BB_KNIGHT_ATTACKS[entry] & pieces[knights]) !== 0 ||
+            (BB_KNIGHT_ATTACKS[entry + 1] & pieces[knights + 1]) !== 0) {
+            return true;
+        }
+        const kings = (base + BB_KING) * 2;
+        if ((BB_KING_ATTACKS[entry] & pieces[kings]) !== 0 ||
+            (BB_KING_ATTACKS[entry + 1] & pieces[kings + 1]) !== 0) {
+            return true;
+        }
+
+        // Sliding pieces: the first piece along each ray, where one is in line at all
+        const queens = (base + BB_QUEEN) * 2;
+        const rooks = (base + BB_ROOK) * 2;
+        const bishops = (base + BB_BISHOP) * 2;
+        if ((BB_ROOK_LINES[entry] & (pieces[rooks] | pieces[queens])) !== 0 ||
+            (BB_ROOK_LINES[entry + 1] & (pieces[rooks + 1] | pieces[queens + 1])) !== 0) {
+            if (this.isSliderAlong(BB_ROOK_DIRECTIONS, square, base + BB_ROOK, base + BB_QUEEN)) return true;
+        }
+        if ((BB_BISHOP_LINES[entry] & (pieces[bishops] | pieces[queens])) !== 0 ||
+            (BB_BISHOP_LINES[entry + 1] & (pieces[bishops + 1] | pieces[queens + 1])) !== 0) {
+            if (this.isSliderAlong(BB_BISHOP_DIRECTIONS, square, base + BB_BISHOP, base + BB_QUEEN)) return true;
+        }
+        return false;
+    }
+
+    // Check if the first piece along any of the rays is in one of the two slots
+    isSliderAlong(directions, square, slot, queenSlot) {
+        for (const d of directions) {
+            const blocker = this.rayBlocker(d, square);
+            if (blocker !== -1 && (this.slots[blocker] === slot || this.slots[blocker] === queenSlot)) return true;
+        }
+        return false;
+    }
+
+    // Moves for the piece on a square, before the capture, check and variant rules are applied
+    // Returns the same move objects, in the same order, as the original generators
+    getPieceMoves(fromIndex, color, enPassantTarget) {
+        const count = this.addPieceMoves(fromIndex, color, enPassantTarget, BB_PIECE_MOVES, 0);
+        const moves = [];
+        for (let i = 0; i < count; i++) moves.push(Bitboards.decodeMove(BB_PIECE_MOVES[i]));
+        return moves;
+    }
+
+    // Write the moves of the piece on a square into a packed move list from index count on
+    // (see encodeMove), in getPieceMoves order, and return the list's new length
+    addPieceMoves(fromIndex, color, enPassantTarget, moves, count) {
+        switch (this.slots[fromIndex] % 6) {
+            case BB_PAWN: return this.addPawnMoves(fromIndex, color, enPassantTarget, moves, count);
+            case BB_KNIGHT: return this.addStepMoves(BB_KNIGHT_ATTACKS, fromIndex, color, moves, count);
+            case BB_BISHOP: return this.addSlidingMoves(BB_BISHOP_DIRECTIONS, fromIndex, color, moves, count);
+            case BB_ROOK: return this.addSlidingMoves(BB_ROOK_DIRECTIONS, fromIndex, color, moves, count);
+            case BB_QUEEN: return this.addSlidingMoves(BB_QUEEN_DIRECTIONS, fromIndex, color, moves, count);
+            case BB_KING: return this.addStepMoves(BB_KING_ATTACKS, fromIndex, color, moves, count);
+        }
+        return count;
+    }
+
+    // Every move of a colour's pieces, square by square in ascending order, leaving out
+    // captures if they are not allowed; returns the list's new length
+    addMoves(color, capturesAllowed, enPassantTarget, moves, count) {
+        const own = Bitboards.occupiedBase(color);
+        for (let half = 0; half < 2; half++) {
+            let remaining = this.occupied[own + half];
+            while (remaining !== 0) {
+                const bit = remaining & -remaining;
+                remaining ^= bit;
+                const square = half * 32 + 31 - bbClz32(bit);
+                if (capturesAllowed) {
+                    count = this.addPieceMoves(square, color, enPassantTarget, moves, count);
+                    continue;
+                }
+                const first = count;
+                const last = this.addPieceMoves(square, color, enPassantTarget, moves, count);
+                for (let i = first; i < last; i++) {
+                    if ((moves[i] & BB_MOVE_CAPTURE) === 0) moves[count++] = moves[i];
+                }
+            }
+        }
+        return count;
+    }
+
+    addPawnMoves(fromIndex, color, enPassantTarget, moves, count) {
+        const row = fromIndex >> 3;
+        const col = fromIndex & 7;
+        const direction = color === 'white' ? 1 : -1;
+        const startRow = color === 'white' ? 1 : 6;
+        const promotionRow = color === 'white' ? 7 : 0;
+        const opponentColor = color === 'white' ? 'black' : 'white';
+
+        const forwardOne = fromIndex + 8 * direction;
+        if (forwardOne >= 0 && forwardOne < 64 && !this.isOccupied(forwardOne)) {
+            moves[count++] = fromIndex | (forwardOne << 6) | BB_MOVE_PAWN |
+                ((forwardOne >> 3) === promotionRow ? BB_MOVE_PROMOTION : 0);
+            if (row === startRow) {
+                const forwardTwo = fromIndex + 16 * direction;
+                if (!this.isOccupied(forwardTwo)) {
+                    moves[count++] = fromIndex | (forwardTwo << 6) | BB_MOVE_DOUBLE_PUSH;
+                }
+            }
+        }
+
+        for (const offset of BB_PAWN_CAPTURE_OFFSETS) {
+            const captureIndex = fromIndex + offset * direction;
+            if (captureIndex >= 0 && captureIndex < 64 && Math.abs((captureIndex & 7) - col) === 1 &&
+                this.isOccupiedBy(captureIndex, opponentColor)) {
+                moves[count++] = fromIndex | (captureIndex << 6) | BB_MOVE_PAWN | BB_MOVE_CAPTURE |
+                    ((captureIndex >> 3) === promotionRow ? BB_MOVE_PROMOTION : 0);
+            }
+        }
+
+        if (this.canCaptureEnPassant(fromIndex, color, enPassantTarget)) {
+            moves[count++] = fromIndex | (enPassantTarget << 6) | BB_MOVE_CAPTURE | BB_MOVE_EN_PASSANT;
+        }
+
+        return count;
+    }
+
+    // The en passant capture is offered to any pawn on the right rank beside the target's file
+    canCaptureEnPassant(fromIndex, color, enPassantTarget) {
+        return enPassantTarget !== null && (fromIndex >> 3) === (color === 'white' ? 4 : 3) &&
+            Math.abs((fromIndex & 7) - (enPassantTarget & 7)) === 1;
+    }
+
+    // Knight and king moves: every attacked square not holding one of our own pieces
+    addStepMoves(table, fromIndex, color, moves, count) {
+        const own = Bitboards.occupiedBase(color);
+        const enemy = 2 - own;
+        for (let half = 0; half < 2; half++) {
+            let targets = table[fromIndex * 2 + half] & ~this.occupied[own + half];
+            const enemies = this.occupied[enemy + half];
+            while (targets !== 0) {
+                const bit = targets & -targets;
+                moves[count++] = fromIndex | ((half * 32 + 31 - bbClz32(bit)) << 6) |
+                    ((enemies & bit) !== 0 ? BB_MOVE_CAPTURE : 0);
+                targets ^= bit;
+            }
+        }
+        return count;
+    }
+
+    addSlidingMoves(directions, fromIndex, color, moves, count) {
+        for (let i = 0; i < directions.length; i++) {
+            const d = directions[i];
+            const blocker = this.rayBlocker(d, fromIndex);
+            const length = BB_RAY_LENGTHS[d * 64 + fromIndex];
+            const delta = BB_DELTAS[d];
+            for (let step = 1, to = fromIndex + delta; step <= length; step++, to += delta) {
+                if (to === blocker) {
+                    if (!this.isOccupiedBy(to, color)) moves[count++] = fromIndex | (to << 6) | BB_MOVE_CAPTURE;
+                    break;
+                }
+                moves[count++] = fromIndex | (to << 6);
+            }
+        }
+        return count;
+    }
+
+    // Pack a move object (with its from square) into one integer
+    static encodeMove(fromIndex, move) {
+        return fromIndex | (move.to << 6) |
+            (move.isCapture ? BB_MOVE_CAPTURE : 0) |
+            (move.isPromotion ? BB_MOVE_PROMOTION : 0) |
+            (move.isPromotion !== undefined ? BB_MOVE_PAWN : 0) |
+            (move.isDoublePush ? BB_MOVE_DOUBLE_PUSH : 0) |
+            (move.isEnPassant ? BB_MOVE_EN_PASSANT : 0);
+    }
+
+    // The move object for a packed move, without its from square, shaped as the original
+    // generators shaped it (only pawns' single steps and captures say whether they promote)
+    static decodeMove(move) {
+        const to = (move >> 6) & 63;
+        if (move & BB_MOVE_EN_PASSANT) return { to, isCapture: true, isEnPassant: true };
+        if (move & BB_MOVE_DOUBLE_PUSH) return { to, isCapture: false, isDoublePush: true };
+        const isCapture = (move & BB_MOVE_CAPTURE) !== 0;
+        if (move & BB_MOVE_PAWN) return { to, isCapture, isPromotion: (move & BB_MOVE_PROMOTION) !== 0 };
+        return { to, isCapture };
+    }
+
+    // Number of moves the given colour's pieces have, counted without building move objects
+    // Matches the total length of getPieceMoves over the pieces, less captures if not allowed
+    countMoves(color, capturesAllowed, enPassantTarget) {
+        const slot = Bitboards.colorBase(color) * 2;
+        const own = Bitboards.occupiedBase(color);
+        const pieces = this.pieces;
+        // Squares no piece but a pawn can move to
+        const blockedLo = this.occupied[own] | (capturesAllowed ? 0 : this.occupied[2 - own]);
+        const blockedHi = this.occupied[own + 1] | (capturesAllowed ? 0 : this.occupied[3 - own]);
+        const knights = slot + BB_KNIGHT * 2;
+        const kings = slot + BB_KING * 2;
+        const queens = slot + BB_QUEEN * 2;
+        const rooks = slot + BB_ROOK * 2;
+        const bishops = slot + BB_BISHOP * 2;
+
+        // Knights and kings by popcount; queens move both as rooks and as bishops
+        return this.countPawnMoves(color, capturesAllowed, enPassantTarget) +
+            this.countStepMoves(BB_KNIGHT_ATTACKS, pieces[knights], pieces[knights + 1], blockedLo, blockedHi) +
+            this.countStepMoves(BB_KING_ATTACKS, pieces[kings], pieces[kings + 1], blockedLo, blockedHi) +
+            this.countRookMoves(pieces[rooks] | pieces[queens], pieces[rooks + 1] | pieces[queens + 1],
+                blockedLo, blockedHi) +
+            this.countBishopMoves(pieces[bishops] | pieces[queens], pieces[bishops + 1] | pieces[queens + 1],
+                blockedLo, blockedHi);
+    }
+
+    // Moves of the knights or kings on the given squares (lo, hi) to squares that are not blocked
+    countStepMoves(table, lo, hi, blockedLo, blockedHi) {
+        let count = 0;
+        for (let half = 0, remaining = lo; half < 2; half++, remaining = hi) {
+            while (remaining !== 0) {
+                const bit = remaining & -remaining;
+                remaining ^= bit;
+                const entry = (half * 32 + 31 - bbClz32(bit)) * 2;
+                count += bbPopCount(table[entry] & ~blockedLo) + bbPopCount(table[entry + 1] & ~blockedHi);
+            }
+        }
+        return count;
+    }
+
+    // All of a colour's pawn moves at once, by shifting the pawns a rank (or a rank and a file)
+    // forwards; as with the generators, en passant counts for every pawn beside the target's file
+    countPawnMoves(color, capturesAllowed, enPassantTarget) {
+        const white = color === 'white';
+        const slot = Bitboards.colorBase(color) * 2;
+        const pawnsLo = this.pieces[slot];
+        const pawnsHi = this.pieces[slot + 1];
+        const emptyLo = ~this.occupied[4];
+        const emptyHi = ~this.occupied[5];
+        let count = 0;
+
+        // One square forwards, then a second from the starting rank (rank 3 or 6 after one step)
+        if (white) {
+            const oneLo = (pawnsLo << 8) & emptyLo;
+            const oneHi = ((pawnsHi << 8) | (pawnsLo >>> 24)) & emptyHi;
+            count += bbPopCount(oneLo) + bbPopCount(oneHi) + bbPopCount(((oneLo & BB_RANK_3) << 8) & emptyLo);
+        } else {
+            const oneLo = ((pawnsLo >>> 8) | (pawnsHi << 24)) & emptyLo;
+            const oneHi = (pawnsHi >>> 8) & emptyHi;
+            count += bbPopCount(oneLo) + bbPopCount(oneHi) + bbPopCount(((oneHi & BB_RANK_6) >>> 8) & emptyHi);
+        }
+        if (!capturesAllowed) return count;
+
+        // Diagonal captures, leaving out pawns that would wrap around the board's edge
+        const enemy = Bitboards.occupiedBase(white ? 'black' : 'white');
+        const enemyLo = this.occupied[enemy];
+        const enemyHi = this.occupied[enemy + 1];
+        const notALo = pawnsLo & ~BB_FILE_A;
+        const notAHi = pawnsHi & ~BB_FILE_A;
+        const notHLo = pawnsLo & ~BB_FILE_H;
+        const notHHi = pawnsHi & ~BB_FILE_H;
+        if (white) {
+            count += bbPopCount((notALo << 7) & enemyLo) + bbPopCount(((notAHi << 7) | (notALo >>> 25)) & enemyHi) +
+                bbPopCount((notHLo << 9) & enemyLo) + bbPopCount(((notHHi << 9) | (notHLo >>> 23)) & enemyHi);
+        } else {
+            count += bbPopCount(((notHLo >>> 7) | (notHHi << 25)) & enemyLo) + bbPopCount((notHHi >>> 7) & enemyHi) +
+                bbPopCount(((notALo >>> 9) | (notAHi << 23)) & enemyLo) + bbPopCount((notAHi >>> 9) & enemyHi);
+        }
+
+        if (enPassantTarget !== null) {
+            const file = enPassantTarget & 7;
+            const besideTarget = ((1 << file) >>> 1 | (1 << file) << 1) & 0xFF;
+            // Rank 5 (the low byte of hi) for White, rank 4 (the top byte of lo) for Black
+            count += white ? bbPopCount(pawnsHi & besideTarget) : bbPopCount(pawnsLo & (besideTarget << 24));
+        }
+        return count;
+    }
+
+    // Moves along the ranks and files of the pieces on the given squares (lo, hi): the squares each
+    // line reaches, less the blocked ones
+    countRookMoves(lo, hi, blockedLo, blockedHi) {
+        const occupiedLo = this.occupied[4];
+        const occupiedHi = this.occupied[5];
+        let count = 0;
+        for (let half = 0, remaining = lo; half < 2; half++, remaining = hi) {
+            while (remaining !== 0) {
+                const bit = remaining & -remaining;
+                remaining ^= bit;
+                const square = half * 32 + 31 - bbClz32(bit);
+                const rank = square >> 3;
+                const file = square & 7;
+                count += bbPopCount(BB_LINE_REACH[file * 256 + bbRankLine(occupiedLo, occupiedHi, rank)] &
+                    ~bbRankLine(blockedLo, blockedHi, rank));
+                count += bbPopCount(BB_LINE_REACH[rank * 256 + bbFileLine(occupiedLo, occupiedHi, file)] &
+                    ~bbFileLine(blockedLo, blockedHi, file));
+            }
+        }
+        return count;
+    }
+
+    // Moves along the diagonals of the pieces on the given squares (lo, hi), as countRookMoves
+    // (files a diagonal leaves out count as occupied and blocked, so it stops at the board's edge)
+    countBishopMoves(lo, hi, blockedLo, blockedHi) {
+        const occupiedLo = this.occupied[4];
+        const occupiedHi = this.occupied[5];
+        let count = 0;
+        for (let half = 0, remaining = lo; half < 2; half++, remaining = hi) {
+            while (remaining !== 0) {
+                const bit = remaining & -remaining;
+                remaining ^= bit;
+                const square = half * 32 + 31 - bbClz32(bit);
+                const reach = (square & 7) * 256;
+                const entry = square * 2;
+                const gaps = BB_DIAGONAL_GAPS[entry];
+                const antiGaps = BB_DIAGONAL_GAPS[entry + 1];
+                count += bbPopCount(BB_LINE_REACH[reach + (bbDiagonalLine(occupiedLo, occupiedHi, BB_DIAGONALS, entry) | gaps)] &
+                    ~(bbDiagonalLine(blockedLo, blockedHi, BB_DIAGONALS, entry) | gaps));
+                count += bbPopCount(BB_LINE_REACH[reach + (bbDiagonalLine(occupiedLo, occupiedHi, BB_ANTI_DIAGONALS, entry) | antiGaps)] &
+                    ~(bbDiagonalLine(blockedLo, blockedHi, BB_ANTI_DIAGONALS, entry) | antiGaps));
+            }
+        }
+        return count;
+    }
+
+    // Sum of table[slot * 64 + square] over every piece on the board, for tables such as an
+    // evaluation's piece-square values (see pieceSlot)
+    sumPieceValues(table) {
+        return table === this.trackedValues ? this.trackedSum : this.addUpPieceValues(table);
+    }
+
+    // Keep the sum of a table of piece values up to date as squares change, so that
+    // sumPieceValues(table) is answered without visiting every piece
+    trackPieceValues(table) {
+        this.trackedValues = table;
+        this.trackedSum = this.addUpPieceValues(table);
+        return this;
+    }
+
+    addUpPieceValues(table) {
+        let sum = 0;
+        for (let half = 0; half < 2; half++) {
+            let remaining = this.occupied[4 + half];
+            while (remaining !== 0) {
+                const bit = remaining & -remaining;
+                remaining ^= bit;
+                const square = half * 32 + 31 - bbClz32(bit);
+                sum += table[this.slots[square] * 64 + square];
+            }
+        }
+        return sum;
+    }
+
+    // Check if a move would leave the mover's king attacked (the move is tried on the bitboards
+    // and taken back again; a promoting pawn is still treated as a pawn)
+    wouldLeaveKingAttacked(fromIndex, toIndex, color, enPassantTarget) {
+        const moving = this.slots[fromIndex];
+        const captured = this.slots[toIndex];
+        let epIndex = -1;
+        if (toIndex === enPassantTarget && captured === -1 && moving % 6 === BB_PAWN) {
+            epIndex = toIndex + (color === 'white' ? -8 : 8);
+        }
+        const epPiece = epIndex === -1 ? -1 : this.slots[epIndex];
+
+        this.setSquare(epIndex, epPiece, -1);
+        this.setSquare(toIndex, captured, moving);
+        this.setSquare(fromIndex, moving, -1);
+        const attacked = this.isAttacked(this.findKing(color), color === 'white' ? 'black' : 'white');
+        this.setSquare(fromIndex, -1, moving);
+        this.setSquare(toIndex, moving, captured);
+        this.setSquare(epIndex, -1, epPiece);
+        return attacked;
+    }
+
+    // Replace the piece slot on a square (-1 for empty)
+    setSquare(square, oldSlot, newSlot) {
+        if (square === -1) return;
+        const half = square >> 5;
+        const bit = 1 << (square & 31);
+        const values = this.trackedValues;
+        if (oldSlot !== -1) {
+            this.pieces[oldSlot * 2 + half] ^= bit;
+            this.occupied[(oldSlot < 6 ? 0 : 2) + half] ^= bit;
+            this.occupied[4 + half] ^= bit;
+            if (values) this.trackedSum -= values[oldSlot * 64 + square];
+        }
+        if (newSlot !== -1) {
+            this.pieces[newSlot * 2 + half] ^= bit;
+            this.occupied[(newSlot < 6 ? 0 : 2) + half] ^= bit;
+            this.occupied[4 + half] ^= bit;
+            if (values) this.trackedSum += values[newSlot * 64 + square];
+        }
+        this.slots[square] = newSlot;
+    }
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Bitboards };
+}
@@ -1,5 +1,15 @@
 // Kalas Random Chess - Game Logic
 
+// Bitboard move generator: script global in the browser, required on the server
+const { Bitboards: GameBitboards } = typeof window === 'undefined'
+    ? require('./bitboards.js')
+    : { Bitboards };
+
+// Snapshots reloaded by the move search's hot paths instead of allocating new ones; attack tests
+// keep their own because castling looks for attacks while a move snapshot is still in use
+const MOVE_BITBOARDS = new GameBitboards();
+const ATTACK_BITBOARDS = new GameBitboards();
+
 const PIECES = {
     // Internal markers - will be rendered as filled glyphs with CSS colors
     WHITE_KING: 'K',
@@ -33,24 +43,113 @@ const PIECE_VALUES = {
     'P': 'P', 'p': 'p'
 };
 
+// Piece types a pawn may promote to
+const PROMOTION_PIECES = ['q', 'r', 'b', 'n'];
+
+// Game results that end in a draw, with their end-of-game messages
+const DRAW_MESSAGES = {
+    'stalemate': 'Stalemate! The game is a draw.',
+    'insufficient-material': 'Insufficient material! The game is a draw.',
+    'threefold-repetition': 'Draw claimed by threefold repetition.',
+    'fifty-move-rule': 'Draw claimed under the fifty-move rule.',
+    'fivefold-repetition': 'Fivefold repetition! The game is a draw.',
+    'seventy-five-move-rule': 'Seventy-five moves without a capture or pawn move! The game is a draw.',
+    'agreement': 'Draw agreed.'
+};
+const DRAW_RESULTS = Object.keys(DRAW_MESSAGES);
+
+// Default Kalas rule set
+// Zones are inclusive rank ranges from each player's own side (rank 1 = their back rank)
+const DEFAULT_RULES = {
+    kingRanks: [1, 1],
+    pawnRanks: [2, 4],
+    pieceRanks: [1, 3],
+    captureFreeTurns: 3, // Turns at the start of the game on which nobody may capture
+    checkRule: 'loses', // 'loses': leaving your king in check loses, 'illegal': such moves are not allowed
+    castling: false, // Chess960-style castling with rooks on the king's back rank
+    // 'none': independent setups, 'mirrored': Black's setup is White's reflected across the middle
+    // of the board, 'point': Black's setup is White's rotated half a turn about the centre
+    symmetry: 'none',
+    // Handicap for mixed-strength games, or null: { color, odds, extraTime } where color is the
+    // side giving the handicap, odds the piece it starts without and extraTime the minutes added
+    // to its opponent's clock
+    handicap: null,
+    variant: 'standard' // Name of a registered variant (see registerVariant), or 'standard'
+};
+const CHECK_RULES = ['loses', 'illegal'];
+const SYMMETRY_MODES = ['none', 'mirrored', 'point'];
+
+// Pieces that can be given as odds in a handicap game
+const HANDICAP_ODDS = { pawn: 'P', knight: 'N', rook: 'R', queen: 'Q' };
+
+// How a time control's bonus seconds are given: 'fischer' adds them after every move,
+// 'bronstein' gives back the time a move took up to the bonus, and 'delay' (US delay) holds
+// the clock for that long at the start of every turn
+const CLOCK_MODES = ['fischer', 'bronstein', 'delay'];
+
+// Longest time control a player can start with, in whole minutes (stored as an integer)
+const MAX_CLOCK_MINUTES = 180;
+
+// Game variants registered by name (see KalasRandomChess.registerVariant)
+const VARIANTS = {};
+
+// Seedable pseudo-random number generator (mulberry32) - returns floats in [0, 1)
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 class KalasRandomChess {
-    constructor(timeControl = 10) {
+    constructor(timeControl = 10, rules = null) {
+        this.rules = KalasRandomChess.normalizeRules(rules);
+        if (!this.rules) {
+            throw new Error('Invalid rules');
+        }
+        const clock = KalasRandomChess.normalizeTimeControl(timeControl);
+        if (!clock) {
+            throw new Error('Invalid time control');
+        }
         this.board = new Array(64).fill(null);
         this.currentTurn = 'white';
         this.moveNumber = 1;
         this.turnCount = 1; // Track individual turns (1, 2, 3, 4, ...)
         this.gameOver = false;
         this.winner = null;
+        this.result = null; // How the game ended ('checkmate', 'stalemate', 'timeout', ...)
         this.lastMove = null;
         this.moveHistory = [];
+        this.takenBack = { white: false, black: false }; // Sides that have had a move taken back (see takeBack)
         this.enPassantTarget = null; // Square where en passant capture is possible
+        this.halfmoveClock = 0; // Turns since the last capture or pawn move (fifty-move rule)
+        this.positionHistory = []; // Position keys after every move, for repetition detection
+        this.positionId = null; // Shareable ID that regenerates the starting position
+        this.castlingRights = KalasRandomChess.noCastlingRights(); // Rook squares each king may castle with
+        this.variantState = this.createVariantState(); // Extra state kept by the rules variant
+        this.useBitboards = true; // Generate moves from bitboards (false uses the board array directly)
 
         // Timer properties (time in milliseconds)
-        this.timeControl = timeControl; // minutes
-        this.whiteTime = timeControl * 60 * 1000;
-        this.blackTime = timeControl * 60 * 1000;
+        this.timeControl = clock.minutes; // minutes
+        this.increment = clock.increment; // Bonus seconds per move, given as clockMode says
+        this.clockMode = clock.mode; // See CLOCK_MODES
+        this.whiteTime = clock.minutes * 60 * 1000;
+        this.blackTime = clock.minutes * 60 * 1000;
+        this.turnTime = 0; // Time the player to move has spent on this turn
         this.lastTimestamp = null;
         this.timerRunning = false;
+
+        // Handicap extra time goes to the player receiving the handicap
+        const handicap = this.rules.handicap;
+        if (handicap && handicap.extraTime > 0 && !this.isUntimed()) {
+            const extra = handicap.extraTime * 60 * 1000;
+            if (handicap.color === 'white') this.blackTime += extra;
+            else this.whiteTime += extra;
+        }
     }
 
     // Convert between different coordinate systems
@@ -105,139 +204,260 @@ class KalasRandomChess {
         return null;
     }
 
+    // Fill in a partial rule set from the defaults, or return null if it is not valid
+    static normalizeRules(rules) {
+        if (rules === undefined || rules === null) rules = {};
+        if (typeof rules !== 'object' || Array.isArray(rules)) return null;
+
+        const normalized = {};
+        const isRankRange = (range, min, max) => Array.isArray(range) && range.length === 2 &&
+            range.every(rank => Number.isInteger(rank) && rank >= min && rank <= max) && range[0] <= range[1];
+
+        for (const [key, min, max] of [['kingRanks', 1, 8], ['pawnRanks', 2, 7], ['pieceRanks', 1, 8]]) {
+            const range = rules[key] ?? DEFAULT_RULES[key];
+            if (!isRankRange(range, min, max)) return null;
+            normalized[key] = [range[0], range[1]];
+        }
+
+        normalized.captureFreeTurns = rules.captureFreeTurns ?? DEFAULT_RULES.captureFreeTurns;
+        if (!Number.isInteger(normalized.captureFreeTurns) ||
+            normalized.captureFreeTurns < 0 || normalized.captureFreeTurns > 20) {
+            return null;
+        }
+
+        normalized.checkRule = rules.checkRule ?? DEFAULT_RULES.checkRule;
+        if (!CHECK_RULES.includes(normalized.checkRule)) return null;
+
+        normalized.castling = rules.castling ?? DEFAULT_RULES.castling;
+        if (typeof normalized.castling !== 'boolean') return null;
+
+        normalized.symmetry = rules.symmetry ?? DEFAULT_RULES.symmetry;
+        if (!SYMMETRY_MODES.includes(normalized.symmetry)) return null;
+
+        normalized.handicap = DEFAULT_RULES.handicap;
+        if (rules.handicap !== undefined && rules.handicap !== null) {
+            const { color, odds = null, extraTime = 0 } = rules.handicap;
+            if (color !== 'white' && color !== 'black') return null;
+            if (odds !== null && !HANDICAP_ODDS[odds]) return null;
+            if (!Number.isInteger(extraTime) || extraTime < 0 || extraTime > 60) return null;
+            if (odds !== null || extraTime > 0) normalized.handicap = { color, odds, extraTime };
+        }
+
+        normalized.variant = rules.variant ?? DEFAULT_RULES.variant;
+        if (normalized.variant !== 'standard' && !VARIANTS[normalized.variant]) return null;
+
+        // Every zone must have room for its pieces, even if earlier pieces land in it
+        // In a symmetric setup only White is placed, but each piece also takes its mirror square
+        const symmetric = normalized.symmetry !== 'none';
+        const groups = [];
+        for (const color of symmetric ? ['white'] : ['white', 'black']) {
+            for (const [key, count] of [['kingRanks', 1], ['pawnRanks', 8], ['pieceRanks', 7]]) {
+                const squares = KalasRandomChess.getZoneSquares(normalized[key], color);
+                const mirrored = symmetric
+                    ? squares.map(sq => KalasRandomChess.mirrorSquare(sq, normalized.symmetry))
+                    : [];
+                groups.push({ squares, mirrored, count });
+            }
+        }
+        for (let i = 0; i < groups.length; i++) {
+            let free = groups[i].squares.length;
+            for (let j = 0; j < i; j++) {
+                for (const taken of [groups[j].squares, groups[j].mirrored]) {
+                    const shared = taken.filter(sq => groups[i].squares.includes(sq)).length;
+                    free -= Math.min(shared, groups[j].count);
+                }
+            }
+            // Mirror squares of the group's own pieces can land in its zone too
+            const selfShared = groups[i].mirrored.filter(sq => groups[i].squares.includes(sq)).length;
+            free -= Math.min(selfShared, groups[i].count - 1);
+            if (free < groups[i].count) return null;
+        }
+
+        return normalized;
+    }
+
+    // Check if a rule set is the standard Kalas rule set
+    static isDefaultRules(rules) {
+        return JSON.stringify(KalasRandomChess.normalizeRules(rules)) === JSON.stringify(DEFAULT_RULES);
+    }
+
+    // Board indices (ascending) covered by a rank range, seen from the given color's side
+    static getZoneSquares(ranks, color) {
+        const rows = color === 'white'
+            ? [ranks[0] - 1, ranks[1] - 1]
+            : [8 - ranks[1], 8 - ranks[0]];
+        const squares = [];
+        for (let i = rows[0] * 8; i < (rows[1] + 1) * 8; i++) squares.push(i);
+        return squares;
+    }
+
+    // Register a rules variant under a name that can then be used as the rules' variant option
+    // A variant is an object with a label and description plus any of these optional hooks,
+    // each called with the game as its first argument:
+    //   createState(game)                   - extra state for the variant, kept in getState/loadState
+    //   getValidMoves(game, fromIndex, moves) - returns the moves to allow for the piece
+    //   afterMove(game, moveRecord)          - called once a move is on the board and the turn has
+    //                                          passed; may change the board, saving what it needs
+    //                                          to undo in moveRecord
+    //   undoMove(game, moveRecord)           - reverts afterMove, before the move itself is taken back
+    //   getResult(game)                      - { winner, message } if the variant's own win condition
+    //                                          is met after a move, otherwise null
+    //   evaluatePosition(game)               - extra score for the AI (positive = good for White)
+    static registerVariant(name, variant) {
+        if (!/^[a-z0-9-]+$/.test(name) || name === 'standard') {
+            throw new Error('Invalid variant name');
+        }
+        VARIANTS[name] = { ...variant, name };
+    }
+
+    // Registered variants, in registration order
+    static getVariants() {
+        return Object.values(VARIANTS);
+    }
+
+    // The variant module for this game's rules, or null for standard Kalas rules
+    getVariantModule() {
+        if (this.rules.variant === 'standard') return null;
+        return VARIANTS[this.rules.variant] || null;
+    }
+
+    // Fresh variant state for a new game, or null if the variant keeps none
+    createVariantState() {
+        const variant = this.getVariantModule();
+        return variant && variant.createState ? variant.createState(this) : null;
+    }
+
+    // The variant's own game result for the current position, or null
+    getVariantResult() {
+        const variant = this.getVariantModule();
+        return variant && variant.getResult ? variant.getResult(this) : null;
+    }
+
+    // The square Black's copy of a White piece goes to in a symmetric setup
+    static mirrorSquare(index, symmetry) {
+        if (symmetry === 'point') return 63 - index;
+        return (7 - Math.floor(index / 8)) * 8 + (index % 8);
+    }
+
+    // Position IDs are a 32-bit seed written in base 36 (e.g. 'K7Q2ZX')
+    // Normalize a position ID typed by a player, or return null if it is not valid
+    static normalizePositionId(positionId) {
+        if (positionId === undefined || positionId === null) return null;
+        const text = String(positionId).trim();
+        if (!/^[0-9a-zA-Z]{1,7}$/.test(text)) return null;
+        const seed = parseInt(text, 36);
+        if (seed > 0xFFFFFFFF) return null;
+        return seed.toString(36).toUpperCase();
+    }
+
+    // Create a new random position ID
+    static generatePositionId() {
+        return Math.floor(Math.random() * 0x100000000).toString(36).toUpperCase();
+    }
+
     // Generate random Kalas starting position
-    generateStartingPosition() {
+    // Passing a position ID regenerates that exact layout; otherwise a new one is picked
+    generateStartingPosition(positionId = null) {
+        const normalizedId = positionId === null
+            ? KalasRandomChess.generatePositionId()
+            : KalasRandomChess.normalizePositionId(positionId);
+        if (!normalizedId) {
+            throw new Error('Invalid position ID');
+        }
+        this.positionId = normalizedId;
+        const random = createSeededRandom(parseInt(normalizedId, 36));
+
         this.board = new Array(64).fill(null);
 
         // Helper to get random element and remove from array
         const pickRandom = (arr) => {
-            const index = Math.floor(Math.random() * arr.length);
+            const index = Math.floor(random() * arr.length);
             return arr.splice(index, 1)[0];
         };
 
-        // Available squares for each zone (converted to 0-indexed)
-        // White king: spaces #1-8 (indices 0-7, rank 1)
-        let whiteKingZone = [0, 1, 2, 3, 4, 5, 6, 7];
-
-        // White pawns: spaces #9-32 (indices 8-31, ranks 2-4)
-        let whitePawnZone = [];
-        for (let i = 8; i <= 31; i++) whitePawnZone.push(i);
-
-        // White pieces: spaces #1-24 (indices 0-23, ranks 1-3) - remaining after king
-        let whitePieceZone = [];
-        for (let i = 0; i <= 23; i++) whitePieceZone.push(i);
-
-        // Black king: spaces #57-64 (indices 56-63, rank 8)
-        let blackKingZone = [56, 57, 58, 59, 60, 61, 62, 63];
-
-        // Black pawns: ranks 5-7 (indices 32-55)
-        let blackPawnZone = [];
-        for (let i = 32; i <= 55; i++) blackPawnZone.push(i);
-
-        // Black pieces: spaces #41-64 (indices 40-63, ranks 6-8) - remaining after king
-        let blackPieceZone = [];
-        for (let i = 40; i <= 63; i++) blackPieceZone.push(i);
-
-        // Place White King
-        const whiteKingPos = pickRandom(whiteKingZone);
-        this.board[whiteKingPos] = PIECES.WHITE_KING;
-        // Remove from piece zone
-        whitePieceZone = whitePieceZone.filter(i => i !== whiteKingPos);
-
-        // Place White Pawns (8)
-        for (let i = 0; i < 8; i++) {
-            const pos = pickRandom(whitePawnZone);
-            this.board[pos] = PIECES.WHITE_PAWN;
-            // Also remove from piece zone if overlapping
-            whitePieceZone = whitePieceZone.filter(idx => idx !== pos);
-        }
-
-        // Place White Pieces (Q, R, R, B, B, N, N) - only on empty squares
-        const whitePieces = [
-            PIECES.WHITE_QUEEN,
-            PIECES.WHITE_ROOK, PIECES.WHITE_ROOK,
-            PIECES.WHITE_BISHOP, PIECES.WHITE_BISHOP,
-            PIECES.WHITE_KNIGHT, PIECES.WHITE_KNIGHT
-        ];
-        // Filter to only empty squares in piece zone
-        whitePieceZone = whitePieceZone.filter(idx => this.board[idx] === null);
-        for (const piece of whitePieces) {
-            const pos = pickRandom(whitePieceZone);
-            this.board[pos] = piece;
-        }
-
-        // Place Black King
-        const blackKingPos = pickRandom(blackKingZone);
-        this.board[blackKingPos] = PIECES.BLACK_KING;
-        // Remove from piece zone
-        blackPieceZone = blackPieceZone.filter(i => i !== blackKingPos);
-
-        // Filter black pawn zone to only empty squares (avoid overwriting white pawns on rank 4)
-        blackPawnZone = blackPawnZone.filter(idx => this.board[idx] === null);
-
-        // Place Black Pawns (8)
-        for (let i = 0; i < 8; i++) {
-            const pos = pickRandom(blackPawnZone);
-            this.board[pos] = PIECES.BLACK_PAWN;
-            // Also remove from piece zone if overlapping
-            blackPieceZone = blackPieceZone.filter(idx => idx !== pos);
-        }
-
-        // Place Black Pieces (Q, R, R, B, B, N, N) - only on empty squares
-        const blackPieces = [
-            PIECES.BLACK_QUEEN,
-            PIECES.BLACK_ROOK, PIECES.BLACK_ROOK,
-            PIECES.BLACK_BISHOP, PIECES.BLACK_BISHOP,
-            PIECES.BLACK_KNIGHT, PIECES.BLACK_KNIGHT
-        ];
-        // Filter to only empty squares in piece zone
-        blackPieceZone = blackPieceZone.filter(idx => this.board[idx] === null);
-        for (const piece of blackPieces) {
-            const pos = pickRandom(blackPieceZone);
-            this.board[pos] = piece;
-        }
+        // In a symmetric setup each White piece is copied to its mirror square for Black
+        const symmetry = this.rules.symmetry;
+        const mirror = (idx) => KalasRandomChess.mirrorSquare(idx, symmetry);
+
+        // Place one side: king, then 8 pawns, then Q, R, R, B, B, N, N on the empty squares
+        // of each zone (default zones: king rank 1, pawns ranks 2-4, pieces ranks 1-3)
+        const placeSide = (color) => {
+            const toColor = (piece) => (color === 'white' ? piece : piece.toLowerCase());
+            const zone = (ranks) => KalasRandomChess.getZoneSquares(ranks, color)
+                .filter(idx => this.board[idx] === null && (symmetry === 'none' || this.board[mirror(idx)] === null));
+            const place = (squares, piece) => {
+                const idx = pickRandom(squares);
+                this.board[idx] = toColor(piece);
+                if (symmetry === 'none') return;
+                this.board[mirror(idx)] = piece.toLowerCase();
+                if (squares.includes(mirror(idx))) squares.splice(squares.indexOf(mirror(idx)), 1);
+            };
+
+            place(zone(this.rules.kingRanks), 'K');
+
+            const pawnZone = zone(this.rules.pawnRanks);
+            for (let i = 0; i < 8; i++) {
+                place(pawnZone, 'P');
+            }
+
+            const pieceZone = zone(this.rules.pieceRanks);
+            for (const piece of ['Q', 'R', 'R', 'B', 'B', 'N', 'N']) {
+                place(pieceZone, piece);
+            }
+        };
+
+        placeSide('white');
+        if (symmetry === 'none') placeSide('black');
+        this.removeHandicapPiece();
+        this.castlingRights = this.rules.castling
+            ? this.getInitialCastlingRights()
+            : KalasRandomChess.noCastlingRights();
+        this.variantState = this.createVariantState();
 
         return this.board;
     }
 
+    // Take the odds piece away from the side giving the handicap
+    // The first one found scanning from that side's back rank goes, so a position ID always
+    // loses the same piece
+    removeHandicapPiece() {
+        const handicap = this.rules.handicap;
+        if (!handicap || !handicap.odds) return;
+        const piece = handicap.color === 'white'
+            ? HANDICAP_ODDS[handicap.odds]
+            : HANDICAP_ODDS[handicap.odds].toLowerCase();
+        const index = handicap.color === 'white' ? this.board.indexOf(piece) : this.board.lastIndexOf(piece);
+        if (index !== -1) this.board[index] = null;
+    }
+
     // Check if captures are allowed for current move
     areCapturesAllowed() {
-        // Turns 1, 2, 3: no captures allowed
+        // With the default rules turns 1, 2, 3 have no captures
         // Turn 1 = White's first, Turn 2 = Black's first, Turn 3 = White's second
         // Turn 4+ = normal play (captures allowed)
-        return this.turnCount >= 4;
+        return this.turnCount > this.rules.captureFreeTurns;
     }
 
     // Get all valid moves for a piece at given index
     getValidMoves(fromIndex) {
+        // A fresh snapshot, as variant hooks may look at other pieces' moves from here
+        return this.generateValidMoves(fromIndex, this.useBitboards ? new GameBitboards(this.board) : null);
+    }
+
+    // Valid moves for a piece, generated from the given bitboard snapshot if there is one
+    // (callers looking at several pieces of one position share a single snapshot)
+    generateValidMoves(fromIndex, bitboards) {
         const piece = this.board[fromIndex];
         if (!piece) return [];
 
         const pieceColor = this.getPieceColor(piece);
         if (pieceColor !== this.currentTurn) return [];
 
-        let moves = [];
-        const pieceType = piece.toLowerCase();
-
-        switch (pieceType) {
-            case 'p': // Pawn
-                moves = this.getPawnMoves(fromIndex, pieceColor);
-                break;
-            case 'n': // Knight
-                moves = this.getKnightMoves(fromIndex, pieceColor);
-                break;
-            case 'b': // Bishop
-                moves = this.getBishopMoves(fromIndex, pieceColor);
-                break;
-            case 'r': // Rook
-                moves = this.getRookMoves(fromIndex, pieceColor);
-                break;
-            case 'q': // Queen
-                moves = this.getQueenMoves(fromIndex, pieceColor);
-                break;
-            case 'k': // King
-                moves = this.getKingMoves(fromIndex, pieceColor);
-                break;
+        let moves = bitboards
+            ? bitboards.getPieceMoves(fromIndex, pieceColor, this.enPassantTarget)
+            : this.getPieceMoves(fromIndex, pieceColor);
+        if (piece.toLowerCase() === 'k') {
+            moves = moves.concat(this.getCastlingMoves(fromIndex, pieceColor));
         }
 
         // Filter out captures if not allowed
@@ -245,12 +465,122 @@ class KalasRandomChess {
             moves = moves.filter(move => !move.isCapture);
         }
 
-        // Note: Players CAN make moves that leave their king in check
+        // Note: By default players CAN make moves that leave their king in check
         // If they do, they lose the game (checked after the move)
+        if (this.rules.checkRule === 'illegal') {
+            // Castling already checks every square the king crosses
+            moves = moves.filter(move => move.isCastling || (bitboards
+                ? !bitboards.wouldLeaveKingAttacked(fromIndex, move.to, pieceColor, this.enPassantTarget)
+                : !this.wouldBeInCheck(fromIndex, move.to, pieceColor)));
+        }
+
+        const variant = this.getVariantModule();
+        if (variant && variant.getValidMoves) {
+            moves = variant.getValidMoves(this, fromIndex, moves);
+        }
 
         return moves;
     }
 
+    // Bitboard snapshot of the current position, reused by the next call that loads one
+    // Pass it to countValidMoves and isInCheck to answer several questions about one position
+    getBitboards() {
+        return MOVE_BITBOARDS.load(this.board);
+    }
+
+    // Every valid move for the side to move, each tagged with its from square
+    // Pass a snapshot of the current position to skip loading one
+    getAllValidMoves(bitboards = null) {
+        const moves = [];
+        if (!this.useBitboards) {
+            for (let i = 0; i < 64; i++) {
+                for (const move of this.generateValidMoves(i, null)) {
+                    move.from = i;
+                    moves.push(move);
+                }
+            }
+            return moves;
+        }
+
+        if (!bitboards) bitboards = this.getBitboards();
+        for (const i of bitboards.getSquares(this.currentTurn)) {
+            for (const move of this.generateValidMoves(i, bitboards)) {
+                move.from = i;
+                moves.push(move);
+            }
+        }
+        return moves;
+    }
+
+    // Write every valid move for the side to move into a packed move list (see Bitboards.encodeMove)
+    // from index count on, in getAllValidMoves order, and return the list's new length
+    // Searches use this to look at many positions without building move objects for each
+    addValidMoves(moves, count, bitboards = null) {
+        const variant = this.getVariantModule();
+        if (!this.useBitboards || this.rules.checkRule === 'illegal' || (variant && variant.getValidMoves)) {
+            for (const move of this.getAllValidMoves(bitboards)) {
+                moves[count++] = GameBitboards.encodeMove(move.from, move);
+            }
+            return count;
+        }
+
+        // Nothing filters single moves, so they come straight from the bitboards
+        if (!bitboards) bitboards = this.getBitboards();
+        const start = count;
+        count = bitboards.addMoves(this.currentTurn, this.areCapturesAllowed(), this.enPassantTarget, moves, count);
+        const kingIndex = bitboards.findKing(this.currentTurn);
+        if (!this.rules.castling || kingIndex === -1) return count;
+
+        // Castling moves follow the king's other moves
+        const castlingMoves = this.getCastlingMoves(kingIndex, this.currentTurn);
+        if (castlingMoves.length === 0) return count;
+        let insertAt = start;
+        while (insertAt < count && (moves[insertAt] & 63) <= kingIndex) insertAt++;
+        moves.copyWithin(insertAt + castlingMoves.length, insertAt, count);
+        castlingMoves.forEach((move, i) => { moves[insertAt + i] = GameBitboards.encodeMove(kingIndex, move); });
+        return count + castlingMoves.length;
+    }
+
+    // Number of valid moves a color's pieces have, whoever's turn it is
+    countValidMoves(color, bitboards = null) {
+        const variant = this.getVariantModule();
+        if (this.useBitboards && this.rules.checkRule !== 'illegal' && !(variant && variant.getValidMoves)) {
+            // Nothing filters single moves, so the bitboards can count them without generating them
+            if (!bitboards) bitboards = this.getBitboards();
+            let count = bitboards.countMoves(color, this.areCapturesAllowed(), this.enPassantTarget);
+            const kingIndex = bitboards.findKing(color);
+            if (this.rules.castling && kingIndex !== -1) {
+                count += this.getCastlingMoves(kingIndex, color).length;
+            }
+            return count;
+        }
+
+        const originalTurn = this.currentTurn;
+        this.currentTurn = color;
+        const count = this.getAllValidMoves(this.useBitboards ? bitboards : null).length;
+        this.currentTurn = originalTurn;
+        return count;
+    }
+
+    // Moves for a piece straight from the board array, before any rule filters them
+    getPieceMoves(fromIndex, color) {
+        switch (this.board[fromIndex].toLowerCase()) {
+            case 'p': // Pawn
+                return this.getPawnMoves(fromIndex, color);
+            case 'n': // Knight
+                return this.getKnightMoves(fromIndex, color);
+            case 'b': // Bishop
+                return this.getBishopMoves(fromIndex, color);
+            case 'r': // Rook
+                return this.getRookMoves(fromIndex, color);
+            case 'q': // Queen
+                return this.getQueenMoves(fromIndex, color);
+            case 'k': // King
+                return this.getKingMoves(fromIndex, color);
+        }
+        return [];
+    }
+
     // Pawn moves
     getPawnMoves(fromIndex, color) {
         const moves = [];
@@ -259,10 +589,12 @@ class KalasRandomChess {
         const direction = color === 'white' ? 1 : -1;
         const startRow = color === 'white' ? 1 : 6; // 2nd rank for each color
 
+        const promotionRow = color === 'white' ? 7 : 0;
+
         // Forward move (one square)
         const forwardOne = fromIndex + (8 * direction);
         if (forwardOne >= 0 && forwardOne < 64 && !this.board[forwardOne]) {
-            moves.push({ to: forwardOne, isCapture: false });
+            moves.push({ to: forwardOne, isCapture: false, isPromotion: this.getRow(forwardOne) === promotionRow });
 
             // Double move from starting rank
             if (row === startRow) {
@@ -283,7 +615,7 @@ class KalasRandomChess {
             if (Math.abs(captureCol - col) === 1 && captureIndex >= 0 && captureIndex < 64) {
                 const targetPiece = this.board[captureIndex];
                 if (targetPiece && this.getPieceColor(targetPiece) !== color) {
-                    moves.push({ to: captureIndex, isCapture: true });
+                    moves.push({ to: captureIndex, isCapture: true, isPromotion: this.getRow(captureIndex) === promotionRow });
                 }
             }
         }
@@ -414,6 +746,84 @@ class KalasRandomChess {
         return moves;
     }
 
+    // Castling rights with nothing allowed
+    static noCastlingRights() {
+        return {
+            white: { kingside: null, queenside: null },
+            black: { kingside: null, queenside: null }
+        };
+    }
+
+    // Castling rights at the start of a game: a king on its back rank may castle with the
+    // outermost rook on that rank on each side of it (Chess960 style)
+    getInitialCastlingRights() {
+        const rights = KalasRandomChess.noCastlingRights();
+        for (const color of ['white', 'black']) {
+            const backRow = color === 'white' ? 0 : 7;
+            const kingIndex = this.findKing(color);
+            if (kingIndex === -1 || this.getRow(kingIndex) !== backRow) continue;
+
+            const rook = color === 'white' ? PIECES.WHITE_ROOK : PIECES.BLACK_ROOK;
+            for (let col = 0; col < 8; col++) {
+                const index = backRow * 8 + col;
+                if (this.board[index] !== rook) continue;
+                if (col < this.getCol(kingIndex) && rights[color].queenside === null) {
+                    rights[color].queenside = index;
+                } else if (col > this.getCol(kingIndex)) {
+                    rights[color].kingside = index;
+                }
+            }
+        }
+        return rights;
+    }
+
+    // Castling moves for the king at fromIndex
+    // The move targets the rook's square (king "takes" its own rook) so it never clashes with a
+    // normal king move; the king still ends on the g/c file and the rook on the f/d file
+    getCastlingMoves(fromIndex, color) {
+        const moves = [];
+        const rights = this.castlingRights[color];
+        const backRow = color === 'white' ? 0 : 7;
+        const king = this.board[fromIndex];
+        const rook = color === 'white' ? PIECES.WHITE_ROOK : PIECES.BLACK_ROOK;
+        const opponentColor = color === 'white' ? 'black' : 'white';
+        if (this.getRow(fromIndex) !== backRow) return moves;
+
+        for (const side of ['kingside', 'queenside']) {
+            const rookFrom = rights[side];
+            if (rookFrom === null || this.board[rookFrom] !== rook) continue;
+            const kingTo = backRow * 8 + (side === 'kingside' ? 6 : 2);
+            const rookTo = backRow * 8 + (side === 'kingside' ? 5 : 3);
+
+            // Every square the king and rook cross must be empty, apart from the two of them
+            const squares = [fromIndex, kingTo, rookFrom, rookTo];
+            const first = Math.min(...squares);
+            const last = Math.max(...squares);
+            let blocked = false;
+            for (let i = first; i <= last; i++) {
+                if (i !== fromIndex && i !== rookFrom && this.board[i]) blocked = true;
+            }
+            if (blocked) continue;
+
+            // The king may not castle out of, through or into check
+            this.board[fromIndex] = null;
+            this.board[rookFrom] = null;
+            let attacked = false;
+            const step = kingTo >= fromIndex ? 1 : -1;
+            for (let i = fromIndex; ; i += step) {
+                if (this.isSquareAttacked(i, opponentColor)) attacked = true;
+                if (i === kingTo) break;
+            }
+            this.board[fromIndex] = king;
+            this.board[rookFrom] = rook;
+            if (attacked) continue;
+
+            moves.push({ to: rookFrom, isCapture: false, isCastling: true, castlingSide: side, kingTo, rookTo });
+        }
+
+        return moves;
+    }
+
     // Find king position for a color
     findKing(color) {
         const kingPiece = color === 'white' ? PIECES.WHITE_KING : PIECES.BLACK_KING;
@@ -422,6 +832,10 @@ class KalasRandomChess {
 
     // Check if a square is attacked by opponent
     isSquareAttacked(squareIndex, byColor) {
+        if (this.useBitboards) {
+            return ATTACK_BITBOARDS.load(this.board).isAttacked(squareIndex, byColor);
+        }
+
         for (let i = 0; i < 64; i++) {
             const piece = this.board[i];
             if (!piece || this.getPieceColor(piece) !== byColor) continue;
@@ -483,6 +897,15 @@ class KalasRandomChess {
         const originalFrom = this.board[fromIndex];
         const originalTo = this.board[toIndex];
 
+        // An en passant capture also removes the pawn beside the capturing pawn
+        let epIndex = null;
+        let epPiece = null;
+        if (toIndex === this.enPassantTarget && !originalTo && originalFrom.toLowerCase() === 'p') {
+            epIndex = toIndex + (color === 'white' ? -8 : 8);
+            epPiece = this.board[epIndex];
+            this.board[epIndex] = null;
+        }
+
         this.board[toIndex] = originalFrom;
         this.board[fromIndex] = null;
 
@@ -494,32 +917,212 @@ class KalasRandomChess {
         // Undo move
         this.board[fromIndex] = originalFrom;
         this.board[toIndex] = originalTo;
+        if (epIndex !== null) this.board[epIndex] = epPiece;
 
         return inCheck;
     }
 
     // Check if current player is in check
-    isInCheck(color) {
+    isInCheck(color, bitboards = null) {
+        const opponentColor = color === 'white' ? 'black' : 'white';
+        if (bitboards && this.useBitboards) {
+            const kingIndex = bitboards.findKing(color);
+            return kingIndex !== -1 && bitboards.isAttacked(kingIndex, opponentColor);
+        }
         const kingIndex = this.findKing(color);
         if (kingIndex === -1) return false;
-        const opponentColor = color === 'white' ? 'black' : 'white';
         return this.isSquareAttacked(kingIndex, opponentColor);
     }
 
     // Check if current player has any valid moves
     hasValidMoves(color) {
+        const bitboards = this.useBitboards ? MOVE_BITBOARDS.load(this.board) : null;
         for (let i = 0; i < 64; i++) {
             const piece = this.board[i];
             if (piece && this.getPieceColor(piece) === color) {
-                const moves = this.getValidMoves(i);
+                const moves = this.generateValidMoves(i, bitboards);
                 if (moves.length > 0) return true;
             }
         }
         return false;
     }
 
+    // Key identifying a position for repetition purposes (board, side to move, en passant)
+    getPositionKey() {
+        let epSquare = '-';
+        if (this.enPassantTarget !== null) {
+            // Only counts if a pawn of the side to move can actually capture en passant
+            const pawn = this.currentTurn === 'white' ? PIECES.WHITE_PAWN : PIECES.BLACK_PAWN;
+            const pawnRow = this.currentTurn === 'white' ? 4 : 3;
+            const epCol = this.getCol(this.enPassantTarget);
+            for (const col of [epCol - 1, epCol + 1]) {
+                if (col >= 0 && col < 8 && this.board[pawnRow * 8 + col] === pawn) {
+                    epSquare = this.indexToAlgebraic(this.enPassantTarget);
+                }
+            }
+        }
+        return this.board.map(p => p || '.').join('') + ' ' + this.currentTurn + ' ' +
+            this.getCastlingField() + ' ' + epSquare;
+    }
+
+    // Castling rights as rook files (Shredder-FEN style, e.g. 'HAha'), or '-' if there are none
+    getCastlingField() {
+        let field = '';
+        for (const color of ['white', 'black']) {
+            for (const side of ['kingside', 'queenside']) {
+                const rookIndex = this.castlingRights[color][side];
+                if (rookIndex === null) continue;
+                const file = String.fromCharCode(97 + this.getCol(rookIndex));
+                field += color === 'white' ? file.toUpperCase() : file;
+            }
+        }
+        return field || '-';
+    }
+
+    // Count how many times the current position has occurred
+    getRepetitionCount() {
+        const key = this.getPositionKey();
+        return this.positionHistory.filter(k => k === key).length;
+    }
+
+    // Check if neither side has enough material to checkmate
+    isInsufficientMaterial() {
+        const minors = [];
+        for (let i = 0; i < 64; i++) {
+            const piece = this.board[i];
+            if (!piece) continue;
+            const pieceType = piece.toLowerCase();
+            if (pieceType === 'k') continue;
+            if (pieceType !== 'b' && pieceType !== 'n') return false;
+            minors.push({ type: pieceType, index: i });
+        }
+
+        // Bare kings, or a single minor piece
+        if (minors.length <= 1) return true;
+
+        // Only bishops, all on the same square color
+        if (minors.every(m => m.type === 'b')) {
+            const squareColor = (m) => (this.getRow(m.index) + this.getCol(m.index)) % 2;
+            return minors.every(m => squareColor(m) === squareColor(minors[0]));
+        }
+
+        return false;
+    }
+
+    // Resolve a promotion choice ('q', 'r', 'b', 'n' in either case) to the piece for a color
+    // Returns null if the choice is not a legal promotion piece
+    getPromotionPiece(promotion, color) {
+        if (promotion === undefined || promotion === null) promotion = 'q';
+        if (typeof promotion !== 'string' || promotion.length !== 1) return null;
+        const type = promotion.toLowerCase();
+        if (!PROMOTION_PIECES.includes(type)) return null;
+        return color === 'white' ? type.toUpperCase() : type;
+    }
+
+    // Standard algebraic notation for a move about to be played, without the check suffix
+    // Must be called before the move is made; promotionPiece is the piece the pawn becomes
+    getSAN(fromIndex, toIndex, promotionPiece = null) {
+        const piece = this.board[fromIndex];
+        const pieceType = piece.toUpperCase();
+        const target = this.indexToAlgebraic(toIndex);
+        const move = this.getValidMoves(fromIndex).find(m => m.to === toIndex);
+        const isCapture = !!(move && move.isCapture);
+
+        if (move && move.isCastling) {
+            return move.castlingSide === 'kingside' ? 'O-O' : 'O-O-O';
+        }
+
+        if (pieceType === 'P') {
+            let san = isCapture ? `${this.indexToAlgebraic(fromIndex)[0]}x${target}` : target;
+            if (promotionPiece) san += '=' + promotionPiece.toUpperCase();
+            return san;
+        }
+
+        // Disambiguate from other pieces of the same kind that can reach the target
+        const rivals = [];
+        for (let i = 0; i < 64; i++) {
+            if (i !== fromIndex && this.board[i] === piece &&
+                this.getValidMoves(i).some(m => m.to === toIndex)) {
+                rivals.push(i);
+            }
+        }
+        let disambiguation = '';
+        if (rivals.length > 0) {
+            const square = this.indexToAlgebraic(fromIndex);
+            if (rivals.every(i => this.getCol(i) !== this.getCol(fromIndex))) {
+                disambiguation = square[0];
+            } else if (rivals.every(i => this.getRow(i) !== this.getRow(fromIndex))) {
+                disambiguation = square[1];
+            } else {
+                disambiguation = square;
+            }
+        }
+
+        return pieceType + disambiguation + (isCapture ? 'x' : '') + target;
+    }
+
+    // Parse a move in standard algebraic notation (e.g. 'Nf3', 'exd6', 'R1a3', 'e8=Q+', 'O-O')
+    // Returns { success, from, to, promotion } or { success: false, error }
+    parseSAN(san) {
+        if (typeof san !== 'string') return { success: false, error: 'Move must be a string' };
+        const text = san.trim().replace(/\s*e\.p\.$/, '').replace(/[+#!?]+$/, '');
+
+        // Castling (the move goes to the rook's square)
+        const castling = text.match(/^([O0])-\1(-\1)?$/);
+        if (castling) {
+            const side = castling[2] ? 'queenside' : 'kingside';
+            const kingIndex = this.findKing(this.currentTurn);
+            const move = this.getValidMoves(kingIndex).find(m => m.isCastling && m.castlingSide === side);
+            if (!move) return { success: false, error: `Illegal move '${san}'` };
+            return { success: true, from: kingIndex, to: move.to, promotion: null };
+        }
+        const match = text.match(/^([KQRBN])?([a-h])?([1-8])?(x)?([a-h][1-8])(?:=?([QRBNqrbn]))?$/);
+        if (!match) return { success: false, error: `Unreadable move '${san}'` };
+
+        const [, pieceLetter, fromFile, fromRank, captureMark, target, promotionLetter] = match;
+        const toIndex = this.algebraicToIndex(target);
+        const piece = this.currentTurn === 'white' ? (pieceLetter || 'P') : (pieceLetter || 'P').toLowerCase();
+
+        const candidates = [];
+        for (let i = 0; i < 64; i++) {
+            if (this.board[i] !== piece) continue;
+            const square = this.indexToAlgebraic(i);
+            if (fromFile && square[0] !== fromFile) continue;
+            if (fromRank && square[1] !== fromRank) continue;
+            const move = this.getValidMoves(i).find(m => m.to === toIndex);
+            if (move && (!captureMark || move.isCapture)) candidates.push({ from: i, move });
+        }
+
+        if (candidates.length === 0) return { success: false, error: `Illegal move '${san}'` };
+        if (candidates.length > 1) return { success: false, error: `Ambiguous move '${san}'` };
+
+        const { from, move } = candidates[0];
+        if (promotionLetter && !move.isPromotion) {
+            return { success: false, error: `'${san}' is not a promotion` };
+        }
+        return { success: true, from, to: toIndex, promotion: promotionLetter ? promotionLetter.toLowerCase() : null };
+    }
+
+    // Make a move given in standard algebraic notation
+    makeSANMove(san) {
+        const parsed = this.parseSAN(san);
+        if (!parsed.success) return parsed;
+        return this.makeMove(parsed.from, parsed.to, parsed.promotion);
+    }
+
+    // The from/to squares and promotion that replay a recorded move through makeMove, as sent to the server
+    // (a castling move is recorded with the king's landing square but played by moving the king onto its rook)
+    static moveInput(move) {
+        return {
+            from: move.from,
+            to: move.castling?.rookFrom ?? move.to,
+            promotion: move.promotion ? move.promotion.toLowerCase() : null
+        };
+    }
+
     // Make a move
-    makeMove(fromIndex, toIndex) {
+    // promotion: piece to promote to ('q', 'r', 'b' or 'n'), defaults to queen
+    makeMove(fromIndex, toIndex, promotion = null) {
         const piece = this.board[fromIndex];
         if (!piece) return { success: false, error: 'No piece at source' };
 
@@ -535,14 +1138,36 @@ class KalasRandomChess {
             return { success: false, error: 'Invalid move' };
         }
 
+        // Remember the starting position before the first move
+        if (this.positionHistory.length === 0) {
+            this.positionHistory.push(this.getPositionKey());
+        }
+
+        let promotionPiece = null;
+        if (move.isPromotion) {
+            promotionPiece = this.getPromotionPiece(promotion, pieceColor);
+            if (!promotionPiece) {
+                return { success: false, error: 'Invalid promotion piece' };
+            }
+        }
+
         // Record the move
-        let capturedPiece = this.board[toIndex];
+        let capturedPiece = move.isCastling ? null : this.board[toIndex];
+        const san = this.getSAN(fromIndex, toIndex, promotionPiece);
         const moveRecord = {
             from: fromIndex,
-            to: toIndex,
+            to: move.isCastling ? move.kingTo : toIndex,
             piece: piece,
             captured: capturedPiece,
-            moveNumber: this.moveNumber
+            moveNumber: this.moveNumber,
+            // State before the move, so undoMove can restore it
+            prevEnPassantTarget: this.enPassantTarget,
+            prevHalfmoveClock: this.halfmoveClock,
+            prevLastMove: this.lastMove,
+            prevCastlingRights: {
+                white: { ...this.castlingRights.white },
+                black: { ...this.castlingRights.black }
+            }
         };
 
         // Handle en passant capture
@@ -556,8 +1181,19 @@ class KalasRandomChess {
         }
 
         // Execute the move
-        this.board[toIndex] = piece;
-        this.board[fromIndex] = null;
+        if (move.isCastling) {
+            // King and rook jump to their castled squares
+            const rook = this.board[toIndex];
+            this.board[fromIndex] = null;
+            this.board[toIndex] = null;
+            this.board[move.kingTo] = piece;
+            this.board[move.rookTo] = rook;
+            moveRecord.castling = { side: move.castlingSide, rookFrom: toIndex, rookTo: move.rookTo };
+        } else {
+            this.board[toIndex] = piece;
+            this.board[fromIndex] = null;
+        }
+        this.updateCastlingRights(moveRecord);
 
         // Set en passant target if this was a double pawn push
         if (move.isDoublePush) {
@@ -567,18 +1203,27 @@ class KalasRandomChess {
             this.enPassantTarget = null;
         }
 
-        // Handle pawn promotion (auto-queen for simplicity)
-        if ((piece === PIECES.WHITE_PAWN && this.getRow(toIndex) === 7) ||
-            (piece === PIECES.BLACK_PAWN && this.getRow(toIndex) === 0)) {
-            this.board[toIndex] = pieceColor === 'white' ? PIECES.WHITE_QUEEN : PIECES.BLACK_QUEEN;
-            moveRecord.promotion = this.board[toIndex];
+        // Handle pawn promotion
+        if (promotionPiece) {
+            this.board[toIndex] = promotionPiece;
+            moveRecord.promotion = promotionPiece;
         }
 
-        this.lastMove = { from: fromIndex, to: toIndex };
+        this.lastMove = { from: fromIndex, to: moveRecord.to };
         this.moveHistory.push(moveRecord);
 
+        // Pawn moves and captures reset the fifty-move counter
+        if (piece.toLowerCase() === 'p' || moveRecord.captured) {
+            this.halfmoveClock = 0;
+        } else {
+            this.halfmoveClock++;
+        }
+
         // Update the timer for the player who just moved BEFORE switching turns
         this.updateTime();
+        this.addMoveBonus();
+        moveRecord.whiteTime = this.whiteTime;
+        moveRecord.blackTime = this.blackTime;
 
         // Switch turn and increment counters
         if (this.currentTurn === 'black') {
@@ -587,12 +1232,27 @@ class KalasRandomChess {
         this.turnCount++; // Increment turn count for every move
         this.currentTurn = this.currentTurn === 'white' ? 'black' : 'white';
 
+        const variant = this.getVariantModule();
+        if (variant && variant.afterMove) {
+            variant.afterMove(this, moveRecord);
+        }
+        this.positionHistory.push(this.getPositionKey());
+
         // Reset the timestamp so the new player's timer starts fresh
         this.lastTimestamp = Date.now();
 
         // Check for game end conditions
         const gameStatus = this.checkGameStatus();
 
+        // Add the check or checkmate suffix now that the position is known
+        if (gameStatus.result === 'checkmate') {
+            moveRecord.san = san + '#';
+        } else if (this.isInCheck(this.currentTurn)) {
+            moveRecord.san = san + '+';
+        } else {
+            moveRecord.san = san;
+        }
+
         return {
             success: true,
             move: moveRecord,
@@ -600,6 +1260,120 @@ class KalasRandomChess {
         };
     }
 
+    // Drop castling rights once a king or castling rook moves or the rook is captured
+    updateCastlingRights(moveRecord) {
+        const color = this.getPieceColor(moveRecord.piece);
+        const opponent = color === 'white' ? 'black' : 'white';
+        if (moveRecord.piece.toLowerCase() === 'k') {
+            this.castlingRights[color] = { kingside: null, queenside: null };
+        }
+        for (const side of ['kingside', 'queenside']) {
+            if (this.castlingRights[color][side] === moveRecord.from) {
+                this.castlingRights[color][side] = null;
+            }
+            if (this.castlingRights[opponent][side] === moveRecord.to) {
+                this.castlingRights[opponent][side] = null;
+            }
+        }
+    }
+
+    // Take back the last plies moves at a player's request (see undoMove). Unlike moves undone
+    // while searching, they still count as played when deciding whether a side may abort
+    takeBack(plies) {
+        for (let i = 0; i < plies; i++) {
+            const move = this.moveHistory[this.moveHistory.length - 1];
+            if (!this.undoMove().success) break;
+            this.takenBack[this.getPieceColor(move.piece)] = true;
+        }
+    }
+
+    // Take back the last move, restoring the board, counters and clocks
+    undoMove() {
+        if (this.gameOver) return { success: false, error: 'Game is over' };
+        if (this.moveHistory.length === 0) return { success: false, error: 'No moves to undo' };
+
+        const moveRecord = this.moveHistory.pop();
+        const pieceColor = this.getPieceColor(moveRecord.piece);
+
+        const variant = this.getVariantModule();
+        if (variant && variant.undoMove) {
+            variant.undoMove(this, moveRecord);
+        }
+
+        // Restore the board (the original pawn comes back if it promoted)
+        if (moveRecord.castling) {
+            const rook = this.board[moveRecord.castling.rookTo];
+            this.board[moveRecord.to] = null;
+            this.board[moveRecord.castling.rookTo] = null;
+            this.board[moveRecord.castling.rookFrom] = rook;
+            this.board[moveRecord.from] = moveRecord.piece;
+        } else if (moveRecord.isEnPassant) {
+            this.board[moveRecord.from] = moveRecord.piece;
+            const capturedPawnIndex = moveRecord.to + (pieceColor === 'white' ? -8 : 8);
+            this.board[capturedPawnIndex] = moveRecord.captured;
+            this.board[moveRecord.to] = null;
+        } else {
+            this.board[moveRecord.from] = moveRecord.piece;
+            this.board[moveRecord.to] = moveRecord.captured || null;
+        }
+
+        // Restore counters
+        this.currentTurn = pieceColor;
+        this.turnCount--;
+        this.moveNumber = moveRecord.moveNumber;
+        this.enPassantTarget = moveRecord.prevEnPassantTarget ?? null;
+        this.halfmoveClock = moveRecord.prevHalfmoveClock ?? 0;
+        this.lastMove = moveRecord.prevLastMove ?? null;
+        if (moveRecord.prevCastlingRights) {
+            this.castlingRights = {
+                white: { ...moveRecord.prevCastlingRights.white },
+                black: { ...moveRecord.prevCastlingRights.black }
+            };
+        }
+        this.positionHistory.pop();
+
+        // Restore clocks to when the move was made
+        if (moveRecord.whiteTime !== undefined) this.whiteTime = moveRecord.whiteTime;
+        if (moveRecord.blackTime !== undefined) this.blackTime = moveRecord.blackTime;
+        this.turnTime = 0;
+        this.lastTimestamp = Date.now();
+
+        return { success: true, move: moveRecord };
+    }
+
+    // Perft: the number of move sequences of the given length from this position, with each
+    // promotion piece counted as its own move and a move that ends the game ending its sequence
+    // Moves are played with makeMove so every rule counts; the position is restored afterwards
+    perft(depth) {
+        if (depth <= 0) return 1;
+        if (this.gameOver) return 0;
+
+        let nodes = 0;
+        for (const move of this.getAllValidMoves()) {
+            const promotions = move.isPromotion ? PROMOTION_PIECES : [null];
+            if (depth === 1) {
+                nodes += promotions.length;
+                continue;
+            }
+            for (const promotion of promotions) {
+                const timerRunning = this.timerRunning;
+                const result = this.makeMove(move.from, move.to, promotion);
+                if (result.gameStatus.gameOver) {
+                    nodes++;
+                    // Reopen the game so the move can be taken back
+                    this.gameOver = false;
+                    this.winner = null;
+                    this.result = null;
+                    this.timerRunning = timerRunning;
+                } else {
+                    nodes += this.perft(depth - 1);
+                }
+                this.undoMove();
+            }
+        }
+        return nodes;
+    }
+
     // Check game status (checkmate, stalemate, etc.)
     checkGameStatus() {
         const currentColor = this.currentTurn;
@@ -610,6 +1384,7 @@ class KalasRandomChess {
         if (this.isInCheck(previousColor)) {
             this.gameOver = true;
             this.winner = currentColor;
+            this.result = 'left-in-check';
             return {
                 gameOver: true,
                 result: 'left-in-check',
@@ -618,6 +1393,21 @@ class KalasRandomChess {
             };
         }
 
+        // The variant's own win condition
+        const variantResult = this.getVariantResult();
+        if (variantResult) {
+            this.gameOver = true;
+            this.winner = variantResult.winner;
+            this.result = this.rules.variant;
+            this.timerRunning = false;
+            return {
+                gameOver: true,
+                result: this.result,
+                winner: this.winner,
+                message: variantResult.message
+            };
+        }
+
         const inCheck = this.isInCheck(currentColor);
         const hasMoves = this.hasValidMoves(currentColor);
 
@@ -625,6 +1415,7 @@ class KalasRandomChess {
             this.gameOver = true;
             if (inCheck) {
                 this.winner = currentColor === 'white' ? 'black' : 'white';
+                this.result = 'checkmate';
                 return {
                     gameOver: true,
                     result: 'checkmate',
@@ -632,15 +1423,16 @@ class KalasRandomChess {
                     message: `Checkmate! ${this.winner.charAt(0).toUpperCase() + this.winner.slice(1)} wins!`
                 };
             } else {
-                return {
-                    gameOver: true,
-                    result: 'stalemate',
-                    winner: null,
-                    message: 'Stalemate! The game is a draw.'
-                };
+                return this.endInDraw('stalemate');
             }
         }
 
+        // Automatic draws
+        const drawStatus = this.checkDrawRules();
+        if (drawStatus) {
+            return drawStatus;
+        }
+
         if (inCheck) {
             return {
                 gameOver: false,
@@ -652,6 +1444,55 @@ class KalasRandomChess {
         return { gameOver: false };
     }
 
+    // Check the automatic draw rules (insufficient material, fivefold repetition, seventy-five moves)
+    // Ends the game and returns its status if one applies, otherwise null
+    checkDrawRules() {
+        if (this.isInsufficientMaterial()) return this.endInDraw('insufficient-material');
+        if (this.getRepetitionCount() >= 5) return this.endInDraw('fivefold-repetition');
+        if (this.halfmoveClock >= 150) return this.endInDraw('seventy-five-move-rule');
+        return null;
+    }
+
+    // Check if a draw can be claimed (threefold repetition or fifty-move rule)
+    // Returns the result the claim would end the game with, or null
+    canClaimDraw() {
+        if (this.gameOver) return null;
+        if (this.getRepetitionCount() >= 3) return 'threefold-repetition';
+        if (this.halfmoveClock >= 100) return 'fifty-move-rule';
+        return null;
+    }
+
+    // Claim a draw - returns the game status, or null if no draw can be claimed
+    claimDraw() {
+        const result = this.canClaimDraw();
+        if (!result) return null;
+        return this.endInDraw(result);
+    }
+
+    // Draw by mutual agreement
+    agreeDraw() {
+        return this.endInDraw('agreement');
+    }
+
+    // End the game as a draw with the given result
+    endInDraw(result) {
+        this.gameOver = true;
+        this.winner = null;
+        this.result = result;
+        this.timerRunning = false;
+        return {
+            gameOver: true,
+            result: result,
+            winner: null,
+            message: DRAW_MESSAGES[result]
+        };
+    }
+
+    // Check if a game result is a draw
+    isDrawResult(result) {
+        return DRAW_RESULTS.includes(result);
+    }
+
     // Get game state for syncing
     getState() {
         this.updateTime();
@@ -662,13 +1503,27 @@ class KalasRandomChess {
             turnCount: this.turnCount,
             gameOver: this.gameOver,
             winner: this.winner,
+            result: this.result,
             lastMove: this.lastMove,
             capturesAllowed: this.areCapturesAllowed(),
             moveHistory: [...this.moveHistory],
+            takenBack: { ...this.takenBack },
             whiteTime: this.whiteTime,
             blackTime: this.blackTime,
             timeControl: this.timeControl,
-            enPassantTarget: this.enPassantTarget
+            increment: this.increment,
+            clockMode: this.clockMode,
+            turnTime: this.turnTime,
+            enPassantTarget: this.enPassantTarget,
+            halfmoveClock: this.halfmoveClock,
+            positionHistory: [...this.positionHistory],
+            positionId: this.positionId,
+            rules: { ...this.rules },
+            castlingRights: {
+                white: { ...this.castlingRights.white },
+                black: { ...this.castlingRights.black }
+            },
+            variantState: this.variantState === null ? null : JSON.parse(JSON.stringify(this.variantState))
         };
     }
 
@@ -680,18 +1535,411 @@ class KalasRandomChess {
         this.turnCount = state.turnCount ?? (state.moveHistory ? state.moveHistory.length + 1 : 1);
         this.gameOver = state.gameOver || false;
         this.winner = state.winner || null;
+        this.result = state.result || null;
         this.lastMove = state.lastMove || null;
         this.moveHistory = state.moveHistory || [];
+        this.takenBack = state.takenBack ? { ...state.takenBack } : { white: false, black: false };
         this.whiteTime = state.whiteTime ?? this.whiteTime;
         this.blackTime = state.blackTime ?? this.blackTime;
         this.timeControl = state.timeControl ?? this.timeControl;
+        this.increment = state.increment ?? this.increment;
+        this.clockMode = state.clockMode ?? this.clockMode;
+        this.turnTime = state.turnTime ?? 0;
         this.enPassantTarget = state.enPassantTarget ?? null;
+        this.halfmoveClock = state.halfmoveClock ?? 0;
+        this.positionHistory = state.positionHistory ? [...state.positionHistory] : [];
+        this.positionId = state.positionId ?? null;
+        this.rules = KalasRandomChess.normalizeRules(state.rules) || this.rules;
+        this.castlingRights = state.castlingRights
+            ? { white: { ...state.castlingRights.white }, black: { ...state.castlingRights.black } }
+            : KalasRandomChess.noCastlingRights();
+        this.variantState = state.variantState !== undefined && state.variantState !== null
+            ? JSON.parse(JSON.stringify(state.variantState))
+            : this.createVariantState();
+    }
+
+    // Serialize the position as a FEN-style string:
+    // "<placement> <side> <castling> <en passant> <halfmove clock> <fullmove number> <turn count>"
+    // The extra seventh field is the Kalas turn count that drives the capture restriction
+    toFEN() {
+        const ranks = [];
+        for (let row = 7; row >= 0; row--) {
+            let rank = '';
+            let empty = 0;
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row * 8 + col];
+                if (piece) {
+                    if (empty > 0) rank += empty;
+                    rank += piece;
+                    empty = 0;
+                } else {
+                    empty++;
+                }
+            }
+            if (empty > 0) rank += empty;
+            ranks.push(rank);
+        }
+
+        const epSquare = this.enPassantTarget === null ? '-' : this.indexToAlgebraic(this.enPassantTarget);
+        return [
+            ranks.join('/'),
+            this.currentTurn === 'white' ? 'w' : 'b',
+            this.getCastlingField(),
+            epSquare,
+            this.halfmoveClock,
+            this.moveNumber,
+            this.turnCount
+        ].join(' ');
+    }
+
+    // Parse and validate a FEN-style string without touching the game
+    // The turn count field is optional and is derived from the fullmove number when missing
+    static parseFEN(fen) {
+        if (typeof fen !== 'string') return { success: false, error: 'FEN must be a string' };
+        const fields = fen.trim().split(/\s+/);
+        if (fields.length < 6 || fields.length > 7) {
+            return { success: false, error: 'FEN must have 6 or 7 fields' };
+        }
+        const [placement, side, castling, epField, halfmoveField, fullmoveField, turnCountField] = fields;
+
+        // Piece placement, from rank 8 down to rank 1
+        const rows = placement.split('/');
+        if (rows.length !== 8) return { success: false, error: 'Board must have 8 ranks' };
+        const board = new Array(64).fill(null);
+        for (let r = 0; r < 8; r++) {
+            const row = 7 - r;
+            let col = 0;
+            for (const ch of rows[r]) {
+                if (/[1-8]/.test(ch)) {
+                    col += parseInt(ch);
+                } else if ('KQRBNPkqrbnp'.includes(ch)) {
+                    if (col < 8) board[row * 8 + col] = ch;
+                    col++;
+                } else {
+                    return { success: false, error: `Invalid character '${ch}' in board` };
+                }
+                if (col > 8) break;
+            }
+            if (col !== 8) return { success: false, error: `Rank ${row + 1} does not have 8 squares` };
+        }
+
+        if (board.filter(p => p === PIECES.WHITE_KING).length !== 1 ||
+            board.filter(p => p === PIECES.BLACK_KING).length !== 1) {
+            return { success: false, error: 'Each side must have exactly one king' };
+        }
+        for (let col = 0; col < 8; col++) {
+            const lastRanks = [board[col], board[56 + col]];
+            if (lastRanks.some(p => p === PIECES.WHITE_PAWN || p === PIECES.BLACK_PAWN)) {
+                return { success: false, error: 'Pawns cannot stand on the first or last rank' };
+            }
+        }
+
+        if (side !== 'w' && side !== 'b') return { success: false, error: 'Side to move must be w or b' };
+        const currentTurn = side === 'w' ? 'white' : 'black';
+
+        // Castling rights as rook files (uppercase for White); each rook must be on its back rank
+        // beside a king that is still on its back rank
+        const castlingRights = KalasRandomChess.noCastlingRights();
+        if (castling !== '-') {
+            if (!/^[A-Ha-h]{1,4}$/.test(castling)) return { success: false, error: 'Invalid castling rights' };
+            for (const ch of castling) {
+                const color = ch === ch.toUpperCase() ? 'white' : 'black';
+                const backRow = color === 'white' ? 0 : 7;
+                const king = color === 'white' ? PIECES.WHITE_KING : PIECES.BLACK_KING;
+                const rook = color === 'white' ? PIECES.WHITE_ROOK : PIECES.BLACK_ROOK;
+                const rookIndex = backRow * 8 + ch.toLowerCase().charCodeAt(0) - 97;
+                const kingIndex = board.indexOf(king);
+                if (Math.floor(kingIndex / 8) !== backRow || board[rookIndex] !== rook) {
+                    return { success: false, error: 'Invalid castling rights' };
+                }
+                const side = rookIndex % 8 > kingIndex % 8 ? 'kingside' : 'queenside';
+                if (castlingRights[color][side] !== null) {
+                    return { success: false, error: 'Invalid castling rights' };
+                }
+                castlingRights[color][side] = rookIndex;
+            }
+        }
+
+        // En passant target: the square a pawn of the side that just moved skipped over
+        let enPassantTarget = null;
+        if (epField !== '-') {
+            if (!/^[a-h][36]$/.test(epField)) return { success: false, error: 'Invalid en passant square' };
+            const file = epField.charCodeAt(0) - 97;
+            const epRow = parseInt(epField[1]) - 1;
+            const expectedRow = currentTurn === 'white' ? 5 : 2;
+            const pushedPawn = currentTurn === 'white' ? PIECES.BLACK_PAWN : PIECES.WHITE_PAWN;
+            const direction = currentTurn === 'white' ? -1 : 1;
+            if (epRow !== expectedRow ||
+                board[epRow * 8 + file] !== null ||
+                board[(epRow - direction) * 8 + file] !== null ||
+                board[(epRow + direction) * 8 + file] !== pushedPawn) {
+                return { success: false, error: 'Invalid en passant square' };
+            }
+            enPassantTarget = epRow * 8 + file;
+        }
+
+        // Counters
+        const parseCounter = (text) => (/^\d+$/.test(text) ? parseInt(text) : NaN);
+        const halfmoveClock = parseCounter(halfmoveField);
+        const moveNumber = parseCounter(fullmoveField);
+        if (!Number.isSafeInteger(halfmoveClock)) return { success: false, error: 'Invalid halfmove clock' };
+        if (!Number.isSafeInteger(moveNumber) || moveNumber < 1) {
+            return { success: false, error: 'Invalid fullmove number' };
+        }
+        const pliesPlayed = (moveNumber - 1) * 2 + (currentTurn === 'black' ? 1 : 0);
+        if (halfmoveClock > pliesPlayed) {
+            return { success: false, error: 'Halfmove clock is larger than the number of moves played' };
+        }
+
+        let turnCount = pliesPlayed + 1;
+        if (turnCountField !== undefined) {
+            turnCount = parseCounter(turnCountField);
+            if (!Number.isSafeInteger(turnCount) || turnCount < 1) {
+                return { success: false, error: 'Invalid turn count' };
+            }
+            // Odd turns belong to White, even turns to Black
+            if ((turnCount % 2 === 1) !== (currentTurn === 'white')) {
+                return { success: false, error: 'Turn count does not match the side to move' };
+            }
+        }
+
+        return {
+            success: true,
+            position: { board, currentTurn, castlingRights, enPassantTarget, halfmoveClock, moveNumber, turnCount }
+        };
+    }
+
+    // Load a position from a FEN-style string, starting a fresh game from it
+    // Leaves the game untouched and returns an error if the FEN is not valid
+    fromFEN(fen) {
+        const parsed = KalasRandomChess.parseFEN(fen);
+        if (!parsed.success) return parsed;
+
+        const { position } = parsed;
+        const hasCastling = Object.values(position.castlingRights)
+            .some(rights => rights.kingside !== null || rights.queenside !== null);
+        if (hasCastling && !this.rules.castling) {
+            return { success: false, error: 'Castling is not enabled for this game' };
+        }
+
+        this.board = position.board;
+        this.castlingRights = position.castlingRights;
+        this.currentTurn = position.currentTurn;
+        this.enPassantTarget = position.enPassantTarget;
+        this.halfmoveClock = position.halfmoveClock;
+        this.moveNumber = position.moveNumber;
+        this.turnCount = position.turnCount;
+        this.gameOver = false;
+        this.winner = null;
+        this.result = null;
+        this.lastMove = null;
+        this.moveHistory = [];
+        this.takenBack = { white: false, black: false };
+        this.positionHistory = [];
+        this.positionId = null;
+        this.variantState = this.createVariantState();
+
+        return { success: true };
+    }
+
+    // FEN of the position the game started from (found by taking back every move on a copy)
+    getStartingFEN() {
+        const start = new KalasRandomChess(this.timeControl);
+        start.loadState(this.getState());
+        start.gameOver = false;
+        while (start.moveHistory.length > 0) {
+            start.undoMove();
+        }
+        return start.toFEN();
+    }
+
+    // Long algebraic notation for a recorded move (e.g. 'Ng1-f3', 'e7xd8=Q')
+    getMoveNotation(moveRecord) {
+        if (moveRecord.castling) return moveRecord.castling.side === 'kingside' ? 'O-O' : 'O-O-O';
+        const pieceType = moveRecord.piece.toUpperCase();
+        let notation = pieceType === 'P' ? '' : pieceType;
+        notation += this.indexToAlgebraic(moveRecord.from);
+        notation += moveRecord.captured ? 'x' : '-';
+        notation += this.indexToAlgebraic(moveRecord.to);
+        if (moveRecord.promotion) notation += '=' + moveRecord.promotion.toUpperCase();
+        return notation;
+    }
+
+    // PGN result token for the current state of the game
+    getPGNResult() {
+        if (!this.gameOver || this.result === 'aborted') return '*';
+        if (this.winner === 'white') return '1-0';
+        if (this.winner === 'black') return '0-1';
+        return '1/2-1/2';
+    }
+
+    // Export the game as PGN
+    // headers: extra tags such as { White, Black, WhiteElo, BlackElo, Date, Site }
+    toPGN(headers = {}) {
+        const tags = {
+            Event: 'Kalas Random Chess',
+            Site: '?',
+            Date: '????.??.??',
+            Round: '-',
+            White: '?',
+            Black: '?',
+            Result: this.getPGNResult(),
+            ...headers
+        };
+        // The random starting layout, so other tools and fromPGN can set up the board
+        const variant = this.getVariantModule();
+        tags.Variant = variant ? `Kalas Random ${variant.label}` : 'Kalas Random';
+        tags.SetUp = '1';
+        tags.FEN = this.getStartingFEN();
+        if (this.positionId) tags.PositionId = this.positionId;
+        // A Fischer increment uses the standard 'base+increment' form, delays a tag of their own
+        tags.TimeControl = this.isUntimed() ? '-' : String(this.timeControl * 60);
+        if (this.increment > 0 && this.clockMode === 'fischer') tags.TimeControl += `+${this.increment}`;
+        if (this.increment > 0 && this.clockMode !== 'fischer') tags.KalasClock = `${this.clockMode} ${this.increment}`;
+        if (!KalasRandomChess.isDefaultRules(this.rules)) tags.KalasRules = JSON.stringify(this.rules);
+        if (this.result) tags.Termination = this.result;
+
+        const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+        const tagLines = Object.entries(tags)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([name, value]) => `[${name} "${escape(value)}"]`);
+
+        // Movetext, wrapped to 80 columns
+        const tokens = [];
+        this.moveHistory.forEach((moveRecord, i) => {
+            const isWhite = this.isWhitePiece(moveRecord.piece);
+            if (isWhite) {
+                tokens.push(`${moveRecord.moveNumber}.`);
+            } else if (i === 0) {
+                tokens.push(`${moveRecord.moveNumber}...`);
+            }
+            tokens.push(moveRecord.san || this.getMoveNotation(moveRecord));
+        });
+        tokens.push(tags.Result);
+
+        const lines = [];
+        let line = '';
+        for (const token of tokens) {
+            if (line && line.length + 1 + token.length > 80) {
+                lines.push(line);
+                line = token;
+            } else {
+                line = line ? `${line} ${token}` : token;
+            }
+        }
+        lines.push(line);
+
+        return `${tagLines.join('\n')}\n\n${lines.join('\n')}\n`;
+    }
+
+    // Rebuild a game from PGN (moves in SAN or long algebraic notation)
+    // Returns { success, game, headers } or { success: false, error }
+    static fromPGN(pgn) {
+        if (typeof pgn !== 'string') return { success: false, error: 'PGN must be a string' };
+
+        // Tag pairs
+        const headers = {};
+        const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/;
+        const movetextLines = [];
+        for (const line of pgn.split(/\r?\n/)) {
+            const match = line.match(tagPattern);
+            if (match) {
+                headers[match[1]] = match[2].replace(/\\(.)/g, '$1');
+            } else {
+                movetextLines.push(line);
+            }
+        }
+
+        let timeControl = 0;
+        if (headers.TimeControl && headers.TimeControl !== '-') {
+            const match = headers.TimeControl.match(/^(\d+)(?:\+(\d+))?$/);
+            if (!match) return { success: false, error: 'Invalid TimeControl tag' };
+            // Kalas clocks count whole minutes: other base times are rounded (to at least a minute),
+            // and a clock still out of range is imported as untimed
+            const seconds = parseInt(match[1]);
+            const minutes = seconds === 0 ? 0 : Math.max(1, Math.round(seconds / 60));
+            timeControl = { minutes, increment: match[2] ? parseInt(match[2]) : 0 };
+            if (headers.KalasClock) {
+                const delay = headers.KalasClock.match(/^(\w+) (\d+)$/);
+                if (!delay || !CLOCK_MODES.includes(delay[1])) return { success: false, error: 'Invalid KalasClock tag' };
+                timeControl = { minutes, increment: parseInt(delay[2]), mode: delay[1] };
+            }
+            if (!KalasRandomChess.normalizeTimeControl(timeControl)) timeControl = 0;
+        }
+        let rules = null;
+        if (headers.KalasRules) {
+            try {
+                rules = KalasRandomChess.normalizeRules(JSON.parse(headers.KalasRules));
+            } catch {
+                rules = null;
+            }
+            if (!rules) return { success: false, error: 'Invalid KalasRules tag' };
+        }
+        const game = new KalasRandomChess(timeControl, rules);
+
+        // Starting position: the FEN tag, or the layout generated from the position ID
+        if (headers.FEN) {
+            const loaded = game.fromFEN(headers.FEN);
+            if (!loaded.success) return { success: false, error: `Invalid FEN tag: ${loaded.error}` };
+        } else if (headers.PositionId) {
+            if (!KalasRandomChess.normalizePositionId(headers.PositionId)) {
+                return { success: false, error: 'Invalid PositionId tag' };
+            }
+            game.generateStartingPosition(headers.PositionId);
+        } else {
+            return { success: false, error: 'PGN has no FEN or PositionId tag for the starting position' };
+        }
+        if (headers.PositionId) game.positionId = KalasRandomChess.normalizePositionId(headers.PositionId);
+
+        // Movetext: strip comments, variations and annotations, then replay each move
+        const movetext = movetextLines.join(' ')
+            .replace(/\{[^}]*\}/g, ' ')
+            .replace(/;[^\n]*/g, ' ')
+            .replace(/\([^()]*\)/g, ' ')
+            .replace(/\$\d+/g, ' ');
+        const movePattern = /^([KQRBN])?([a-h][1-8])[-x]([a-h][1-8])(?:=?([QRBNqrbn]))?[+#]?[!?]*$/;
+        let resultToken = null;
+        for (const token of movetext.split(/\s+/)) {
+            if (!token || /^\d+\.+$/.test(token)) continue;
+            if (['1-0', '0-1', '1/2-1/2', '*'].includes(token)) {
+                resultToken = token;
+                break;
+            }
+            const moveText = token.replace(/^\d+\.+/, '');
+            if (game.gameOver) return { success: false, error: `Move '${token}' played after the game ended` };
+
+            let result;
+            const longMove = moveText.match(movePattern);
+            if (longMove) {
+                const from = game.algebraicToIndex(longMove[2]);
+                const piece = game.board[from];
+                if (!piece || piece.toUpperCase() !== (longMove[1] || 'P')) {
+                    return { success: false, error: `Illegal move '${token}'` };
+                }
+                result = game.makeMove(from, game.algebraicToIndex(longMove[3]), longMove[4] ? longMove[4].toLowerCase() : null);
+                if (!result.success) return { success: false, error: `Illegal move '${token}': ${result.error}` };
+            } else {
+                result = game.makeSANMove(moveText);
+            }
+            if (!result.success) return { success: false, error: result.error };
+        }
+
+        // Games that ended off the board (resignation, timeout, agreement, ...)
+        const result = resultToken || headers.Result;
+        if (!game.gameOver && result && result !== '*') {
+            game.gameOver = true;
+            game.winner = result === '1-0' ? 'white' : result === '0-1' ? 'black' : null;
+            game.result = headers.Termination || (game.winner ? null : 'agreement');
+        }
+
+        return { success: true, game, headers };
     }
 
     // Resign
     resign(color) {
         this.gameOver = true;
         this.winner = color === 'white' ? 'black' : 'white';
+        this.result = 'resignation';
         this.timerRunning = false;
         return {
             gameOver: true,
@@ -701,11 +1949,62 @@ class KalasRandomChess {
         };
     }
 
+    // Whether a player may still abort the game: they have not made a move yet, not even one taken back since
+    canAbort(color) {
+        return !this.gameOver && !this.takenBack[color] && !this.moveHistory.some(move => this.getPieceColor(move.piece) === color);
+    }
+
+    // Abort the game before it has really started: it ends without a result
+    abort() {
+        this.gameOver = true;
+        this.winner = null;
+        this.result = 'aborted';
+        this.timerRunning = false;
+        return {
+            gameOver: true,
+            result: 'aborted',
+            winner: null,
+            message: 'The game was aborted.'
+        };
+    }
+
     // Check if game is untimed
     isUntimed() {
         return this.timeControl === 0;
     }
 
+    // Normalize a time control given as minutes or { minutes, increment, mode }, with the
+    // increment in seconds and mode one of CLOCK_MODES (default 'fischer')
+    // Returns { minutes, increment, mode }, or null if the time control is not valid
+    static normalizeTimeControl(timeControl) {
+        const clock = typeof timeControl === 'number' ? { minutes: timeControl } : timeControl;
+        if (!clock || typeof clock !== 'object' || Array.isArray(clock)) return null;
+
+        const { minutes, increment = 0, mode = 'fischer' } = clock;
+        if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_CLOCK_MINUTES) return null;
+        if (!Number.isInteger(increment) || increment < 0 || increment > 60) return null;
+        if (!CLOCK_MODES.includes(mode)) return null;
+
+        // Untimed games have no clock to give a bonus on
+        if (minutes === 0) return { minutes: 0, increment: 0, mode: 'fischer' };
+        return { minutes, increment, mode };
+    }
+
+    // Short label for a time control, e.g. 'Untimed', '10 min', '5+3' or '5 min, 3s delay'
+    static formatTimeControl(timeControl) {
+        const clock = KalasRandomChess.normalizeTimeControl(timeControl);
+        if (!clock) return '';
+        if (clock.minutes === 0) return 'Untimed';
+        if (clock.increment === 0) return `${clock.minutes} min`;
+        if (clock.mode === 'fischer') return `${clock.minutes}+${clock.increment}`;
+        return `${clock.minutes} min, ${clock.increment}s ${clock.mode === 'bronstein' ? 'Bronstein' : 'delay'}`;
+    }
+
+    // This game's time control as { minutes, increment, mode }
+    getTimeControl() {
+        return { minutes: this.timeControl, increment: this.increment, mode: this.clockMode };
+    }
+
     // Timer methods
     startTimer() {
         if (this.isUntimed()) return; // Don't start timer for untimed games
@@ -729,11 +2028,72 @@ class KalasRandomChess {
         const elapsed = now - this.lastTimestamp;
         this.lastTimestamp = now;
 
+        // With a delay, the clock only runs once the turn has lasted longer than the delay
+        const delay = this.clockMode === 'delay' ? this.increment * 1000 : 0;
+        const charged = Math.max(0, this.turnTime + elapsed - delay) - Math.max(0, this.turnTime - delay);
+        this.turnTime += elapsed;
+
         if (this.currentTurn === 'white') {
-            this.whiteTime = Math.max(0, this.whiteTime - elapsed);
+            this.whiteTime = Math.max(0, this.whiteTime - charged);
         } else {
-            this.blackTime = Math.max(0, this.blackTime - elapsed);
+            this.blackTime = Math.max(0, this.blackTime - charged);
+        }
+    }
+
+    // Give the player to move their bonus for the move they have just made, and start the
+    // next turn's count (a player whose time has run out gets nothing)
+    addMoveBonus() {
+        const time = this.currentTurn === 'white' ? this.whiteTime : this.blackTime;
+        if (!this.isUntimed() && time > 0) {
+            let bonus = 0;
+            if (this.clockMode === 'fischer') bonus = this.increment * 1000;
+            if (this.clockMode === 'bronstein') bonus = Math.min(this.turnTime, this.increment * 1000);
+            this.setTime(this.currentTurn, time + bonus);
+        }
+        this.turnTime = 0;
+    }
+
+    // Give the player to move back time their move spent reaching the server, as if it had
+    // arrived ms earlier (never more than this turn has taken); returns the time given back
+    compensateLag(ms) {
+        if (this.isUntimed()) return 0;
+        this.updateTime();
+
+        const credit = Math.max(0, Math.min(ms, this.turnTime));
+        const delay = this.clockMode === 'delay' ? this.increment * 1000 : 0;
+        const refund = Math.max(0, this.turnTime - delay) - Math.max(0, this.turnTime - credit - delay);
+        this.turnTime -= credit;
+        this.setTime(this.currentTurn, (this.currentTurn === 'white' ? this.whiteTime : this.blackTime) + refund);
+        return refund;
+    }
+
+    // Make a move that reached the server lagMs late: the lag is given back (see compensateLag) only
+    // if the move is legal, so rejected moves cannot be used to claw back clock time
+    makeLaggedMove(fromIndex, toIndex, promotion, lagMs) {
+        this.updateTime();
+        const clock = { whiteTime: this.whiteTime, blackTime: this.blackTime, turnTime: this.turnTime };
+        const lagCredit = this.compensateLag(lagMs);
+        const result = this.makeMove(fromIndex, toIndex, promotion);
+        if (!result.success) {
+            Object.assign(this, clock);
+            return result;
         }
+        return { ...result, lagCredit };
+    }
+
+    // Clock reading to send to clients: both players' time, whose clock is running, and while it
+    // runs the deadline (by this machine's Date.now, any delay included) at which they run out
+    getClock() {
+        this.updateTime();
+        const running = this.timerRunning && !this.gameOver && !this.isUntimed();
+        const time = this.currentTurn === 'white' ? this.whiteTime : this.blackTime;
+        const delayLeft = this.clockMode === 'delay' ? Math.max(0, this.increment * 1000 - this.turnTime) : 0;
+        return {
+            whiteTime: this.whiteTime,
+            blackTime: this.blackTime,
+            turn: this.currentTurn,
+            deadline: running ? Date.now() + delayLeft + time : null
+        };
     }
 
     // Check if a player has run out of time
@@ -744,6 +2104,7 @@ class KalasRandomChess {
         if (this.whiteTime <= 0) {
             this.gameOver = true;
             this.winner = 'black';
+            this.result = 'timeout';
             this.timerRunning = false;
             return {
                 gameOver: true,
@@ -756,6 +2117,7 @@ class KalasRandomChess {
         if (this.blackTime <= 0) {
             this.gameOver = true;
             this.winner = 'white';
+            this.result = 'timeout';
             this.timerRunning = false;
             return {
                 gameOver: true,
@@ -794,5 +2156,5 @@ class KalasRandomChess {
 
 // Export for use in browser and Node.js
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { KalasRandomChess, PIECES };
+    module.exports = { KalasRandomChess, PIECES, PROMOTION_PIECES, DRAW_RESULTS, DEFAULT_RULES };
 }
@@ -5,24 +5,75 @@ let game = null;
 let boardUI = null;
 let currentGameId = null;
 let playerColor = null;
+let seatToken = null; // Secret the server gave us for our seat in an online game, to take it back from a new socket
 let isLocalGame = false;
 let isAIGame = false;
 let ai = null;
 let aiDifficulty = 'medium';
-let selectedTimeControl = 10; // Default 10 minutes
+let selectedTimeControl = 10; // Minutes, or { minutes, increment, mode } (default 10 minutes)
+let selectedPositionId = null; // Position ID entered for the next game, null for random
+let selectedRules = null; // Rule options chosen for the next AI or local game
 let timerInterval = null;
+let serverClock = null; // Latest clock reading from the server in online games, deadline on our clock
+let serverTimeOffset = 0; // The server's Date.now() minus ours, estimated from its clock pings
+let correspondence = null; // { days, deadline } in an online correspondence game, null otherwise
+let isSpectating = false; // Watching someone else's online game
+let queuedTimeControl = null; // Time control we wait for a Quick Pair opponent at, null when not queued
+const incomingChallenges = new Map(); // gameId -> challenge sent to us that we have not answered yet
 let aiThinking = false;
 let currentGamePlayers = null; // { white: { username, elo }, black: { username, elo } }
 let lastReceivedMoveNum = 0; // Track last received move for dedup
 let initialBoard = null; // Starting board position for history replay
 let viewingMoveIndex = null; // null = live, 0 = start, N = after move N
+let drawOfferSent = false; // Our draw offer is waiting for the opponent's answer
+let takebackRequestSent = false; // Our takeback request is waiting for the opponent's answer
+let rematchOfferSent = false; // Our rematch offer is waiting for the opponent's answer
+let rematchAvailable = true; // False once the opponent declined a rematch or left
+let sessionScore = null; // Head-to-head score of this game and its rematches, by colour, once the game is over
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', () => {
     initializeSocket();
     initializeEventListeners();
+    populateVariantOptions();
+    joinFromInviteLink();
 });
 
+// Join the private table of an invite link (/?join=CODE), once
+function joinFromInviteLink() {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('join');
+    if (!code) return;
+    params.delete('join');
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+    joinTable(code.trim().toUpperCase());
+}
+
+// Fill the variant menus and the rules screen from the registered variants
+function populateVariantOptions() {
+    const variants = KalasRandomChess.getVariants();
+    document.querySelectorAll('.variant-select').forEach(select => {
+        for (const variant of variants) {
+            const option = document.createElement('option');
+            option.value = variant.name;
+            option.textContent = variant.label;
+            select.appendChild(option);
+        }
+    });
+
+    const rulesList = document.getElementById('variant-rules');
+    for (const variant of variants) {
+        const paragraph = document.createElement('p');
+        paragraph.className = 'opening-rule';
+        const label = document.createElement('strong');
+        label.textContent = variant.label + ': ';
+        paragraph.appendChild(label);
+        paragraph.appendChild(document.createTextNode(variant.description));
+        rulesList.appendChild(paragraph);
+    }
+}
+
 // Check if there's an active game to rejoin after page refresh
 function checkForActiveGame() {
     const savedGame = localStorage.getItem('activeGame');
@@ -33,9 +84,10 @@ function checkForActiveGame() {
             if (Date.now() - gameData.savedAt < 3600000) {
                 currentGameId = gameData.gameId;
                 playerColor = gameData.playerColor;
+                seatToken = gameData.seatToken || null;
                 // Small delay to allow server to process disconnect first
                 setTimeout(() => {
-                    socket.emit('reconnectGame', { gameId: gameData.gameId });
+                    socket.emit('reconnectGame', { gameId: gameData.gameId, color: gameData.playerColor, seatToken });
                 }, 500);
             } else {
                 // Clear stale game data
@@ -53,6 +105,7 @@ function saveActiveGame() {
         localStorage.setItem('activeGame', JSON.stringify({
             gameId: currentGameId,
             playerColor: playerColor,
+            seatToken: seatToken,
             savedAt: Date.now()
         }));
     }
@@ -63,6 +116,12 @@ function clearActiveGame() {
     localStorage.removeItem('activeGame');
 }
 
+// Ask the server for the full state of our online game, e.g. after our move was rejected
+// A changed socket takes our seat back with our colour and seat token
+function requestSync() {
+    socket.emit('requestSync', { gameId: currentGameId, color: playerColor, seatToken });
+}
+
 // Initialize Socket.io connection
 function initializeSocket() {
     socket = io();
@@ -72,10 +131,17 @@ function initializeSocket() {
         // Register player info if logged in
         registerPlayerWithServer();
 
-        if (currentGameId && game && !game.gameOver) {
+        if (queuedTimeControl) {
+            // The server forgets the queue of a dropped socket: queue again
+            socket.emit('joinQueue', { timeControl: queuedTimeControl, allowRegistered: readAllowRegistered() });
+        } else if (isSpectating && currentGameId) {
+            // Watch again on our new socket (spectators never take a seat)
+            socket.emit('spectateGame', { gameId: currentGameId });
+        } else if (currentGameId && game && !game.gameOver) {
             // We're in an active game and just reconnected - sync state and fix socket ID
             console.log('Reconnected during active game, requesting state sync...');
-            socket.emit('requestSync', { gameId: currentGameId });
+            // Our colour and seat token let us take our seat again (also if the server restarted meanwhile)
+            requestSync();
         } else {
             // Not in a game - check localStorage for a game to rejoin (e.g. after page refresh)
             checkForActiveGame();
@@ -89,19 +155,82 @@ function initializeSocket() {
     // Game created - waiting for opponent
     socket.on('gameCreated', (data) => {
         currentGameId = data.gameId;
-        document.getElementById('waiting-time-display').textContent = data.timeControl === 0 ? 'Untimed' : data.timeControl + ' min';
+        document.getElementById('waiting-time-display').textContent = data.correspondenceDays
+            ? formatDaysPerMove(data.correspondenceDays)
+            : KalasRandomChess.formatTimeControl(data.timeControl);
+        // A correspondence table stays open while we do something else
+        document.getElementById('btn-leave-waiting').classList.toggle('hidden', !data.correspondenceDays);
+        document.getElementById('waiting-position-display').textContent = data.positionId ? `Position #${data.positionId}` : '';
+        document.getElementById('waiting-rules-display').textContent = formatRules(data.rules);
+
+        // A private table is shared by its code or link; a challenge waits for the challenged player
+        const invite = data.private && !data.challenge;
+        document.getElementById('waiting-invite').classList.toggle('hidden', !invite);
+        if (invite) {
+            document.getElementById('waiting-code').textContent = data.gameId;
+            document.getElementById('waiting-link').value = `${window.location.origin}/?join=${data.gameId}`;
+        }
+        let hint = 'Your table is visible in the lobby';
+        if (data.challenge) {
+            hint = `Waiting for ${data.challenge.username} to accept your challenge`;
+        } else if (data.private) {
+            hint = 'Only players with the code or link can join';
+        }
+        document.getElementById('waiting-hint').textContent = hint;
         UI.hide('create-table-form');
         UI.hide('main-lobby');
         UI.show('waiting-room');
     });
 
+    // Someone challenges us
+    socket.on('challengeReceived', (data) => {
+        if (!incomingChallenges.has(data.gameId)) Sounds.opponentJoined();
+        incomingChallenges.set(data.gameId, data);
+        updateChallengesDisplay();
+    });
+
+    // A challenge to us was withdrawn, expired or answered (maybe from another tab)
+    socket.on('challengeClosed', (data) => {
+        incomingChallenges.delete(data.gameId);
+        updateChallengesDisplay();
+    });
+
+    // Our challenge was declined or not answered in time
+    socket.on('challengeDeclined', (data) => {
+        if (data.gameId !== currentGameId) return;
+        currentGameId = null;
+        UI.hide('waiting-room');
+        UI.show('main-lobby');
+        alert(data.message);
+    });
+
+    // Waiting in the Quick Pair queue
+    socket.on('queueJoined', (data) => {
+        queuedTimeControl = data.timeControl;
+        document.getElementById('queue-time-display').textContent = KalasRandomChess.formatTimeControl(data.timeControl);
+        document.getElementById('queue-status-display').textContent = '';
+        UI.hide('quick-pair-form');
+        UI.hide('main-lobby');
+        UI.show('queue-room');
+    });
+
+    // How the Quick Pair search is going
+    socket.on('queueStatus', (data) => {
+        if (!queuedTimeControl) return;
+        const waited = Math.floor(data.waited / 1000);
+        const players = data.players === 1 ? '1 player' : `${data.players} players`;
+        document.getElementById('queue-status-display').textContent = `${waited}s · rating ±${data.eloWindow} · ${players} in queue`;
+    });
+
     // Game joined successfully - sent to the player who clicked Join
     socket.on('gameJoined', (data) => {
         console.log('gameJoined received:', data.gameId, data.color);
         try {
             currentGameId = data.gameId;
             playerColor = data.color;
+            seatToken = data.seatToken || null;
             currentGamePlayers = data.players;
+            correspondence = data.correspondence || null;
             Sounds.opponentJoined();
             startOnlineGame(data.gameState, data.color);
         } catch (err) {
@@ -116,7 +245,9 @@ function initializeSocket() {
         try {
             currentGameId = data.gameId; // Ensure currentGameId is set (may have been cleared)
             playerColor = data.color;
+            seatToken = data.seatToken || null;
             currentGamePlayers = data.players;
+            correspondence = data.correspondence || null;
             Sounds.opponentJoined();
             startOnlineGame(data.gameState, data.color);
         } catch (err) {
@@ -139,8 +270,11 @@ function initializeSocket() {
         if (boardUI && game) {
             // Sync our local state with server's authoritative state
             game.loadState(data.gameState);
+            if (data.correspondence) correspondence = data.correspondence;
+            if (data.clock) applyServerClock(data.clock);
             boardUI.render();
             UI.updateGameInfo(game);
+            updateGameControls();
             updateTimerDisplay();
             updateCapturedPieces();
             updateMoveNavButtons();
@@ -177,7 +311,10 @@ function initializeSocket() {
             const savedViewIndex = viewingMoveIndex;
 
             boardUI.updateFromState(data.gameState);
+            if (data.correspondence) correspondence = data.correspondence;
+            if (data.clock) applyServerClock(data.clock);
             UI.updateGameInfo(game);
+            updateGameControls();
             updateTimerDisplay();
             updateCapturedPieces();
 
@@ -215,7 +352,9 @@ function initializeSocket() {
             lastReceivedMoveNum = data.moveCount || 0;
             viewingMoveIndex = null;
             boardUI.updateFromState(data.gameState);
+            if (data.correspondence) correspondence = data.correspondence;
             UI.updateGameInfo(game);
+            updateGameControls();
             updateTimerDisplay();
             updateCapturedPieces();
             updateMoveNavButtons();
@@ -227,7 +366,7 @@ function initializeSocket() {
             if (game.gameOver) {
                 handleGameEnd({
                     gameOver: true,
-                    result: game.winner ? 'checkmate' : 'stalemate',
+                    result: game.result || (game.winner ? 'checkmate' : 'stalemate'),
                     winner: game.winner,
                     message: game.winner
                         ? `${game.winner.charAt(0).toUpperCase() + game.winner.slice(1)} wins!`
@@ -240,12 +379,16 @@ function initializeSocket() {
     // Timer sync from server
     socket.on('timerSync', (data) => {
         if (game) {
-            game.setTime('white', data.whiteTime);
-            game.setTime('black', data.blackTime);
-            updateTimerDisplay();
+            applyServerClock(data);
         }
     });
 
+    // Answer clock pings so the server can measure our lag, and estimate its clock from them
+    socket.on('clockPing', (data) => {
+        serverTimeOffset = data.sentAt + data.lag / 2 - Date.now();
+        socket.emit('clockPong', { sentAt: data.sentAt });
+    });
+
     // Timeout notification from server
     socket.on('timeout', (data) => {
         if (game) {
@@ -254,6 +397,15 @@ function initializeSocket() {
         }
     });
 
+    // The game was aborted before both players had moved (by either of us or for want of a first move)
+    socket.on('gameAborted', (data) => {
+        if (game && !game.gameOver) {
+            game.abort();
+            boardUI.render();
+            handleGameEnd(data);
+        }
+    });
+
     // Opponent resigned
     socket.on('opponentResigned', (data) => {
         if (game) {
@@ -284,6 +436,7 @@ function initializeSocket() {
             game.loadState(data.gameState);
             boardUI.render();
             UI.updateGameInfo(game);
+            updateGameControls();
             updateTimerDisplay();
             updateCapturedPieces();
             UI.hideGameMessage();
@@ -312,6 +465,9 @@ function initializeSocket() {
     socket.on('gameReconnected', (data) => {
         currentGameId = data.gameId;
         playerColor = data.color;
+        if (data.seatToken) seatToken = data.seatToken;
+        if (data.players) currentGamePlayers = data.players;
+        correspondence = data.correspondence || null;
         Sounds.opponentJoined();
         startOnlineGame(data.gameState, data.color);
     });
@@ -333,7 +489,7 @@ function initializeSocket() {
         // Any move error means our local state is wrong - request a full sync to fix it
         if (currentGameId) {
             console.log('Move rejected by server, requesting full state sync...');
-            socket.emit('requestSync', { gameId: currentGameId });
+            requestSync();
         }
     });
 
@@ -342,8 +498,11 @@ function initializeSocket() {
         console.error('Socket error received:', data.message);
         Sounds.invalid();
         alert(data.message);
+        queuedTimeControl = null;
         UI.hide('waiting-room');
         UI.hide('create-table-form');
+        UI.hide('quick-pair-form');
+        UI.hide('queue-room');
         UI.show('main-lobby');
     });
 
@@ -351,6 +510,149 @@ function initializeSocket() {
     socket.on('lobbyUpdate', (data) => {
         console.log('lobbyUpdate received:', data.games.length, 'games', data.games);
         updateLobbyDisplay(data.games);
+        updateLiveGamesDisplay(data.liveGames || []);
+    });
+
+    // Watching a game: its position, players and clock
+    socket.on('spectating', (data) => {
+        startSpectating(data);
+    });
+
+    // The game we watch moved on (a move, a takeback or its end)
+    socket.on('spectatorUpdate', (data) => {
+        if (!isSpectating || !game) return;
+        const moveCount = game.moveHistory.length;
+        boardUI.updateFromState(data.gameState);
+        if (data.correspondence) correspondence = data.correspondence;
+        if (data.clock) applyServerClock(data.clock);
+        UI.updateGameInfo(game);
+        updateTimerDisplay();
+        updateCapturedPieces();
+        if (viewingMoveIndex === null) {
+            updateMoveNavButtons();
+        }
+        if (game.moveHistory.length > moveCount) {
+            Sounds.move();
+        }
+        if (data.gameStatus && data.gameStatus.gameOver) {
+            handleGameEnd(data.gameStatus);
+        }
+    });
+
+    // How many people watch the game we play or watch
+    socket.on('spectatorCount', (data) => {
+        if (data.gameId !== currentGameId) return;
+        const countEl = document.getElementById('spectator-count');
+        countEl.textContent = `${data.count} watching`;
+        countEl.classList.toggle('hidden', data.count === 0);
+    });
+
+    // Our correspondence games (sent when we register and whenever one of them changes)
+    socket.on('myGames', (data) => {
+        updateMyGamesDisplay(data.games);
+    });
+
+    // Opponent offered a draw
+    socket.on('drawOffered', () => {
+        if (game && !game.gameOver) {
+            UI.show('draw-offer');
+            Sounds.select();
+        }
+    });
+
+    // Opponent offers a rematch of the game that just ended
+    socket.on('rematchOffered', (data) => {
+        if (!game || !game.gameOver) return;
+        document.getElementById('rematch-offer-text').textContent = data.samePosition
+            ? 'Your opponent offers a rematch in the same position'
+            : 'Your opponent offers a rematch';
+        UI.show('rematch-offer');
+        Sounds.select();
+    });
+
+    // Opponent declined our rematch offer or left (or the rematch could not start)
+    socket.on('rematchDeclined', (data) => {
+        if (data.gameId && data.gameId !== currentGameId) return; // We have moved on to another game
+        rematchOfferSent = false;
+        rematchAvailable = false;
+        UI.hide('rematch-offer');
+        updateRematchControls();
+        UI.notify(data.message);
+    });
+
+    // Head-to-head score of the session once a game is over
+    socket.on('sessionScore', (data) => {
+        if (data.gameId !== currentGameId) return;
+        sessionScore = data.score;
+        showSessionScore();
+    });
+
+    // Opponent declined our draw offer
+    socket.on('drawDeclined', () => {
+        drawOfferSent = false;
+        updateGameControls();
+        UI.notify('Draw offer declined');
+    });
+
+    // The server turned down our draw offer (we already offered one this move)
+    socket.on('drawOfferRejected', (data) => {
+        drawOfferSent = false;
+        updateGameControls();
+        UI.notify(data.message);
+    });
+
+    // Opponent moved instead of answering our draw offer
+    socket.on('drawOfferExpired', () => {
+        drawOfferSent = false;
+        updateGameControls();
+    });
+
+    // Game drawn by agreement or claim
+    socket.on('gameDrawn', (data) => {
+        if (game) {
+            game.loadState(data.gameState);
+            boardUI.render();
+            UI.updateGameInfo(game);
+            updateTimerDisplay();
+            handleGameEnd(data.gameStatus);
+        }
+    });
+
+    // Draw claim was not valid in the current position
+    socket.on('drawClaimRejected', (data) => {
+        console.warn('Draw claim rejected:', data.message);
+        Sounds.invalid();
+        if (currentGameId) {
+            requestSync();
+        }
+    });
+
+    // Opponent asked to take back their last move
+    socket.on('takebackRequested', () => {
+        if (game && !game.gameOver) {
+            UI.show('takeback-request');
+            Sounds.select();
+        }
+    });
+
+    // Opponent accepted our takeback (the position arrives through fullSync)
+    socket.on('takebackAccepted', () => {
+        takebackRequestSent = false;
+        updateGameControls();
+    });
+
+    // Opponent declined our takeback request
+    socket.on('takebackDeclined', () => {
+        takebackRequestSent = false;
+        updateGameControls();
+        UI.notify('Takeback declined');
+    });
+
+    // A move was made before the takeback request was answered
+    socket.on('takebackExpired', () => {
+        takebackRequestSent = false;
+        UI.hide('takeback-request');
+        updateGameControls();
     });
 
     // Chat message received
@@ -366,6 +668,28 @@ function initializeEventListeners() {
 
     // Waiting room
     document.getElementById('btn-cancel-waiting').addEventListener('click', cancelWaiting);
+    document.getElementById('btn-leave-waiting').addEventListener('click', leaveWaiting);
+
+    // Join a private table by its code
+    document.getElementById('btn-join-code').addEventListener('click', joinByCode);
+    document.getElementById('join-code-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') joinByCode();
+    });
+    document.getElementById('btn-copy-link').addEventListener('click', copyInviteLink);
+
+    // Quick Pair
+    document.getElementById('btn-quick-pair').addEventListener('click', showQuickPairForm);
+    document.querySelectorAll('.btn-quick-pair-time').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            joinQueue({
+                minutes: parseInt(e.currentTarget.dataset.time),
+                increment: parseInt(e.currentTarget.dataset.increment),
+                mode: 'fischer'
+            });
+        });
+    });
+    document.getElementById('btn-cancel-quick-pair').addEventListener('click', hideQuickPairForm);
+    document.getElementById('btn-leave-queue').addEventListener('click', leaveQueue);
 
     // Create table button (now on main menu)
     document.getElementById('btn-create-table').addEventListener('click', showCreateTableForm);
@@ -374,10 +698,18 @@ function initializeEventListeners() {
     document.querySelectorAll('.btn-table-time').forEach(btn => {
         btn.addEventListener('click', (e) => {
             if (!Auth.requireLogin()) return;
-            selectedTimeControl = parseInt(e.target.dataset.time);
+            if (!readPositionId('table-position-id')) return;
+            selectedTimeControl = readTimeControl('table', parseInt(e.target.dataset.time));
             createTableAndJoinLobby();
         });
     });
+    document.querySelectorAll('.btn-table-days').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            if (!Auth.requireLogin()) return;
+            if (!readPositionId('table-position-id')) return;
+            createCorrespondenceTable(parseInt(e.currentTarget.dataset.days));
+        });
+    });
     document.getElementById('btn-cancel-create-table').addEventListener('click', hideCreateTableForm);
 
     // Play against computer
@@ -391,7 +723,12 @@ function initializeEventListeners() {
     });
     document.querySelectorAll('.btn-ai-time').forEach(btn => {
         btn.addEventListener('click', (e) => {
-            selectedTimeControl = parseInt(e.target.dataset.time);
+            if (!readPositionId('ai-position-id')) return;
+            selectedRules = {
+                symmetry: document.getElementById('ai-symmetry').value,
+                variant: document.getElementById('ai-variant').value
+            };
+            selectedTimeControl = readTimeControl('ai', parseInt(e.target.dataset.time));
             startAIGame();
         });
     });
@@ -401,7 +738,12 @@ function initializeEventListeners() {
     document.getElementById('btn-local-game').addEventListener('click', showLocalGameSelect);
     document.querySelectorAll('.btn-local-time').forEach(btn => {
         btn.addEventListener('click', (e) => {
-            selectedTimeControl = parseInt(e.target.dataset.time);
+            if (!readPositionId('local-position-id')) return;
+            selectedRules = {
+                symmetry: document.getElementById('local-symmetry').value,
+                variant: document.getElementById('local-variant').value
+            };
+            selectedTimeControl = readTimeControl('local', parseInt(e.target.dataset.time));
             startLocalGame();
         });
     });
@@ -414,7 +756,20 @@ function initializeEventListeners() {
 
     // Game controls
     document.getElementById('btn-resign').addEventListener('click', resignGame);
+    document.getElementById('btn-abort').addEventListener('click', abortGame);
+    document.getElementById('btn-offer-draw').addEventListener('click', offerDraw);
+    document.getElementById('btn-claim-draw').addEventListener('click', claimDraw);
+    document.getElementById('btn-accept-draw').addEventListener('click', acceptDraw);
+    document.getElementById('btn-decline-draw').addEventListener('click', declineDraw);
+    document.getElementById('btn-takeback').addEventListener('click', requestTakeback);
+    document.getElementById('btn-accept-takeback').addEventListener('click', acceptTakeback);
+    document.getElementById('btn-decline-takeback').addEventListener('click', declineTakeback);
     document.getElementById('btn-new-game').addEventListener('click', returnToMenu);
+    document.getElementById('btn-rematch').addEventListener('click', () => offerRematch(false));
+    document.getElementById('btn-rematch-same').addEventListener('click', () => offerRematch(true));
+    document.getElementById('btn-accept-rematch').addEventListener('click', acceptRematch);
+    document.getElementById('btn-decline-rematch').addEventListener('click', declineRematch);
+    document.getElementById('btn-download-pgn').addEventListener('click', downloadPgn);
 
     // Move history navigation
     document.getElementById('btn-move-first').addEventListener('click', () => navigateMove('first'));
@@ -458,8 +813,7 @@ function updateSoundToggleIcon() {
 function registerPlayerWithServer() {
     if (Auth.isLoggedIn() && socket) {
         socket.emit('registerPlayer', {
-            userId: Auth.getUserId(),
-            username: Auth.currentUser.username,
+            token: Auth.token,
             elo: Auth.getElo()
         });
     }
@@ -490,6 +844,45 @@ function cancelWaiting() {
     UI.show('main-lobby');
 }
 
+// Show the Quick Pair time controls (guests choose whether registered players may be paired with them)
+function showQuickPairForm() {
+    document.getElementById('quick-pair-guest-option').classList.toggle('hidden', Auth.isLoggedIn());
+    UI.hide('main-lobby');
+    UI.show('quick-pair-form');
+}
+
+// Hide the Quick Pair time controls
+function hideQuickPairForm() {
+    UI.hide('quick-pair-form');
+    UI.show('main-lobby');
+}
+
+// Whether we let the queue pair us, a guest, with registered players
+function readAllowRegistered() {
+    return !Auth.isLoggedIn() && document.getElementById('quick-pair-allow-registered').checked;
+}
+
+// Queue for an opponent at this time control
+function joinQueue(timeControl) {
+    socket.emit('joinQueue', { timeControl, allowRegistered: readAllowRegistered() });
+}
+
+// Leave the Quick Pair queue
+function leaveQueue() {
+    socket.emit('leaveQueue');
+    queuedTimeControl = null;
+    UI.hide('queue-room');
+    UI.show('main-lobby');
+}
+
+// Leave the waiting room of a correspondence table, which stays open under "my games"
+function leaveWaiting() {
+    currentGameId = null;
+    UI.hide('waiting-room');
+    UI.show('main-lobby');
+    socket.emit('getLobby');
+}
+
 // Start AI game
 function startAIGame() {
     isLocalGame = false;
@@ -499,8 +892,8 @@ function startAIGame() {
     // Initialize AI
     ai = new ChessAI(aiDifficulty);
 
-    game = new KalasRandomChess(selectedTimeControl);
-    game.generateStartingPosition();
+    game = new KalasRandomChess(selectedTimeControl, selectedRules);
+    game.generateStartingPosition(selectedPositionId);
     initialBoard = [...game.board];
     viewingMoveIndex = null;
 
@@ -519,6 +912,8 @@ function startAIGame() {
         }
 
         UI.updateGameInfo(game);
+
+        updateGameControls();
         updateTimerDisplay();
         updateCapturedPieces();
         viewingMoveIndex = null; // Return to live view on move
@@ -538,6 +933,7 @@ function startAIGame() {
 
     boardUI.render();
     UI.updateGameInfo(game);
+    updateGameControls();
     UI.hideGameMessage();
     UI.hide('ai-difficulty-select');
     UI.showScreen('game-screen');
@@ -572,7 +968,7 @@ async function makeAIMove() {
         const move = await ai.findBestMoveAsync(game, minDelay);
 
         if (move && !game.gameOver) {
-            const result = game.makeMove(move.from, move.to);
+            const result = game.makeMove(move.from, move.to, move.promotion);
 
             if (result.success) {
                 boardUI.render();
@@ -587,6 +983,8 @@ async function makeAIMove() {
                 }
 
                 UI.updateGameInfo(game);
+
+                updateGameControls();
                 updateTimerDisplay();
                 updateCapturedPieces();
                 updateMoveNavButtons();
@@ -611,8 +1009,8 @@ function startLocalGame() {
     playerColor = null;
     ai = null;
 
-    game = new KalasRandomChess(selectedTimeControl);
-    game.generateStartingPosition();
+    game = new KalasRandomChess(selectedTimeControl, selectedRules);
+    game.generateStartingPosition(selectedPositionId);
     initialBoard = [...game.board];
     viewingMoveIndex = null;
 
@@ -631,6 +1029,8 @@ function startLocalGame() {
         }
 
         UI.updateGameInfo(game);
+
+        updateGameControls();
         updateCapturedPieces();
         viewingMoveIndex = null;
         updateMoveNavButtons();
@@ -646,6 +1046,7 @@ function startLocalGame() {
 
     boardUI.render();
     UI.updateGameInfo(game);
+    updateGameControls();
     UI.hideGameMessage();
     UI.hide('local-game-select');
     UI.showScreen('game-screen');
@@ -673,25 +1074,21 @@ function startOnlineGame(gameState, color) {
         isAIGame = false;
         playerColor = color;
         ai = null;
+        drawOfferSent = false;
+        takebackRequestSent = false;
+        rematchOfferSent = false;
+        rematchAvailable = true;
+        sessionScore = null;
+        UI.hide('rematch-offer');
+        UI.hide('btn-rematch');
+        UI.hide('btn-rematch-same');
 
         console.log('Creating KalasRandomChess instance...');
         game = new KalasRandomChess(gameState.timeControl || 10);
         console.log('Loading game state...');
         game.loadState(gameState);
         viewingMoveIndex = null;
-
-        // Reconstruct initial board by undoing all moves
-        initialBoard = [...game.board];
-        for (let i = game.moveHistory.length - 1; i >= 0; i--) {
-            const move = game.moveHistory[i];
-            initialBoard[move.from] = move.piece;
-            initialBoard[move.to] = move.captured || null;
-            if (move.isEnPassant) {
-                const capturedPawnIndex = move.to + (game.isWhitePiece(move.piece) ? -8 : 8);
-                initialBoard[capturedPawnIndex] = move.captured;
-                initialBoard[move.to] = null;
-            }
-        }
+        reconstructInitialBoard();
 
         // Save game for reconnection on refresh
         saveActiveGame();
@@ -715,16 +1112,19 @@ function startOnlineGame(gameState, color) {
             Sounds.move();
         }
 
+        // Moving lets the opponent's draw offer and takeback request expire
+        UI.hide('draw-offer');
+        UI.hide('takeback-request');
+
         // Send move to server
         socket.emit('makeMove', {
             gameId: currentGameId,
-            move: {
-                from: result.move.from,
-                to: result.move.to
-            }
+            move: KalasRandomChess.moveInput(result.move)
         });
 
         UI.updateGameInfo(game);
+
+        updateGameControls();
         updateCapturedPieces();
         viewingMoveIndex = null;
         updateMoveNavButtons();
@@ -739,40 +1139,27 @@ function startOnlineGame(gameState, color) {
     });
 
         console.log('Switching to game-screen...');
+        queuedTimeControl = null; // Paired
         UI.hide('waiting-room');
+        UI.hide('queue-room');
         UI.showScreen('game-screen');
 
         console.log('Updating UI...');
         UI.updateGameInfo(game);
+        updateGameControls();
         UI.hideGameMessage();
-
-        // Update player names and ELO
-        const whiteName = currentGamePlayers?.white?.username || 'White';
-        const blackName = currentGamePlayers?.black?.username || 'Black';
-        const whiteElo = currentGamePlayers?.white?.elo || '?';
-        const blackElo = currentGamePlayers?.black?.elo || '?';
-
-        document.querySelector('.player-white .player-name').textContent = whiteName;
-        document.querySelector('.player-black .player-name').textContent = blackName;
-        document.getElementById('white-status').textContent = `(${whiteElo})`;
-        document.getElementById('black-status').textContent = `(${blackElo})`;
-
-        // Reorder header to match board perspective (opponent on left/top, you on right/bottom)
-        const header = document.querySelector('.game-header');
-        const blackInfo = document.querySelector('.player-black');
-        const whiteInfo = document.querySelector('.player-white');
-        if (color === 'white') {
-            // White player: Black (opponent) should be first
-            header.insertBefore(blackInfo, whiteInfo);
-        } else {
-            // Black player: White (opponent) should be first
-            header.insertBefore(whiteInfo, blackInfo);
+        if (correspondence) {
+            // A correspondence game can be left and picked up again from "my games"
+            UI.show('btn-new-game');
         }
 
+        showPlayers(color);
+
         // Initialize timers and captured pieces
+        // The server runs the clock; we only show it, from the readings it sends
+        serverClock = null;
         updateTimerDisplay();
         updateCapturedPieces();
-        game.startTimer();
         startTimerInterval();
 
         Sounds.gameStart();
@@ -785,6 +1172,93 @@ function startOnlineGame(gameState, color) {
     }
 }
 
+// Reconstruct the game's initial board (for history replay) by undoing all moves
+function reconstructInitialBoard() {
+    initialBoard = [...game.board];
+    for (let i = game.moveHistory.length - 1; i >= 0; i--) {
+        const move = game.moveHistory[i];
+        if (move.castling) {
+            const rook = initialBoard[move.castling.rookTo];
+            initialBoard[move.to] = null;
+            initialBoard[move.castling.rookTo] = null;
+            initialBoard[move.castling.rookFrom] = rook;
+            initialBoard[move.from] = move.piece;
+            continue;
+        }
+        initialBoard[move.from] = move.piece;
+        initialBoard[move.to] = move.captured || null;
+        if (move.isEnPassant) {
+            const capturedPawnIndex = move.to + (game.isWhitePiece(move.piece) ? -8 : 8);
+            initialBoard[capturedPawnIndex] = move.captured;
+            initialBoard[move.to] = null;
+        }
+    }
+}
+
+// Show the online players' names and ratings, the board's bottom player (color) on the right
+function showPlayers(color) {
+    const whiteName = currentGamePlayers?.white?.username || 'White';
+    const blackName = currentGamePlayers?.black?.username || 'Black';
+    const whiteElo = currentGamePlayers?.white?.elo || '?';
+    const blackElo = currentGamePlayers?.black?.elo || '?';
+
+    document.querySelector('.player-white .player-name').textContent = whiteName;
+    document.querySelector('.player-black .player-name').textContent = blackName;
+    document.getElementById('white-status').textContent = `(${whiteElo})`;
+    document.getElementById('black-status').textContent = `(${blackElo})`;
+
+    // Reorder header to match board perspective (opponent on left/top, you on right/bottom)
+    const header = document.querySelector('.game-header');
+    const blackInfo = document.querySelector('.player-black');
+    const whiteInfo = document.querySelector('.player-white');
+    if (color === 'white') {
+        // White player: Black (opponent) should be first
+        header.insertBefore(blackInfo, whiteInfo);
+    } else {
+        // Black player: White (opponent) should be first
+        header.insertBefore(whiteInfo, blackInfo);
+    }
+}
+
+// Watch an online game: a read-only board kept up to date with the players' moves, clocks and chat
+function startSpectating(data) {
+    isLocalGame = false;
+    isAIGame = false;
+    isSpectating = true;
+    ai = null;
+    currentGameId = data.gameId;
+    playerColor = null;
+    currentGamePlayers = data.players;
+    correspondence = data.correspondence || null;
+    drawOfferSent = false;
+    takebackRequestSent = false;
+
+    game = new KalasRandomChess(data.gameState.timeControl);
+    game.loadState(data.gameState);
+    viewingMoveIndex = null;
+    reconstructInitialBoard();
+
+    boardUI = new ChessBoardUI(document.getElementById('chess-board'), game);
+    boardUI.setReadOnly(true);
+    boardUI.setPlayerColor('white');
+
+    UI.hide('main-lobby');
+    UI.showScreen('game-screen');
+    UI.updateGameInfo(game);
+    updateGameControls();
+    UI.hideGameMessage();
+    UI.show('btn-new-game');
+    showPlayers('white');
+
+    serverClock = null;
+    if (data.clock) applyServerClock(data.clock);
+    updateTimerDisplay();
+    updateCapturedPieces();
+    startTimerInterval();
+    updateMoveNavButtons();
+    showChat();
+}
+
 // Timer interval management
 function startTimerInterval() {
     stopTimerInterval(); // Clear any existing interval
@@ -802,28 +1276,26 @@ function startTimerInterval() {
             return;
         }
 
-        game.updateTime();
+        // Online, the server decides timeouts and sends them; we only count down to its deadline
+        const isOnline = !isLocalGame && !isAIGame;
+        if (!isOnline) game.updateTime();
         updateTimerDisplay();
 
         // Check for timeout
-        const timeout = game.checkTimeout();
+        const timeout = isOnline ? null : game.checkTimeout();
         if (timeout) {
             stopTimerInterval();
             Sounds.timeout();
             handleGameEnd(timeout);
-
-            // Notify server in online games
-            if (!isLocalGame && !isAIGame && currentGameId) {
-                socket.emit('timeout', { gameId: currentGameId });
-            }
             return;
         }
 
         // Low time warning sounds (only for player's turn in AI games)
         const currentTurn = game.currentTurn;
         if (isAIGame && currentTurn === 'black') return; // No warnings for AI
+        if (isSpectating) return; // Nor for spectators
 
-        const currentTime = game.getTimeRemaining(currentTurn);
+        const currentTime = getDisplayedTime(currentTurn);
         if (currentTime <= 10000 && currentTime > 0) {
             // Last 10 seconds - tick sound
             if (currentTime % 1000 < 100) {
@@ -904,6 +1376,20 @@ function updateTimerDisplay() {
     const whiteTimerEl = document.getElementById('white-timer');
     const blackTimerEl = document.getElementById('black-timer');
 
+    // Correspondence games count down the days of the player to move
+    // (the deadline is on the server's clock, which is close enough when counting days)
+    if (correspondence) {
+        for (const [color, timerEl] of [['white', whiteTimerEl], ['black', blackTimerEl]]) {
+            const toMove = game.currentTurn === color && !game.gameOver;
+            timerEl.textContent = toMove && correspondence.deadline
+                ? formatTimeLeft(correspondence.deadline - Date.now())
+                : formatDaysPerMove(correspondence.days);
+            timerEl.classList.toggle('active', toMove);
+            timerEl.classList.remove('low-time', 'expired');
+        }
+        return;
+    }
+
     // Handle untimed games
     if (game.isUntimed()) {
         whiteTimerEl.textContent = '--:--';
@@ -913,8 +1399,8 @@ function updateTimerDisplay() {
         return;
     }
 
-    const whiteTime = game.getTimeRemaining('white');
-    const blackTime = game.getTimeRemaining('black');
+    const whiteTime = getDisplayedTime('white');
+    const blackTime = getDisplayedTime('black');
 
     whiteTimerEl.textContent = game.formatTime(whiteTime);
     blackTimerEl.textContent = game.formatTime(blackTime);
@@ -932,6 +1418,42 @@ function updateTimerDisplay() {
     blackTimerEl.classList.toggle('expired', blackTime <= 0);
 }
 
+// Days per move of a correspondence game, e.g. '3 days/move'
+function formatDaysPerMove(days) {
+    return `${days} ${days === 1 ? 'day' : 'days'}/move`;
+}
+
+// Time left to move in a correspondence game, e.g. '2d 5h', '3h 20m' or '12m'
+function formatTimeLeft(ms) {
+    const minutes = Math.max(0, Math.floor(ms / 60000));
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor(minutes / 60) % 24;
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
+}
+
+// Take a clock reading from the server, moving its deadline onto our clock
+function applyServerClock(clock) {
+    serverClock = {
+        ...clock,
+        deadline: clock.deadline === null ? null : clock.deadline - serverTimeOffset
+    };
+    game.setTime('white', clock.whiteTime);
+    game.setTime('black', clock.blackTime);
+    updateTimerDisplay();
+}
+
+// Time left on a player's clock: online, counted down to the server's deadline (never above
+// the time it last sent, which a delay holds); otherwise the game's own clock
+function getDisplayedTime(color) {
+    if (isLocalGame || isAIGame || !serverClock) return game.getTimeRemaining(color);
+
+    const time = color === 'white' ? serverClock.whiteTime : serverClock.blackTime;
+    if (serverClock.turn !== color || serverClock.deadline === null) return time;
+    return Math.max(0, Math.min(time, serverClock.deadline - Date.now()));
+}
+
 // Show rules screen
 function showRules() {
     UI.showScreen('rules-screen');
@@ -943,6 +1465,13 @@ function handleGameEnd(status) {
     clearActiveGame(); // Clear saved game since game is over
     aiThinking = false;
     UI.showAIThinking(false);
+    drawOfferSent = false;
+    takebackRequestSent = false;
+    UI.hide('draw-offer');
+    UI.hide('takeback-request');
+    UI.hide('btn-offer-draw');
+    UI.hide('btn-claim-draw');
+    UI.hide('btn-takeback');
 
     let title, subtitle;
     let isVictory = false;
@@ -957,28 +1486,68 @@ function handleGameEnd(status) {
             title = 'Stalemate!';
             subtitle = 'The game is a draw.';
             break;
+        case 'threefold-repetition':
+            title = 'Draw by Repetition';
+            subtitle = 'Draw claimed after the same position occurred three times.';
+            break;
+        case 'fifty-move-rule':
+            title = 'Draw by Fifty-Move Rule';
+            subtitle = 'Draw claimed after fifty moves without a capture or pawn move.';
+            break;
+        case 'insufficient-material':
+            title = 'Draw by Insufficient Material';
+            subtitle = 'Neither side can checkmate.';
+            break;
+        case 'fivefold-repetition':
+            title = 'Draw by Repetition';
+            subtitle = 'The same position occurred five times.';
+            break;
+        case 'seventy-five-move-rule':
+            title = 'Draw by Seventy-Five-Move Rule';
+            subtitle = 'Seventy-five moves without a capture or pawn move.';
+            break;
+        case 'agreement':
+            title = 'Draw Agreed';
+            subtitle = 'Both players agreed to a draw.';
+            break;
         case 'resignation':
             title = 'Resignation';
             subtitle = status.message;
             isVictory = (status.winner === playerColor);
             break;
         case 'disconnect':
+            if (isSpectating) {
+                title = 'Player Disconnected';
+                subtitle = status.message;
+                break;
+            }
             title = 'Opponent Disconnected';
             subtitle = 'You win by default!';
             isVictory = true;
             break;
+        case 'aborted':
+            title = 'Game Aborted';
+            subtitle = status.message;
+            break;
         case 'timeout':
             title = 'Time Out!';
             subtitle = status.message;
             isVictory = (status.winner === playerColor);
             break;
         default:
-            title = 'Game Over';
-            subtitle = status.message || '';
+            if (game && status.result === game.rules.variant && status.winner) {
+                // Won by the variant's own goal (e.g. King of the Hill)
+                title = `${game.getVariantModule().label}!`;
+                subtitle = status.message;
+                isVictory = (isLocalGame || status.winner === playerColor);
+            } else {
+                title = 'Game Over';
+                subtitle = status.message || '';
+            }
     }
 
     // Play appropriate sound (if not already played)
-    if (status.result === 'checkmate' || status.result === 'stalemate') {
+    if (status.result === 'checkmate' || status.result === game?.rules.variant || game?.isDrawResult(status.result)) {
         if (isVictory) {
             Sounds.victory();
         } else {
@@ -987,6 +1556,95 @@ function handleGameEnd(status) {
     }
 
     UI.showGameMessage(title, subtitle);
+    showSessionScore();
+    updateRematchControls();
+}
+
+// Show the rematch buttons after an online game we played, until the opponent declines or leaves
+function updateRematchControls() {
+    const show = !!game && game.gameOver && !isLocalGame && !isAIGame && !isSpectating && !correspondence && rematchAvailable;
+    for (const id of ['btn-rematch', 'btn-rematch-same']) {
+        const btn = document.getElementById(id);
+        btn.classList.toggle('hidden', !show);
+        btn.disabled = rematchOfferSent;
+    }
+    document.getElementById('btn-rematch').textContent = rematchOfferSent ? 'Rematch Offered' : 'Rematch';
+}
+
+// Offer the opponent a rematch with colours swapped, in a new position or the same one
+function offerRematch(samePosition) {
+    if (!game || !game.gameOver || rematchOfferSent) return;
+    rematchOfferSent = true;
+    updateRematchControls();
+    socket.emit('offerRematch', { gameId: currentGameId, samePosition });
+}
+
+// Accept the opponent's rematch offer (the new game starts with gameStart or gameJoined)
+function acceptRematch() {
+    UI.hide('rematch-offer');
+    socket.emit('acceptRematch', { gameId: currentGameId });
+}
+
+// Decline the opponent's rematch offer
+function declineRematch() {
+    UI.hide('rematch-offer');
+    rematchAvailable = false;
+    updateRematchControls();
+    socket.emit('declineRematch', { gameId: currentGameId });
+}
+
+// Score as chess players write it (1½, ½)
+function formatScore(points) {
+    const whole = Math.floor(points);
+    const half = points % 1 ? '½' : '';
+    return whole === 0 && half ? half : `${whole}${half}`;
+}
+
+// Show the session's head-to-head score under the result of an online game
+function showSessionScore() {
+    const messageEl = document.getElementById('game-message');
+    if (!sessionScore || !playerColor || messageEl.classList.contains('hidden')) return;
+
+    let scoreEl = messageEl.querySelector('.session-score');
+    if (!scoreEl) {
+        scoreEl = document.createElement('p');
+        scoreEl.className = 'session-score';
+        messageEl.appendChild(scoreEl);
+    }
+    const opponentColor = playerColor === 'white' ? 'black' : 'white';
+    const opponentName = currentGamePlayers?.[opponentColor]?.username || 'Opponent';
+    scoreEl.textContent = `Session: You ${formatScore(sessionScore[playerColor])} – ${formatScore(sessionScore[opponentColor])} ${opponentName}`;
+}
+
+// Download the game as PGN
+// Online games come from the server, which knows both players and their ratings
+function downloadPgn() {
+    if (!game) return;
+
+    const link = document.createElement('a');
+    if (!isLocalGame && !isAIGame && currentGameId) {
+        link.href = `/games/${currentGameId}/pgn`;
+    } else {
+        const today = new Date().toISOString().slice(0, 10).replace(/-/g, '.');
+        const pgn = game.toPGN({
+            Site: 'Kalas Random Chess',
+            Date: today,
+            White: isAIGame ? 'You' : 'White',
+            Black: isAIGame ? 'Computer' : 'Black'
+        });
+        link.href = URL.createObjectURL(new Blob([pgn], { type: 'application/x-chess-pgn' }));
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+    link.download = `kalas-${game.positionId || 'game'}.pgn`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+// Abort an online game before our first move (the server ends it for both players)
+function abortGame() {
+    if (!game || !game.canAbort(playerColor)) return;
+    socket.emit('abortGame', { gameId: currentGameId });
 }
 
 // Resign game
@@ -1010,10 +1668,138 @@ function resignGame() {
     }
 }
 
+// Offer a draw (online), or ask the other player to agree (local)
+function offerDraw() {
+    if (!game || game.gameOver || isAIGame) return;
+
+    if (isLocalGame) {
+        const offering = game.currentTurn;
+        const other = offering === 'white' ? 'Black' : 'White';
+        if (confirm(`${offering.charAt(0).toUpperCase() + offering.slice(1)} offers a draw. Does ${other} accept?`)) {
+            const result = game.agreeDraw();
+            boardUI.render();
+            handleGameEnd(result);
+        }
+        return;
+    }
+
+    drawOfferSent = true;
+    updateGameControls();
+    socket.emit('offerDraw', { gameId: currentGameId });
+}
+
+// Accept the opponent's draw offer
+function acceptDraw() {
+    UI.hide('draw-offer');
+    if (currentGameId) {
+        socket.emit('acceptDraw', { gameId: currentGameId });
+    }
+}
+
+// Decline the opponent's draw offer
+function declineDraw() {
+    UI.hide('draw-offer');
+    if (currentGameId) {
+        socket.emit('declineDraw', { gameId: currentGameId });
+    }
+}
+
+// Claim a draw by threefold repetition or the fifty-move rule
+function claimDraw() {
+    if (!game || game.gameOver || !game.canClaimDraw()) return;
+
+    if (isLocalGame || isAIGame) {
+        const result = game.claimDraw();
+        boardUI.render();
+        handleGameEnd(result);
+    } else {
+        socket.emit('claimDraw', { gameId: currentGameId });
+    }
+}
+
+// Take back our last move - asks the opponent online, immediate in local and AI games
+function requestTakeback() {
+    if (!game || game.gameOver || aiThinking) return;
+
+    if (isLocalGame || isAIGame) {
+        // Against the AI, also take back its reply so it is our turn again
+        do {
+            if (!game.undoMove().success) break;
+        } while (isAIGame && game.currentTurn !== playerColor);
+
+        viewingMoveIndex = null;
+        boardUI.returnToLive();
+        boardUI.clearSelection();
+        UI.updateGameInfo(game);
+        updateGameControls();
+        updateTimerDisplay();
+        updateCapturedPieces();
+        updateMoveNavButtons();
+        return;
+    }
+
+    takebackRequestSent = true;
+    updateGameControls();
+    socket.emit('requestTakeback', { gameId: currentGameId });
+}
+
+// Accept the opponent's takeback request
+function acceptTakeback() {
+    UI.hide('takeback-request');
+    if (currentGameId) {
+        socket.emit('acceptTakeback', { gameId: currentGameId });
+    }
+}
+
+// Decline the opponent's takeback request
+function declineTakeback() {
+    UI.hide('takeback-request');
+    if (currentGameId) {
+        socket.emit('declineTakeback', { gameId: currentGameId });
+    }
+}
+
+// Show the draw and takeback buttons that apply to the current game
+function updateGameControls() {
+    const offerBtn = document.getElementById('btn-offer-draw');
+    const claimBtn = document.getElementById('btn-claim-draw');
+    const takebackBtn = document.getElementById('btn-takeback');
+    const active = game && !game.gameOver;
+
+    // Until our first move in an online game we may abort it, at no cost, instead of resigning
+    const canAbort = active && !isLocalGame && !isAIGame && !isSpectating && game.canAbort(playerColor);
+    document.getElementById('btn-abort').classList.toggle('hidden', !canAbort);
+    document.getElementById('btn-resign').classList.toggle('hidden', isSpectating || canAbort);
+    offerBtn.classList.toggle('hidden', !active || isAIGame || isSpectating);
+    offerBtn.disabled = drawOfferSent;
+    offerBtn.textContent = drawOfferSent ? 'Draw Offered' : 'Offer Draw';
+    claimBtn.classList.toggle('hidden', !active || isSpectating || !game.canClaimDraw());
+
+    // Only offer a takeback once we have a move to take back
+    const hasOwnMove = active && game.moveHistory.some(m =>
+        isLocalGame || game.getPieceColor(m.piece) === playerColor);
+    takebackBtn.classList.toggle('hidden', !hasOwnMove);
+    takebackBtn.disabled = takebackRequestSent;
+    takebackBtn.textContent = takebackRequestSent ? 'Takeback Requested' : 'Takeback';
+}
+
 // Return to menu
 function returnToMenu() {
     stopTimerInterval();
-    clearActiveGame(); // Clear saved game
+    if (isSpectating) {
+        socket.emit('leaveSpectating');
+    } else {
+        clearActiveGame(); // Clear saved game
+    }
+    if (game && game.gameOver && !isLocalGame && !isAIGame && !isSpectating && rematchAvailable) {
+        socket.emit('declineRematch', { gameId: currentGameId }); // No rematch once we have left
+    }
+    rematchOfferSent = false;
+    rematchAvailable = true;
+    sessionScore = null;
+    UI.hide('rematch-offer');
+    UI.hide('btn-rematch');
+    UI.hide('btn-rematch-same');
     currentGameId = null;
     playerColor = null;
     game = null;
@@ -1025,6 +1811,13 @@ function returnToMenu() {
     lastReceivedMoveNum = 0;
     initialBoard = null;
     viewingMoveIndex = null;
+    drawOfferSent = false;
+    takebackRequestSent = false;
+    correspondence = null;
+    isSpectating = false;
+    UI.hide('spectator-count');
+    UI.hide('draw-offer');
+    UI.hide('takeback-request');
 
     UI.hide('waiting-room');
     UI.hide('create-table-form');
@@ -1036,6 +1829,7 @@ function returnToMenu() {
 
     // Refresh lobby data
     socket.emit('getLobby');
+    socket.emit('getMyGames');
 }
 
 // Show create table form
@@ -1079,23 +1873,161 @@ function hideLocalGameSelect() {
     UI.show('main-lobby');
 }
 
+// Read the optional position ID input into selectedPositionId
+// Returns false (after warning the player) if the ID is not valid
+function readPositionId(inputId) {
+    const value = document.getElementById(inputId).value.trim();
+    if (!value) {
+        selectedPositionId = null;
+        return true;
+    }
+
+    const positionId = KalasRandomChess.normalizePositionId(value);
+    if (!positionId) {
+        alert('Invalid position ID. Use up to 7 letters and digits, e.g. K7Q2ZX.');
+        return false;
+    }
+    selectedPositionId = positionId;
+    return true;
+}
+
+// Read the rule options chosen in the create table form
+function readTableRules() {
+    const pawnZone = document.getElementById('table-pawn-zone').value.split('-').map(Number);
+    return {
+        captureFreeTurns: parseInt(document.getElementById('table-capture-free').value),
+        pawnRanks: pawnZone,
+        checkRule: document.getElementById('table-check-rule').value,
+        castling: document.getElementById('table-castling').value === 'on',
+        symmetry: document.getElementById('table-symmetry').value,
+        variant: document.getElementById('table-variant').value,
+        handicap: readTableHandicap()
+    };
+}
+
+// Time control for a time button's minutes and the bonus chosen in a form ('table', 'ai' or 'local')
+function readTimeControl(form, minutes) {
+    return {
+        minutes,
+        increment: parseInt(document.getElementById(`${form}-increment`).value),
+        mode: document.getElementById(`${form}-clock-mode`).value
+    };
+}
+
+// Read the handicap options chosen in the create table form (null for an even game); who gives
+// it is 'me' or 'opponent', which the server turns into a colour once it knows ours
+function readTableHandicap() {
+    const odds = document.getElementById('table-odds').value || null;
+    const extraTime = parseInt(document.getElementById('table-extra-time').value);
+    if (!odds && extraTime === 0) return null;
+    return { giver: document.getElementById('table-handicap-giver').value, odds, extraTime };
+}
+
+// Describe a rule set that differs from the standard Kalas rules ('' for standard rules)
+function formatRules(rules) {
+    if (!rules || KalasRandomChess.isDefaultRules(rules)) return '';
+    const standard = KalasRandomChess.normalizeRules({});
+    const parts = [];
+    const variant = KalasRandomChess.getVariants().find(v => v.name === rules.variant);
+    if (variant) {
+        parts.push(variant.label);
+    }
+    if (rules.captureFreeTurns !== standard.captureFreeTurns) {
+        parts.push(rules.captureFreeTurns === 0 ? 'Captures from move 1' : `${rules.captureFreeTurns} capture-free turns`);
+    }
+    if (rules.pawnRanks.join() !== standard.pawnRanks.join()) {
+        parts.push(`Pawns on ranks ${rules.pawnRanks[0]}-${rules.pawnRanks[1]}`);
+    }
+    if (rules.kingRanks.join() !== standard.kingRanks.join()) {
+        parts.push(`King on ranks ${rules.kingRanks[0]}-${rules.kingRanks[1]}`);
+    }
+    if (rules.pieceRanks.join() !== standard.pieceRanks.join()) {
+        parts.push(`Pieces on ranks ${rules.pieceRanks[0]}-${rules.pieceRanks[1]}`);
+    }
+    if (rules.checkRule === 'illegal') {
+        parts.push('No moving into check');
+    }
+    if (rules.castling) {
+        parts.push('Castling');
+    }
+    if (rules.handicap) {
+        const giver = rules.handicap.color === 'white' ? 'White' : 'Black';
+        const receiver = rules.handicap.color === 'white' ? 'Black' : 'White';
+        if (rules.handicap.odds) parts.push(`${giver} gives ${rules.handicap.odds} odds`);
+        if (rules.handicap.extraTime > 0) parts.push(`${receiver} +${rules.handicap.extraTime} min`);
+        parts.push('Unrated');
+    }
+    if (rules.symmetry === 'mirrored') {
+        parts.push('Mirrored setup');
+    } else if (rules.symmetry === 'point') {
+        parts.push('Point-symmetric setup');
+    }
+    return parts.join(' · ');
+}
+
+// Who may join a table created from the form: the colour we play, whether it is private
+// and the player it challenges (null for anyone)
+function readTableSeating() {
+    const challenge = document.getElementById('table-challenge').value.trim();
+    return {
+        color: document.getElementById('table-color').value,
+        private: document.getElementById('table-visibility').value === 'private',
+        challenge: challenge || null
+    };
+}
+
 // Create table and show in lobby
 function createTableAndJoinLobby() {
-    socket.emit('createGame', { timeControl: selectedTimeControl });
+    socket.emit('createGame', { timeControl: selectedTimeControl, positionId: selectedPositionId, rules: readTableRules(), ...readTableSeating() });
+    UI.hide('create-table-form');
+}
+
+// Open a correspondence table, which stays in the lobby until someone joins
+function createCorrespondenceTable(days) {
+    socket.emit('createGame', { correspondenceDays: days, positionId: selectedPositionId, rules: readTableRules(), ...readTableSeating() });
     UI.hide('create-table-form');
 }
 
+// Join a table by the code its creator shared
+function joinByCode() {
+    const input = document.getElementById('join-code-input');
+    const code = input.value.trim().toUpperCase();
+    if (!code) return;
+    input.value = '';
+    joinTable(code);
+}
+
+// Copy our private table's invite link
+function copyInviteLink() {
+    const link = document.getElementById('waiting-link');
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(link.value);
+    } else {
+        link.select();
+        document.execCommand('copy');
+    }
+}
+
+// Accept a challenge: the game starts at once
+function acceptChallenge(gameId) {
+    incomingChallenges.delete(gameId);
+    updateChallengesDisplay();
+    socket.emit('acceptChallenge', { gameId });
+}
+
+// Decline a challenge
+function declineChallenge(gameId) {
+    incomingChallenges.delete(gameId);
+    updateChallengesDisplay();
+    socket.emit('declineChallenge', { gameId });
+}
+
 // Join a table from lobby
 function joinTable(gameId) {
     console.log('joinTable called with gameId:', gameId);
     socket.emit('joinGame', { gameId });
 }
 
-// Format time control for display
-function formatTimeControl(timeControl) {
-    return timeControl === 0 ? 'Untimed' : `${timeControl} min`;
-}
-
 // Move history navigation
 function navigateMove(direction) {
     if (!game || !game.moveHistory) return;
@@ -1138,6 +2070,15 @@ function reconstructBoardAtMove(moveIndex) {
     const board = [...initialBoard];
     for (let i = 0; i < moveIndex; i++) {
         const move = game.moveHistory[i];
+        // Handle castling (king and rook both move)
+        if (move.castling) {
+            const rook = board[move.castling.rookFrom];
+            board[move.from] = null;
+            board[move.castling.rookFrom] = null;
+            board[move.to] = move.piece;
+            board[move.castling.rookTo] = rook;
+            continue;
+        }
         // Handle en passant
         if (move.isEnPassant) {
             const capturedPawnIndex = move.to + (game.isWhitePiece(move.piece) ? -8 : 8);
@@ -1171,20 +2112,29 @@ function updateMoveNavButtons() {
 
     if (totalMoves === 0) {
         label.textContent = '';
-    } else if (viewingMoveIndex !== null) {
-        label.textContent = `${current} / ${totalMoves}`;
     } else {
-        label.textContent = `${totalMoves} / ${totalMoves}`;
+        const moveText = formatMoveSAN(current);
+        label.textContent = moveText ? `${moveText} (${current} / ${totalMoves})` : `${current} / ${totalMoves}`;
     }
 }
 
+// Format the move that led to a move index in SAN, e.g. '12. Nf3' or '12... exd4'
+function formatMoveSAN(moveIndex) {
+    const move = moveIndex > 0 ? game.moveHistory[moveIndex - 1] : null;
+    if (!move || !move.san) return '';
+    const dots = game.isWhitePiece(move.piece) ? '.' : '...';
+    return `${move.moveNumber}${dots} ${move.san}`;
+}
+
 // Update lobby display with available games
 function updateLobbyDisplay(games) {
     const tablesList = document.getElementById('tables-list');
     if (!tablesList) return;
 
-    // Filter out our own game if we're waiting
-    const availableGames = games.filter(g => g.gameId !== currentGameId);
+    // Filter out our own game if we're waiting, and our correspondence tables (listed under "my games")
+    const username = Auth.isLoggedIn() ? Auth.currentUser.username : null;
+    const availableGames = games.filter(g => g.gameId !== currentGameId &&
+        !(username && g.correspondenceDays && g.creator?.username === username));
 
     if (availableGames.length === 0) {
         tablesList.innerHTML = '<p class="no-tables">No players waiting</p>';
@@ -1201,7 +2151,9 @@ function updateLobbyDisplay(games) {
                 <span class="creator-elo">(${creatorElo})</span>
             </div>
             <div class="table-info">
-                <span class="table-time">${formatTimeControl(game.timeControl)}</span>
+                <span class="table-time">${game.correspondenceDays ? formatDaysPerMove(game.correspondenceDays) : KalasRandomChess.formatTimeControl(game.timeControl)}</span>
+                ${game.creatorColor ? `<span class="table-rules">You play ${game.creatorColor === 'white' ? 'Black' : 'White'}</span>` : ''}
+                ${formatRules(game.rules) ? `<span class="table-rules">${formatRules(game.rules)}</span>` : ''}
             </div>
             <button class="btn-join-table" onclick="joinTable('${game.gameId}')">Join</button>
         </div>
@@ -1209,6 +2161,109 @@ function updateLobbyDisplay(games) {
     }).join('');
 }
 
+// Update the list of challenges waiting for our answer (hidden if we have none)
+function updateChallengesDisplay() {
+    const challengesList = document.getElementById('challenges-list');
+    if (!challengesList) return;
+
+    const challenges = [...incomingChallenges.values()];
+    document.getElementById('challenges').classList.toggle('hidden', challenges.length === 0);
+    challengesList.innerHTML = challenges.map(c => `
+        <div class="table-item">
+            <div class="table-creator">
+                <span class="creator-name">${c.from.username}</span>
+                <span class="creator-elo">(${c.from.elo || '?'})</span>
+            </div>
+            <div class="table-info">
+                <span class="table-time">${c.correspondenceDays ? formatDaysPerMove(c.correspondenceDays) : KalasRandomChess.formatTimeControl(c.timeControl)}</span>
+                ${c.color ? `<span class="table-rules">You play ${c.color === 'white' ? 'White' : 'Black'}</span>` : ''}
+                ${formatRules(c.rules) ? `<span class="table-rules">${formatRules(c.rules)}</span>` : ''}
+            </div>
+            <button class="btn-join-table" onclick="acceptChallenge('${c.gameId}')">Accept</button>
+            <button class="btn-join-table" onclick="declineChallenge('${c.gameId}')">Decline</button>
+        </div>
+    `).join('');
+}
+
+// Update the list of our correspondence games, the ones awaiting our move first (hidden if we have none)
+function updateMyGamesDisplay(myGames) {
+    const myGamesList = document.getElementById('my-games-list');
+    if (!myGamesList) return;
+
+    document.getElementById('my-games').classList.toggle('hidden', myGames.length === 0);
+    myGamesList.innerHTML = myGames.map(g => {
+        if (g.state === 'waiting') {
+            return `
+        <div class="table-item">
+            <div class="table-creator">
+                <span class="creator-name">Waiting for an opponent</span>
+            </div>
+            <div class="table-info">
+                <span class="table-time">${formatDaysPerMove(g.days)}</span>
+            </div>
+            <button class="btn-join-table" onclick="cancelMyTable('${g.gameId}')">Cancel</button>
+        </div>
+    `;
+        }
+        return `
+        <div class="table-item${g.yourMove ? ' your-move' : ''}">
+            <div class="table-creator">
+                <span class="creator-name">vs ${g.opponent.username}</span>
+                <span class="creator-elo">(${g.opponent.elo})</span>
+            </div>
+            <div class="table-info">
+                <span class="table-time">${g.yourMove ? 'Your move' : 'Their move'}</span>
+                <span class="table-rules">${formatTimeLeft(g.deadline - Date.now())} left</span>
+            </div>
+            <button class="btn-join-table" onclick="openMyGame('${g.gameId}')">Open</button>
+        </div>
+    `;
+    }).join('');
+}
+
+// Update lobby display with the games in progress, which anyone can watch
+function updateLiveGamesDisplay(liveGames) {
+    const liveGamesList = document.getElementById('live-games-list');
+    if (!liveGamesList) return;
+
+    // Filter out our own game
+    const watchableGames = liveGames.filter(g => g.gameId !== currentGameId);
+
+    if (watchableGames.length === 0) {
+        liveGamesList.innerHTML = '<p class="no-tables">No games in progress</p>';
+        return;
+    }
+
+    const describePlayer = (player, fallback) => `${player?.username || fallback} (${player?.elo || '?'})`;
+    liveGamesList.innerHTML = watchableGames.map(game => `
+        <div class="table-item">
+            <div class="table-creator">
+                <span class="creator-name">${describePlayer(game.white, 'White')} vs ${describePlayer(game.black, 'Black')}</span>
+            </div>
+            <div class="table-info">
+                <span class="table-time">${game.correspondenceDays ? formatDaysPerMove(game.correspondenceDays) : KalasRandomChess.formatTimeControl(game.timeControl)}</span>
+                ${game.spectators > 0 ? `<span class="table-rules">${game.spectators} watching</span>` : ''}
+            </div>
+            <button class="btn-join-table" onclick="spectateGame('${game.gameId}')">Watch</button>
+        </div>
+    `).join('');
+}
+
+// Watch a game in progress from the lobby
+function spectateGame(gameId) {
+    socket.emit('spectateGame', { gameId });
+}
+
+// Open one of our correspondence games
+function openMyGame(gameId) {
+    socket.emit('openGame', { gameId });
+}
+
+// Cancel one of our correspondence tables that nobody has joined yet
+function cancelMyTable(gameId) {
+    socket.emit('cancelGame', { gameId });
+}
+
 // --- Chat ---
 
 let chatOpen = false;
@@ -7,10 +7,12 @@ class ChessBoardUI {
         this.selectedSquare = null;
         this.validMoves = [];
         this.playerColor = null; // 'white', 'black', or null for local game
+        this.readOnly = false; // Spectators watch without moving pieces
         this.flipped = false;
         this.onMoveCallback = null;
         this.onSelectCallback = null;
         this.viewingHistory = false;
+        this.promotionPicker = null; // Overlay element while a promotion choice is pending
     }
 
     // Set callback for when a piece is selected
@@ -25,6 +27,12 @@ class ChessBoardUI {
         this.render();
     }
 
+    // Make the board read-only (for spectators) or playable again
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        this.clearSelection();
+    }
+
     // Set callback for when a move is made
     onMove(callback) {
         this.onMoveCallback = callback;
@@ -99,8 +107,10 @@ class ChessBoardUI {
 
     // Handle square click
     handleSquareClick(index) {
+        if (this.readOnly) return;
         if (this.game.gameOver) return;
         if (this.viewingHistory) return;
+        if (this.promotionPicker) return;
 
         // In online mode, only allow moves on player's turn
         if (this.playerColor && this.playerColor !== this.game.currentTurn) {
@@ -116,6 +126,12 @@ class ChessBoardUI {
             const validMove = this.validMoves.find(m => m.to === index);
 
             if (validMove) {
+                // Promotions wait for the player to pick a piece
+                if (validMove.isPromotion) {
+                    this.showPromotionPicker(this.selectedSquare, index);
+                    return;
+                }
+
                 // Make the move
                 this.makeMove(this.selectedSquare, index);
                 this.clearSelection();
@@ -157,9 +173,59 @@ class ChessBoardUI {
         this.render();
     }
 
+    // Show the promotion piece picker over the board, then make the move with the chosen piece
+    showPromotionPicker(fromIndex, toIndex) {
+        this.hidePromotionPicker();
+
+        const color = this.game.getPieceColor(this.game.board[fromIndex]);
+        const overlay = document.createElement('div');
+        overlay.className = 'promotion-picker';
+
+        const choices = document.createElement('div');
+        choices.className = 'promotion-choices';
+
+        for (const type of PROMOTION_PIECES) {
+            const piece = color === 'white' ? type.toUpperCase() : type;
+            const button = document.createElement('button');
+            button.className = 'promotion-choice';
+            button.dataset.piece = type;
+
+            const pieceSpan = document.createElement('span');
+            pieceSpan.className = 'piece ' + (color === 'white' ? 'white-piece' : 'black-piece');
+            pieceSpan.textContent = PIECE_GLYPHS[piece];
+            button.appendChild(pieceSpan);
+
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.hidePromotionPicker();
+                this.makeMove(fromIndex, toIndex, type);
+                this.clearSelection();
+            });
+            choices.appendChild(button);
+        }
+
+        // Clicking outside the choices cancels the promotion
+        overlay.addEventListener('click', () => {
+            this.hidePromotionPicker();
+            this.clearSelection();
+        });
+
+        overlay.appendChild(choices);
+        this.boardElement.parentElement.appendChild(overlay);
+        this.promotionPicker = overlay;
+    }
+
+    // Remove the promotion picker if it is showing
+    hidePromotionPicker() {
+        if (this.promotionPicker) {
+            this.promotionPicker.remove();
+            this.promotionPicker = null;
+        }
+    }
+
     // Make a move
-    makeMove(fromIndex, toIndex) {
-        const result = this.game.makeMove(fromIndex, toIndex);
+    makeMove(fromIndex, toIndex, promotion = null) {
+        const result = this.game.makeMove(fromIndex, toIndex, promotion);
 
         if (result.success) {
             this.render();
@@ -174,6 +240,7 @@ class ChessBoardUI {
 
     // Update the board from external state (for multiplayer sync)
     updateFromState(state) {
+        this.hidePromotionPicker();
         this.game.loadState(state);
         this.clearSelection();
     }
@@ -251,6 +318,10 @@ const UI = {
         document.getElementById('turn-indicator').textContent =
             `${game.currentTurn.charAt(0).toUpperCase() + game.currentTurn.slice(1)}'s turn`;
 
+        // Show the shareable starting position ID
+        document.getElementById('position-id-display').textContent =
+            game.positionId ? `Position #${game.positionId}` : '';
+
         // Show/hide capture restriction warning
         const restrictionEl = document.getElementById('capture-restriction');
         if (game.areCapturesAllowed()) {
@@ -268,12 +339,14 @@ const UI = {
             <p>${subtitle}</p>
         `;
         messageEl.classList.remove('hidden');
+        document.getElementById('btn-download-pgn').classList.remove('hidden');
         document.getElementById('btn-new-game').classList.remove('hidden');
     },
 
     // Hide game message
     hideGameMessage() {
         document.getElementById('game-message').classList.add('hidden');
+        document.getElementById('btn-download-pgn').classList.add('hidden');
         document.getElementById('btn-new-game').classList.add('hidden');
     },
 
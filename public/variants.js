@@ -0,0 +1,78 @@
+// Kalas Random Chess - Rule variants
+// Each variant registers itself by name and plugs into the hooks KalasRandomChess calls
+// (see registerVariant in game-logic.js); a game plays one through its rules' variant option
+
+// Shared game class: script global in the browser, required on the server
+const { KalasRandomChess: VariantHost } = typeof window === 'undefined'
+    ? require('./game-logic.js')
+    : { KalasRandomChess };
+
+// King of the Hill: the centre squares the kings race for
+const HILL_SQUARES = [27, 28, 35, 36]; // d4, e4, d5, e5
+
+VariantHost.registerVariant('king-of-the-hill', {
+    label: 'King of the Hill',
+    description: 'Bring your king to one of the four centre squares (d4, e4, d5, e5) to win. Checkmate still wins too.',
+
+    // The player who just moved wins once their king stands on the hill
+    getResult(game) {
+        const mover = game.currentTurn === 'white' ? 'black' : 'white';
+        if (!HILL_SQUARES.includes(game.findKing(mover))) return null;
+        return {
+            winner: mover,
+            message: `${mover.charAt(0).toUpperCase() + mover.slice(1)}'s king reached the hill!`
+        };
+    },
+
+    // Reward kings for walking towards the centre
+    evaluatePosition(game) {
+        const hillDistance = (color) => {
+            const king = game.findKing(color);
+            if (king === -1) return 0;
+            return Math.min(...HILL_SQUARES.map(sq =>
+                Math.max(Math.abs(game.getRow(sq) - game.getRow(king)), Math.abs(game.getCol(sq) - game.getCol(king)))));
+        };
+        return (hillDistance('black') - hillDistance('white')) * 40;
+    }
+});
+
+// Three-Check: the number of checks each side must give to win
+const CHECKS_TO_WIN = 3;
+
+VariantHost.registerVariant('three-check', {
+    label: 'Three-Check',
+    description: `Give check ${CHECKS_TO_WIN} times to win. Checkmate still wins too.`,
+
+    createState() {
+        return { checks: { white: 0, black: 0 } };
+    },
+
+    // Count the check if the move just made gives one
+    afterMove(game, moveRecord) {
+        if (!game.isInCheck(game.currentTurn)) return;
+        const mover = game.currentTurn === 'white' ? 'black' : 'white';
+        game.variantState.checks[mover]++;
+        moveRecord.checkGiven = true;
+    },
+
+    undoMove(game, moveRecord) {
+        if (!moveRecord.checkGiven) return;
+        const mover = game.getPieceColor(moveRecord.piece);
+        game.variantState.checks[mover]--;
+    },
+
+    getResult(game) {
+        const mover = game.currentTurn === 'white' ? 'black' : 'white';
+        if (game.variantState.checks[mover] < CHECKS_TO_WIN) return null;
+        return {
+            winner: mover,
+            message: `${mover.charAt(0).toUpperCase() + mover.slice(1)} gave check ${CHECKS_TO_WIN} times!`
+        };
+    },
+
+    // Each check given is worth about a minor piece
+    evaluatePosition(game) {
+        const { checks } = game.variantState;
+        return (checks.white - checks.black) * 300;
+    }
+});
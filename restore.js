@@ -0,0 +1,99 @@
+// Saving live games for a restart and bringing them back afterwards, for Kalas Random Chess
+
+const crypto = require('crypto');
+const { KalasRandomChess } = require('./public/game-logic.js');
+
+/**
+ * A secret given to the browser of a seat's player when the game starts: showing it lets a new
+ * socket take the seat back (after a reconnect, a page reload or a restart of the server)
+ * @returns {string} Random hex token
+ */
+function createSeatToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Number the next save of a game: a save that reaches the database after a later one is dropped
+ * (saves of a restored game carry on from the version it was saved with)
+ * @param {object} gameData - The game being saved
+ * @returns {number} Version of this save
+ */
+function nextStateVersion(gameData) {
+    gameData.stateVersion = (gameData.stateVersion || 0) + 1;
+    return gameData.stateVersion;
+}
+
+/**
+ * What is saved in the games.state column: the game's full state and its seats' rejoin tokens
+ * @param {object} gameData - The game being saved
+ * @returns {object}
+ */
+function getSavedState(gameData) {
+    return { ...gameData.game.getState(), seatTokens: gameData.seatTokens ?? null };
+}
+
+/**
+ * Rebuild a game from its saved row. Its players have no socket until they come back: correspondence
+ * games carry on as before, and live games are paused until both players have taken their seats again
+ * @param {object} row - games row joined with its players' id, username and elo (white_*, black_*)
+ * @returns {object} The game's data, without timers
+ */
+function restoreGameData(row) {
+    const game = new KalasRandomChess(0);
+    game.loadState(row.state);
+    const waiting = row.status === 'waiting';
+    const account = (id, username, elo) => (id ? { userId: id, username, elo } : null);
+    const gameData = {
+        game: game,
+        gameId: row.id,
+        white: null,
+        black: null,
+        state: waiting ? 'waiting' : 'playing',
+        timeControl: game.getTimeControl(),
+        balanceScore: row.balance_score,
+        createdAt: new Date(row.created_at).getTime(),
+        creatorUserId: waiting ? row.white_id : null,
+        creatorInfo: waiting ? { username: row.white_username, elo: row.white_elo } : null,
+        creatorColor: row.creator_color,
+        private: row.private,
+        moveCount: game.moveHistory.length,
+        stateVersion: row.state_version,
+        seatTokens: row.state.seatTokens ?? null,
+        correspondence: row.correspondence_days === null ? null : {
+            days: row.correspondence_days,
+            deadline: row.move_deadline ? new Date(row.move_deadline).getTime() : null
+        },
+        players: waiting ? null : {
+            white: account(row.white_id, row.white_username, row.white_elo),
+            black: account(row.black_id, row.black_username, row.black_elo)
+        }
+    };
+
+    if (!waiting && !gameData.correspondence) {
+        gameData.state = 'paused';
+        gameData.awaiting = ['white', 'black'];
+    }
+    return gameData;
+}
+
+/**
+ * How a restored game ends if its players did not both come back in time: a game neither came back
+ * to is abandoned, one whose absent player never moved is aborted, and otherwise the player who
+ * came back wins by forfeit
+ * @param {object} gameData - The restored game
+ * @returns {object|null} { outcome: 'abandoned' | 'abort' | 'forfeit', winner, absent }, or null
+ *   if the game is no longer waiting for its players
+ */
+function getRestoredGameExpiry(gameData) {
+    if (gameData.state !== 'paused' || !gameData.awaiting) return null;
+
+    const present = ['white', 'black'].filter(color => !gameData.awaiting.includes(color));
+    if (present.length === 0) return { outcome: 'abandoned', winner: null, absent: null };
+
+    const winner = present[0];
+    const absent = winner === 'white' ? 'black' : 'white';
+    if (gameData.game.canAbort(absent)) return { outcome: 'abort', winner: null, absent };
+    return { outcome: 'forfeit', winner, absent };
+}
+
+module.exports = { createSeatToken, nextStateVersion, getSavedState, restoreGameData, getRestoredGameExpiry };
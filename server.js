@@ -7,11 +7,16 @@ const path = require('path');
 
 // Import game logic (for server-side validation)
 const { KalasRandomChess } = require('./public/game-logic.js');
+const { ChessAI } = require('./public/ai.js');
+require('./public/variants.js'); // Registers the rule variants
 
 // Import auth and database
 const { pool, initializeDatabase } = require('./db');
-const authRouter = require('./auth');
+const { router: authRouter, verifyToken } = require('./auth');
 const { calculateEloChanges } = require('./elo');
+const { getMatchWindow, findQueuePairs } = require('./matchmaking');
+const { createSeatToken, nextStateVersion, getSavedState, restoreGameData, getRestoredGameExpiry } = require('./restore');
+const { getMoveDeadline, adjudicateCorrespondence, sortMyGames, CORRESPONDENCE_DAYS } = require('./correspondence');
 
 const app = express();
 const server = http.createServer(app);
@@ -19,6 +24,30 @@ const io = new Server(server);
 
 const PORT = process.env.PORT || 3000;
 
+// Rated tables only get starting positions whose balance score (centipawns) is within this band
+// (which may be configured as 0, for level positions only)
+const configuredBand = parseInt(process.env.FAIRNESS_BAND);
+const FAIRNESS_BAND = Number.isNaN(configuredBand) ? 150 : configuredBand;
+const FAIRNESS_MAX_ATTEMPTS = 50;
+
+// A move is credited with half its player's measured round trip, up to this many milliseconds
+const MAX_LAG_COMPENSATION = 500;
+
+// A job checks this often for correspondence players who have run out of days
+const CORRESPONDENCE_CHECK_INTERVAL = 60 * 1000;
+
+// After a restart, live games wait this long for their players to rejoin before they are forfeited
+const RESTORE_RECONNECT_WINDOW = 2 * 60 * 1000;
+
+const MATCHMAKING_INTERVAL = 2000;
+
+// A game is aborted, without a result, if the player to move takes longer than this over their first move
+const FIRST_MOVE_TIMEOUT = 30 * 1000;
+
+// A direct challenge is withdrawn if the challenged player has not answered it within this time
+const CHALLENGE_EXPIRY = 60 * 1000;
+const balanceAI = new ChessAI('medium');
+
 // Middleware
 app.use(express.json());
 
@@ -38,12 +67,42 @@ const games = new Map();
 const playerGames = new Map(); // socket.id -> gameId
 const timerIntervals = new Map(); // gameId -> interval
 const playerInfo = new Map(); // socket.id -> { odUserId, username, elo }
+const socketLag = new Map(); // socket.id -> smoothed round-trip time of clock pings (ms)
+const spectatorGames = new Map(); // socket.id -> gameId being watched
+const matchQueue = new Map(); // socket.id -> { socketId, timeControl, key, joinedAt, allowRegistered }, in joining order
+
+// Download a game as PGN (live games from memory, finished games from the database)
+app.get('/games/:id/pgn', async (req, res) => {
+    const gameId = req.params.id.toUpperCase();
+    let pgn = null;
+
+    const gameData = games.get(gameId);
+    if (gameData && gameData.state !== 'waiting') {
+        pgn = gameData.pgn || buildGamePgn(gameId, gameData);
+    } else if (pool) {
+        try {
+            const result = await pool.query('SELECT pgn FROM games WHERE id = $1', [gameId]);
+            pgn = result.rows[0]?.pgn || null;
+        } catch (err) {
+            console.error('Failed to load game PGN:', err);
+            return res.status(500).json({ error: 'Failed to fetch PGN' });
+        }
+    }
+
+    if (!pgn) {
+        return res.status(404).json({ error: 'Game not found' });
+    }
+
+    res.set('Content-Type', 'application/x-chess-pgn');
+    res.set('Content-Disposition', `attachment; filename="kalas-${gameId}.pgn"`);
+    res.send(pgn);
+});
 
 // Get list of waiting games for lobby
 function getWaitingGames() {
     const waitingGames = [];
     for (const [gameId, gameData] of games.entries()) {
-        if (gameData.state === 'waiting') {
+        if (gameData.state === 'waiting' && !gameData.private) {
             // Try live playerInfo first, fall back to stored creator info
             const liveInfo = playerInfo.get(gameData.white);
             const creator = liveInfo
@@ -52,6 +111,9 @@ function getWaitingGames() {
             waitingGames.push({
                 gameId,
                 timeControl: gameData.timeControl,
+                correspondenceDays: gameData.correspondence?.days ?? null,
+                rules: gameData.game.rules,
+                creatorColor: gameData.creatorColor || null,
                 createdAt: gameData.createdAt || Date.now(),
                 creator
             });
@@ -60,6 +122,59 @@ function getWaitingGames() {
     return waitingGames;
 }
 
+// Name and rating of the player of a color, connected or not (null for guests)
+function getPlayerSummary(gameData, color) {
+    const info = playerInfo.get(gameData[color]) || gameData.players?.[color];
+    return info ? { username: info.username, elo: info.elo } : null;
+}
+
+// Get list of games in progress for lobby, which anyone can watch (private games only by their code)
+function getLiveGames() {
+    const liveGames = [];
+    for (const [gameId, gameData] of games.entries()) {
+        if ((gameData.state === 'playing' || gameData.state === 'paused') && !gameData.private) {
+            liveGames.push({
+                gameId,
+                white: getPlayerSummary(gameData, 'white'),
+                black: getPlayerSummary(gameData, 'black'),
+                timeControl: gameData.timeControl,
+                correspondenceDays: gameData.correspondence?.days ?? null,
+                rules: gameData.game.rules,
+                moveCount: gameData.game.moveHistory.length,
+                spectators: gameData.spectators?.size || 0
+            });
+        }
+    }
+    return liveGames;
+}
+
+// Everything the lobby shows: the tables waiting for an opponent and the games being played
+function getLobby() {
+    return { games: getWaitingGames(), liveGames: getLiveGames() };
+}
+
+// Socket.IO room of a game's spectators (its players are in the room named after the game)
+// Spectators get the game's moves, clocks and chat, but nothing they send reaches the players
+function spectatorRoom(gameId) {
+    return `spectators:${gameId}`;
+}
+
+// Send a game's current position and clock to its spectators, with the result once it is over
+function updateSpectators(gameId, gameData, gameStatus = null) {
+    if (!gameData.spectators?.size) return;
+    io.to(spectatorRoom(gameId)).emit('spectatorUpdate', {
+        gameState: gameData.game.getState(),
+        clock: gameData.game.getClock(),
+        correspondence: gameData.correspondence,
+        gameStatus
+    });
+}
+
+// Tell a game's players and spectators how many people are watching
+function sendSpectatorCount(gameId, gameData) {
+    io.to([gameId, spectatorRoom(gameId)]).emit('spectatorCount', { gameId, count: gameData.spectators.size });
+}
+
 // Update player ELO in database
 async function updatePlayerElo(userId, newElo) {
     try {
@@ -69,18 +184,67 @@ async function updatePlayerElo(userId, newElo) {
     }
 }
 
+// Generate a starting position and score its balance
+// With requireFair, positions are re-rolled until one falls inside the fairness band
+// (keeping the closest one if none does within FAIRNESS_MAX_ATTEMPTS, preferring positions without
+// a decisive line or same-coloured bishops)
+function generateBalancedPosition(game, positionId, requireFair) {
+    game.generateStartingPosition(positionId);
+    let balance = balanceAI.evaluateBalance(game);
+    if (!requireFair || positionId) return balance;
+
+    let best = { positionId: game.positionId, balance };
+    for (let attempt = 1; attempt < FAIRNESS_MAX_ATTEMPTS && !ChessAI.isBalanced(balance, FAIRNESS_BAND); attempt++) {
+        game.generateStartingPosition();
+        balance = balanceAI.evaluateBalance(game);
+        const sound = ChessAI.isBalanced(balance, Infinity);
+        const bestSound = ChessAI.isBalanced(best.balance, Infinity);
+        if (sound !== bestSound ? sound : Math.abs(balance.score) < Math.abs(best.balance.score)) {
+            best = { positionId: game.positionId, balance };
+        }
+    }
+
+    if (game.positionId !== best.positionId) {
+        game.generateStartingPosition(best.positionId);
+    }
+    return best.balance;
+}
+
+// Build the PGN for a game, with player names and ratings
+// eloChanges holds the ratings from before a finished game was scored
+function buildGamePgn(gameId, gameData, eloChanges = null) {
+    const whiteInfo = playerInfo.get(gameData.white) || gameData.players?.white;
+    const blackInfo = playerInfo.get(gameData.black) || gameData.players?.black;
+    const date = new Date(gameData.createdAt || Date.now());
+    const pad = (n) => String(n).padStart(2, '0');
+
+    return gameData.game.toPGN({
+        Site: 'Kalas Random Chess Online',
+        Date: `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}`,
+        GameId: gameId,
+        White: whiteInfo?.username || 'Guest',
+        Black: blackInfo?.username || 'Guest',
+        WhiteElo: eloChanges?.whiteOldElo ?? whiteInfo?.elo ?? null,
+        BlackElo: eloChanges?.blackOldElo ?? blackInfo?.elo ?? null
+    });
+}
+
 // Save game result to database
-async function saveGameResult(gameId, gameData, winner, eloChanges) {
+// resultReason is the game-ending result ('checkmate', 'threefold-repetition', ...)
+async function saveGameResult(gameId, gameData, winner, eloChanges, resultReason) {
     if (!pool) return;
 
-    const whiteInfo = playerInfo.get(gameData.white);
-    const blackInfo = playerInfo.get(gameData.black);
+    const whiteInfo = playerInfo.get(gameData.white) || gameData.players?.white;
+    const blackInfo = playerInfo.get(gameData.black) || gameData.players?.black;
+    gameData.pgn = buildGamePgn(gameId, gameData, eloChanges);
 
     try {
         await pool.query(`
             INSERT INTO games (id, white_player_id, black_player_id, winner, result, time_control,
-                               white_elo_before, black_elo_before, white_elo_change, black_elo_change, completed_at)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP)
+                               time_increment, clock_mode,
+                               white_elo_before, black_elo_before, white_elo_change, black_elo_change,
+                               position_id, pgn, rules, balance_score, handicap, completed_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, CURRENT_TIMESTAMP)
             ON CONFLICT (id) DO UPDATE SET
                 winner = EXCLUDED.winner,
                 result = EXCLUDED.result,
@@ -88,18 +252,29 @@ async function saveGameResult(gameId, gameData, winner, eloChanges) {
                 black_elo_before = EXCLUDED.black_elo_before,
                 white_elo_change = EXCLUDED.white_elo_change,
                 black_elo_change = EXCLUDED.black_elo_change,
+                pgn = EXCLUDED.pgn,
+                status = 'finished',
+                state = NULL,
+                move_deadline = NULL,
                 completed_at = CURRENT_TIMESTAMP
         `, [
             gameId,
             whiteInfo?.userId || null,
             blackInfo?.userId || null,
             winner,
-            winner === 'draw' ? 'draw' : `${winner} wins`,
-            gameData.timeControl,
+            resultReason || (winner === 'draw' ? 'draw' : `${winner} wins`),
+            gameData.timeControl.minutes,
+            gameData.timeControl.increment,
+            gameData.timeControl.mode,
             eloChanges?.whiteOldElo || whiteInfo?.elo || null,
             eloChanges?.blackOldElo || blackInfo?.elo || null,
             eloChanges?.whiteChange || null,
-            eloChanges?.blackChange || null
+            eloChanges?.blackChange || null,
+            gameData.game.positionId,
+            gameData.pgn,
+            JSON.stringify(gameData.game.rules),
+            gameData.balanceScore ?? null,
+            !!gameData.game.rules.handicap
         ]);
         console.log(`Game ${gameId} saved to database`);
     } catch (err) {
@@ -107,16 +282,307 @@ async function saveGameResult(gameId, gameData, winner, eloChanges) {
     }
 }
 
+// The accounts of a game's two players (undefined for guests)
+// Players of correspondence and restored games may be offline, and their ratings may have moved
+// since the game began, so the accounts the game knows are read again from the database
+async function getPlayerAccounts(gameData) {
+    const accounts = [playerInfo.get(gameData.white), playerInfo.get(gameData.black)];
+    if (!gameData.players || !pool) return accounts;
+
+    const players = [gameData.players.white, gameData.players.black];
+    try {
+        const result = await pool.query('SELECT id, username, elo FROM users WHERE id = ANY($1)',
+            [players.filter(Boolean).map(player => player.userId)]);
+        return players.map((player, i) => {
+            const row = player && result.rows.find(r => r.id === player.userId);
+            return row ? { userId: row.id, username: row.username, elo: row.elo } : accounts[i];
+        });
+    } catch (err) {
+        console.error('Failed to load player accounts:', err);
+        return players.map((player, i) => (player ? { ...player } : accounts[i]));
+    }
+}
+
+// Save a game that is still waiting or in play, with its full state, so it survives a restart
+// Saves are numbered per game: one that reaches the database after a later one is dropped, and
+// none overwrites a saved result
+async function saveGameState(gameId, gameData) {
+    if (!pool) return;
+
+    const version = nextStateVersion(gameData);
+    const accountId = (color) => playerInfo.get(gameData[color])?.userId || gameData.players?.[color]?.userId || null;
+    const waiting = gameData.state === 'waiting';
+    try {
+        await pool.query(`
+            INSERT INTO games (id, white_player_id, black_player_id, time_control, time_increment, clock_mode,
+                               position_id, rules, balance_score, handicap, private, creator_color,
+                               correspondence_days, status, state, state_version, move_deadline)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+            ON CONFLICT (id) DO UPDATE SET
+                white_player_id = EXCLUDED.white_player_id,
+                black_player_id = EXCLUDED.black_player_id,
+                status = EXCLUDED.status,
+                state = EXCLUDED.state,
+                state_version = EXCLUDED.state_version,
+                move_deadline = EXCLUDED.move_deadline
+            WHERE games.status <> 'finished' AND games.state_version < EXCLUDED.state_version
+        `, [
+            gameId,
+            waiting ? gameData.creatorUserId : accountId('white'),
+            waiting ? null : accountId('black'),
+            gameData.timeControl.minutes,
+            gameData.timeControl.increment,
+            gameData.timeControl.mode,
+            gameData.game.positionId,
+            JSON.stringify(gameData.game.rules),
+            gameData.balanceScore ?? null,
+            !!gameData.game.rules.handicap,
+            !!gameData.private,
+            gameData.creatorColor || null,
+            gameData.correspondence?.days ?? null,
+            gameData.state,
+            JSON.stringify(getSavedState(gameData)),
+            version,
+            gameData.correspondence?.deadline ? new Date(gameData.correspondence.deadline) : null
+        ]);
+    } catch (err) {
+        console.error('Failed to save game state:', err);
+    }
+}
+
+// Remove a table that was cancelled or abandoned before anyone joined from the database
+async function deleteWaitingGame(gameId) {
+    if (!pool) return;
+    try {
+        await pool.query('DELETE FROM games WHERE id = $1 AND status = $2', [gameId, 'waiting']);
+    } catch (err) {
+        console.error('Failed to delete waiting game:', err);
+    }
+}
+
+// Bring back the games that were still waiting or in play when the server stopped
+// Their players have no socket until they come back: correspondence games carry on as before,
+// live tables wait for their creator and live games stay paused until both players have rejoined
+async function loadActiveGames() {
+    if (!pool) return;
+    try {
+        const result = await pool.query(`
+            SELECT g.id, g.status, g.state, g.state_version, g.correspondence_days, g.move_deadline,
+                   g.balance_score, g.created_at, g.private, g.creator_color,
+                   w.id AS white_id, w.username AS white_username, w.elo AS white_elo,
+                   b.id AS black_id, b.username AS black_username, b.elo AS black_elo
+            FROM games g
+            LEFT JOIN users w ON w.id = g.white_player_id
+            LEFT JOIN users b ON b.id = g.black_player_id
+            WHERE g.status IN ('waiting', 'playing', 'paused')
+        `);
+
+        for (const row of result.rows) {
+            const gameData = restoreGameData(row);
+            games.set(row.id, gameData);
+
+            if (gameData.correspondence) continue;
+            if (gameData.state === 'waiting') {
+                scheduleWaitingGameExpiry(row.id, gameData, RESTORE_RECONNECT_WINDOW);
+            } else {
+                gameData.reconnectTimeout = setTimeout(() => expireRestoredGame(row.id, gameData), RESTORE_RECONNECT_WINDOW);
+            }
+        }
+        console.log(`Restored ${result.rows.length} game(s)`);
+    } catch (err) {
+        console.error('Failed to restore games:', err);
+    }
+}
+
+// Delete a waiting table after a delay unless its creator has come back on a live socket by then
+// (the registerPlayer handler reclaims the table on reconnect)
+function scheduleWaitingGameExpiry(gameId, gameData, delay) {
+    gameData.disconnectTimeout = setTimeout(() => {
+        // If game is still waiting and socket is still dead, delete it
+        if (gameData.state === 'waiting') {
+            const currentSocket = io.sockets.sockets.get(gameData.white);
+            if (!currentSocket || !currentSocket.connected) {
+                removeWaitingTable(gameId, gameData);
+                console.log(`Waiting game ${gameId} deleted after creator disconnect timeout`);
+            }
+        }
+    }, delay);
+}
+
+// Take a table nobody joined off the server, withdrawing the challenge it carried if any
+function removeWaitingTable(gameId, gameData) {
+    games.delete(gameId);
+    playerGames.delete(gameData.white);
+    deleteWaitingGame(gameId);
+    if (gameData.challenge) {
+        clearTimeout(gameData.challenge.timeout);
+        emitToUser(gameData.challenge.userId, 'challengeClosed', { gameId });
+    }
+    if (gameData.correspondence) sendMyGames(gameData);
+    broadcastLobbyUpdate();
+}
+
+// Find a logged-in player who is online by username (case-insensitive)
+function findOnlinePlayer(username) {
+    const name = String(username).trim().toLowerCase();
+    for (const [socketId, info] of playerInfo.entries()) {
+        if (info.username.toLowerCase() === name && io.sockets.sockets.get(socketId)?.connected) {
+            return info;
+        }
+    }
+    return null;
+}
+
+// Send a waiting table's challenge to every socket of the challenged player
+function sendChallenge(gameId, gameData) {
+    const challenger = playerInfo.get(gameData.white) || gameData.creatorInfo;
+    emitToUser(gameData.challenge.userId, 'challengeReceived', {
+        gameId,
+        from: { username: challenger.username, elo: challenger.elo },
+        timeControl: gameData.timeControl,
+        correspondenceDays: gameData.correspondence?.days ?? null,
+        rules: gameData.game.rules,
+        // The colour the challenged player gets
+        color: gameData.creatorColor ? (gameData.creatorColor === 'white' ? 'black' : 'white') : null,
+        expiresAt: gameData.challenge.expiresAt
+    });
+}
+
+// End a challenge that was declined or not answered in time, telling the challenger why
+function endChallenge(gameId, gameData, message) {
+    if (games.get(gameId) !== gameData || gameData.state !== 'waiting') return;
+    io.to(gameData.white).emit('challengeDeclined', { gameId, message });
+    removeWaitingTable(gameId, gameData);
+    console.log(`Challenge ${gameId} ended: ${message}`);
+}
+
+// End a restored game its players did not both come back to in time (see getRestoredGameExpiry)
+function expireRestoredGame(gameId, gameData) {
+    const expiry = getRestoredGameExpiry(gameData);
+    if (!expiry) return;
+
+    gameData.state = 'finished';
+    delete gameData.awaiting;
+
+    if (expiry.outcome === 'abandoned') {
+        saveGameResult(gameId, gameData, null, null, 'abandoned');
+        console.log(`Restored game ${gameId} abandoned: no player came back`);
+        return;
+    }
+
+    const { winner, absent } = expiry;
+    if (expiry.outcome === 'abort') {
+        abortGame(gameId, gameData, `${absent.charAt(0).toUpperCase() + absent.slice(1)} did not come back before making a first move. The game was aborted.`);
+        return;
+    }
+
+    gameData.game.gameOver = true;
+    gameData.game.winner = winner;
+    gameData.game.result = 'forfeit';
+    io.to(gameData[winner]).emit('opponentForfeit', {
+        winner: winner,
+        message: `Opponent failed to reconnect. ${winner.charAt(0).toUpperCase() + winner.slice(1)} wins!`
+    });
+
+    processGameResult(gameId, gameData, winner, 'forfeit').then(eloChanges => {
+        if (eloChanges) {
+            io.to(gameData[winner]).emit('eloUpdate', {
+                change: eloChanges[`${winner}Change`],
+                newElo: eloChanges[`${winner}NewElo`]
+            });
+        }
+    });
+    console.log(`Restored game ${gameId} forfeited: only ${winner} came back`);
+}
+
+// Correspondence games of a player that are still on, the ones awaiting their move first
+function getMyGames(userId) {
+    const myGames = [];
+    for (const [gameId, gameData] of games.entries()) {
+        if (!gameData.correspondence) continue;
+
+        if (gameData.state === 'waiting') {
+            if (gameData.creatorUserId === userId) {
+                myGames.push({ gameId, state: 'waiting', days: gameData.correspondence.days });
+            }
+            continue;
+        }
+        if (gameData.state !== 'playing') continue;
+
+        const color = ['white', 'black'].find(c => gameData.players[c].userId === userId);
+        if (!color) continue;
+        const opponent = gameData.players[color === 'white' ? 'black' : 'white'];
+        myGames.push({
+            gameId,
+            state: 'playing',
+            days: gameData.correspondence.days,
+            deadline: gameData.correspondence.deadline,
+            color,
+            opponent: { username: opponent.username, elo: opponent.elo },
+            yourMove: gameData.game.currentTurn === color,
+            moveCount: gameData.game.moveHistory.length
+        });
+    }
+
+    return sortMyGames(myGames);
+}
+
+// Send an event to every connected socket of a logged-in player
+function emitToUser(userId, event, data) {
+    for (const [socketId, info] of playerInfo.entries()) {
+        if (info.userId === userId) {
+            io.to(socketId).emit(event, data);
+        }
+    }
+}
+
+// Refresh the "my games" list of both players of a correspondence game
+function sendMyGames(gameData) {
+    const userIds = gameData.players
+        ? [gameData.players.white.userId, gameData.players.black.userId]
+        : [gameData.creatorUserId];
+    for (const userId of userIds) {
+        emitToUser(userId, 'myGames', { games: getMyGames(userId) });
+    }
+}
+
+// Names and ratings of the players a game knows by account (null for guests)
+function getPublicPlayers(gameData) {
+    const pick = (player) => (player ? { username: player.username, elo: player.elo } : null);
+    return { white: pick(gameData.players.white), black: pick(gameData.players.black) };
+}
+
+// Give the player to move in a correspondence game their days to move
+function startCorrespondenceTurn(gameData) {
+    gameData.correspondence.deadline = getMoveDeadline(gameData.correspondence.days, Date.now());
+    sendMyGames(gameData);
+}
+
 // Process game result and update ELOs
-async function processGameResult(gameId, gameData, winner) {
-    const whiteInfo = playerInfo.get(gameData.white);
-    const blackInfo = playerInfo.get(gameData.black);
+async function processGameResult(gameId, gameData, winner, resultReason) {
+    if (gameData.correspondence) sendMyGames(gameData); // The game leaves both players' lists
+    recordSessionScore(gameId, gameData, winner);
+    updateSpectators(gameId, gameData, {
+        gameOver: true,
+        result: resultReason,
+        winner: winner === 'draw' ? null : winner,
+        message: winner === 'draw' ? 'The game is a draw.' : `${winner.charAt(0).toUpperCase() + winner.slice(1)} wins!`
+    });
+    broadcastLobbyUpdate(); // The game is no longer in progress
+    const [whiteInfo, blackInfo] = await getPlayerAccounts(gameData);
 
     // Only update ELO if both players are logged in
     if (!whiteInfo?.userId || !blackInfo?.userId) {
         console.log('Skipping ELO update - not all players logged in');
         // Still save the game result even without ELO changes
-        await saveGameResult(gameId, gameData, winner, null);
+        await saveGameResult(gameId, gameData, winner, null, resultReason);
+        return null;
+    }
+
+    // Handicap games are friendly games and don't change ratings
+    if (gameData.game.rules.handicap) {
+        console.log('Skipping ELO update - handicap game');
+        await saveGameResult(gameId, gameData, winner, null, resultReason);
         return null;
     }
 
@@ -132,22 +598,94 @@ async function processGameResult(gameId, gameData, winner) {
     await updatePlayerElo(blackInfo.userId, eloChanges.blackNewElo);
 
     // Save game result with ELO changes
-    await saveGameResult(gameId, gameData, winner, eloChanges);
+    await saveGameResult(gameId, gameData, winner, eloChanges, resultReason);
 
     // Update local cache
     whiteInfo.elo = eloChanges.whiteNewElo;
     blackInfo.elo = eloChanges.blackNewElo;
+    if (gameData.players) {
+        // These accounts were read from the database, so refresh the players' sockets too
+        for (const info of playerInfo.values()) {
+            if (info.userId === whiteInfo.userId) info.elo = eloChanges.whiteNewElo;
+            if (info.userId === blackInfo.userId) info.elo = eloChanges.blackNewElo;
+        }
+    }
 
     console.log(`ELO updated: ${whiteInfo.username} ${eloChanges.whiteChange > 0 ? '+' : ''}${eloChanges.whiteChange}, ${blackInfo.username} ${eloChanges.blackChange > 0 ? '+' : ''}${eloChanges.blackChange}`);
 
     return eloChanges;
 }
 
+// Add a finished game to its players' head-to-head score for the session (a game and its rematches)
+// and send them the score, by colour of this game
+function recordSessionScore(gameId, gameData, winner) {
+    const score = gameData.sessionScore || { white: 0, black: 0, games: 0 };
+    if (winner === 'draw') {
+        score.white += 0.5;
+        score.black += 0.5;
+    } else {
+        score[winner] += 1;
+    }
+    score.games++;
+    gameData.sessionScore = score;
+    io.to(gameData.white).emit('sessionScore', { gameId, score });
+    io.to(gameData.black).emit('sessionScore', { gameId, score });
+}
+
+// The unfinished live game a socket is seated at other than gameId, or null
+// (correspondence games go on in the background and do not count)
+function getOtherLiveGame(socketId, gameId) {
+    const otherId = playerGames.get(socketId);
+    const other = otherId !== gameId ? games.get(otherId) : null;
+    return other && other.state !== 'finished' && !other.correspondence ? other : null;
+}
+
+// Start the rematch offered in a finished game: the players swap colours and keep the time control
+// and rules, in a new random position or the same one replayed if the offer asked for it.
+// The offer is closed instead if either player has sat down at another table since
+function startRematch(gameId, gameData) {
+    const { color, samePosition } = gameData.rematchOffer;
+    gameData.rematchOffer = null;
+    gameData.rematchClosed = true;
+    const offererId = gameData[color];
+    const accepterId = gameData[color === 'white' ? 'black' : 'white'];
+
+    if (getOtherLiveGame(offererId, gameId) || getOtherLiveGame(accepterId, gameId)) {
+        for (const socketId of [offererId, accepterId]) {
+            io.to(socketId).emit('rematchDeclined', { gameId, message: 'No rematch: a player is already at another table' });
+        }
+        console.log(`Rematch of game ${gameId} refused: a player is at another table`);
+        return;
+    }
+    leaveQueue(offererId);
+    leaveQueue(accepterId);
+
+    // A handicap stays with the player who gave it
+    const rules = { ...gameData.game.rules };
+    if (rules.handicap) {
+        rules.handicap = { ...rules.handicap, color: rules.handicap.color === 'white' ? 'black' : 'white' };
+    }
+
+    const rematchId = createTable(offererId, gameData.timeControl, rules, {
+        positionId: samePosition ? gameData.game.positionId : null,
+        creatorColor: color === 'white' ? 'black' : 'white',
+        isPrivate: !!gameData.private
+    });
+    const rematch = games.get(rematchId);
+    if (gameData.sessionScore) {
+        const { white, black, games: played } = gameData.sessionScore;
+        rematch.sessionScore = { white: black, black: white, games: played };
+    }
+    console.log(`Rematch of game ${gameId} starts as ${rematchId}${samePosition ? ' (same position)' : ''}`);
+    startJoinedGame(rematchId, rematch, accepterId);
+}
+
 // Broadcast lobby update to all connected clients
 function broadcastLobbyUpdate() {
-    const waitingGames = getWaitingGames();
-    console.log('Broadcasting lobby update:', waitingGames.length, 'waiting games', waitingGames.map(g => g.gameId));
-    io.emit('lobbyUpdate', { games: waitingGames });
+    const lobby = getLobby();
+    console.log('Broadcasting lobby update:', lobby.games.length, 'waiting games', lobby.games.map(g => g.gameId),
+        lobby.liveGames.length, 'in progress');
+    io.emit('lobbyUpdate', lobby);
 }
 
 // Generate random 6-character game code
@@ -164,6 +702,131 @@ function generateGameCode() {
     return code;
 }
 
+// Create a table waiting for an opponent, its creator temporarily stored as white
+// creatorColor is the colour the creator plays (null for random); private tables stay out of the lobby
+// Returns the new game's ID
+function createTable(creatorId, timeControl, rules, { positionId = null, correspondenceDays = null, creatorColor = null, isPrivate = false } = {}) {
+    // Store creator info directly so it survives socket reconnections
+    const creator = playerInfo.get(creatorId);
+
+    // Tables created by logged-in players are rated, so they get a fair starting position
+    // (a position ID chosen by the creator is kept as is, and handicap games are unrated)
+    const gameId = generateGameCode();
+    const game = new KalasRandomChess(timeControl, rules);
+    const balance = generateBalancedPosition(game, positionId, !!creator?.userId && !rules.handicap);
+
+    console.log(`Creating game ${gameId} for socket ${creatorId} (balance ${balance.score})`);
+
+    games.set(gameId, {
+        game: game,
+        gameId: gameId,
+        white: creatorId,
+        black: null,
+        state: 'waiting', // waiting, playing, finished
+        timeControl: timeControl,
+        balanceScore: balance.score,
+        createdAt: Date.now(),
+        creatorUserId: creator?.userId || null,
+        creatorInfo: creator ? { username: creator.username, elo: creator.elo } : null,
+        creatorColor: creatorColor,
+        private: isPrivate,
+        correspondence: correspondenceDays !== null ? { days: correspondenceDays, deadline: null } : null
+    });
+
+    playerGames.set(creatorId, gameId);
+    io.sockets.sockets.get(creatorId)?.join(gameId);
+
+    saveGameState(gameId, games.get(gameId));
+    return gameId;
+}
+
+// Seat a second player at a waiting table and start the game for both
+function startJoinedGame(gameId, gameData, joinerId) {
+    const creatorId = gameData.white; // Creator was temporarily stored as white
+    const joinerSocket = io.sockets.sockets.get(joinerId);
+    const joiner = playerInfo.get(joinerId);
+
+    if (gameData.challenge) {
+        clearTimeout(gameData.challenge.timeout);
+        emitToUser(gameData.challenge.userId, 'challengeClosed', { gameId }); // Also on the challenged player's other tabs
+        delete gameData.challenge;
+    }
+
+    // The creator's chosen colour, or random
+    const creatorIsWhite = gameData.creatorColor ? gameData.creatorColor === 'white' : Math.random() < 0.5;
+    if (creatorIsWhite) {
+        gameData.white = creatorId;
+        gameData.black = joinerId;
+    } else {
+        gameData.white = joinerId;
+        gameData.black = creatorId;
+    }
+
+    gameData.state = 'playing';
+    gameData.seatTokens = { white: createSeatToken(), black: createSeatToken() };
+    playerGames.set(joinerId, gameId);
+    joinerSocket?.join(gameId);
+
+    if (gameData.correspondence) {
+        // Players are known by account from here on, as either may come back on another socket
+        // (the creator may not even be connected)
+        const creator = { userId: gameData.creatorUserId, ...gameData.creatorInfo, ...playerInfo.get(creatorId) };
+        const account = (info) => ({ userId: info.userId, username: info.username, elo: info.elo });
+        gameData.players = creatorIsWhite
+            ? { white: account(creator), black: account(joiner) }
+            : { white: account(joiner), black: account(creator) };
+        startCorrespondenceTurn(gameData);
+    } else {
+        // Start the game timer
+        gameData.game.startTimer();
+        startGameTimer(gameId);
+        scheduleFirstMoveAbort(gameId, gameData);
+    }
+    saveGameState(gameId, gameData);
+
+    // Notify both players
+    const gameState = gameData.game.getState();
+    const whitePlayerInfo = playerInfo.get(gameData.white) || gameData.players?.white;
+    const blackPlayerInfo = playerInfo.get(gameData.black) || gameData.players?.black;
+
+    const players = {
+        white: whitePlayerInfo ? { username: whitePlayerInfo.username, elo: whitePlayerInfo.elo } : null,
+        black: blackPlayerInfo ? { username: blackPlayerInfo.username, elo: blackPlayerInfo.elo } : null
+    };
+
+    // Notify the joining player directly on their socket
+    console.log(`Sending gameJoined to joiner ${joinerId} for game ${gameId}`);
+    const joinerColor = creatorIsWhite ? 'black' : 'white';
+    joinerSocket?.emit('gameJoined', {
+        gameId,
+        color: joinerColor,
+        seatToken: gameData.seatTokens[joinerColor],
+        gameState,
+        players,
+        correspondence: gameData.correspondence
+    });
+
+    // Notify the creating player - get their socket directly
+    const creatorSocket = io.sockets.sockets.get(creatorId);
+    if (creatorSocket) {
+        console.log(`Sending gameStart directly to creator socket ${creatorId} for game ${gameId}`);
+        const creatorColor = creatorIsWhite ? 'white' : 'black';
+        creatorSocket.emit('gameStart', {
+            gameId,
+            color: creatorColor,
+            seatToken: gameData.seatTokens[creatorColor],
+            gameState,
+            players,
+            correspondence: gameData.correspondence
+        });
+    } else if (!gameData.correspondence) {
+        console.error(`ERROR: Creator socket ${creatorId} not found! Cannot send gameStart.`);
+    }
+
+    broadcastLobbyUpdate(); // Game is no longer waiting
+    console.log(`Player ${joinerId} joined game ${gameId}`);
+}
+
 // Start timer interval for a game
 function startGameTimer(gameId) {
     stopGameTimer(gameId); // Clear any existing
@@ -189,7 +852,7 @@ function startGameTimer(gameId) {
             io.to(gameData.black).emit('timeout', timeout);
 
             // Calculate and update ELO for timeout
-            processGameResult(gameId, gameData, timeout.winner).then(eloChanges => {
+            processGameResult(gameId, gameData, timeout.winner, timeout.result).then(eloChanges => {
                 if (eloChanges) {
                     io.to(gameData.white).emit('eloUpdate', {
                         change: eloChanges.whiteChange,
@@ -204,11 +867,12 @@ function startGameTimer(gameId) {
             return;
         }
 
-        // Sync timers to both players periodically (every second)
-        io.to(gameId).emit('timerSync', {
-            whiteTime: gameData.game.whiteTime,
-            blackTime: gameData.game.blackTime
-        });
+        // Sync the clock to both players periodically (every second), and ping them to keep
+        // their lag measured (the last measurement goes with it, so they can estimate our clock)
+        io.to([gameId, spectatorRoom(gameId)]).emit('timerSync', gameData.game.getClock());
+        for (const playerId of [gameData.white, gameData.black]) {
+            io.to(playerId).emit('clockPing', { sentAt: Date.now(), lag: socketLag.get(playerId) ?? 0 });
+        }
     }, 1000); // Update every second
 
     timerIntervals.set(gameId, interval);
@@ -223,91 +887,340 @@ function stopGameTimer(gameId) {
     }
 }
 
+// End a game as a draw (agreement or claim) and notify both players
+function finishDrawnGame(gameId, gameData, gameStatus) {
+    gameData.state = 'finished';
+    gameData.drawOffer = null;
+    stopGameTimer(gameId);
+
+    const gameState = gameData.game.getState();
+    io.to(gameData.white).emit('gameDrawn', { gameState, gameStatus });
+    io.to(gameData.black).emit('gameDrawn', { gameState, gameStatus });
+
+    // Calculate and update ELO for the draw
+    processGameResult(gameId, gameData, 'draw', gameStatus.result).then(eloChanges => {
+        if (eloChanges) {
+            io.to(gameData.white).emit('eloUpdate', {
+                change: eloChanges.whiteChange,
+                newElo: eloChanges.whiteNewElo
+            });
+            io.to(gameData.black).emit('eloUpdate', {
+                change: eloChanges.blackChange,
+                newElo: eloChanges.blackNewElo
+            });
+        }
+    });
+}
+
+// Queue entry with the player's account, current rating and whether they are a guest
+// (guests count as new players)
+function withQueuePlayer(entry) {
+    const info = playerInfo.get(entry.socketId);
+    return { ...entry, userId: info?.userId || null, elo: info?.elo || 1500, isGuest: !info?.userId };
+}
+
+// Take a player out of the Quick Pair queue (false if they were not in it)
+function leaveQueue(socketId) {
+    return matchQueue.delete(socketId);
+}
+
+// Pair queued players (see findQueuePairs). The one who waited longer opens a table and the
+// other joins it, as if picked from the lobby
+function matchQueuedPlayers() {
+    const now = Date.now();
+    for (const [entry, opponent] of findQueuePairs([...matchQueue.values()].map(withQueuePlayer), now)) {
+        leaveQueue(entry.socketId);
+        leaveQueue(opponent.socketId);
+        const gameId = createTable(entry.socketId, entry.timeControl, KalasRandomChess.normalizeRules());
+        console.log(`Quick Pair: ${entry.socketId} vs ${opponent.socketId} (${entry.key}) in game ${gameId}`);
+        startJoinedGame(gameId, games.get(gameId), opponent.socketId);
+    }
+    sendQueueStatus(now);
+}
+
+// Tell every queued player how their search is going
+function sendQueueStatus(now) {
+    for (const entry of matchQueue.values()) {
+        let players = 0;
+        for (const other of matchQueue.values()) {
+            if (other.key === entry.key) players++;
+        }
+        io.to(entry.socketId).emit('queueStatus', {
+            timeControl: entry.timeControl,
+            waited: now - entry.joinedAt,
+            eloWindow: getMatchWindow(entry, now),
+            players
+        });
+    }
+}
+
+// Abort a game one of whose players has not moved yet: it ends without a result and no rating changes
+function abortGame(gameId, gameData, message) {
+    gameData.state = 'finished';
+    gameData.drawOffer = null;
+    gameData.takebackRequest = null;
+    stopGameTimer(gameId);
+    clearTimeout(gameData.abortTimeout);
+    clearTimeout(gameData.reconnectTimeout);
+
+    const gameStatus = { ...gameData.game.abort(), message };
+    io.to(gameData.white).emit('gameAborted', gameStatus);
+    io.to(gameData.black).emit('gameAborted', gameStatus);
+    if (gameData.correspondence) sendMyGames(gameData);
+    updateSpectators(gameId, gameData, gameStatus);
+    broadcastLobbyUpdate(); // The game is no longer in progress
+    saveGameResult(gameId, gameData, null, null, 'aborted');
+    console.log(`Game ${gameId} aborted: ${message}`);
+}
+
+// While a live game's player to move has not made their first move, give them FIRST_MOVE_TIMEOUT
+// to make it before the game is aborted
+function scheduleFirstMoveAbort(gameId, gameData) {
+    clearTimeout(gameData.abortTimeout);
+    delete gameData.abortTimeout;
+    const color = gameData.game.currentTurn;
+    if (gameData.correspondence || !gameData.game.canAbort(color)) return;
+
+    gameData.abortTimeout = setTimeout(() => {
+        if (gameData.state !== 'playing' && gameData.state !== 'paused') return;
+        if (gameData.game.currentTurn !== color || !gameData.game.canAbort(color)) return;
+        abortGame(gameId, gameData, `${color.charAt(0).toUpperCase() + color.slice(1)} did not make a first move. The game was aborted.`);
+    }, FIRST_MOVE_TIMEOUT);
+}
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
     console.log(`Player connected: ${socket.id}`);
 
     // Send current lobby state when client connects
-    socket.emit('lobbyUpdate', { games: getWaitingGames() });
+    socket.emit('lobbyUpdate', getLobby());
+
+    // Answer to a clock ping: the round trip, smoothed so one slow packet does not count for much
+    socket.on('clockPong', (data) => {
+        const sample = Date.now() - data?.sentAt;
+        if (!Number.isFinite(sample) || sample < 0 || sample > 60000) return;
+        const previous = socketLag.get(socket.id);
+        socketLag.set(socket.id, previous === undefined ? sample : previous * 0.75 + sample * 0.25);
+    });
 
     // Client requests lobby update
     socket.on('getLobby', () => {
-        socket.emit('lobbyUpdate', { games: getWaitingGames() });
+        socket.emit('lobbyUpdate', getLobby());
     });
 
     // Register player info (called when player logs in or page loads)
+    // The account comes from the login token, never from the client's word, as games are bound to it
     socket.on('registerPlayer', (data) => {
-        if (data && data.userId && data.username) {
-            playerInfo.set(socket.id, {
-                userId: data.userId,
-                username: data.username,
-                elo: data.elo || 1500
-            });
-            console.log(`Player registered: ${data.username} (ELO: ${data.elo})`);
-
-            // If this player has an active game under a stale socket ID, update it
-            // This handles the case where the socket reconnected while waiting/playing
-            for (const [gameId, gameData] of games.entries()) {
-                if (gameData.state === 'waiting' && gameData.white !== socket.id) {
-                    // Check if the old creator socket is dead
-                    const oldCreatorId = gameData.white;
-                    const oldSocket = io.sockets.sockets.get(oldCreatorId);
-                    if (!oldSocket || !oldSocket.connected) {
-                        // Match by stored creatorUserId (reliable) or by playerInfo userId (fallback)
-                        const oldInfo = playerInfo.get(oldCreatorId);
-                        const isMatch = gameData.creatorUserId === data.userId ||
-                            (oldInfo && oldInfo.userId === data.userId);
-                        if (isMatch) {
-                            console.log(`Updating stale waiting game ${gameId} creator socket: ${oldCreatorId} -> ${socket.id}`);
-                            playerGames.delete(oldCreatorId);
-                            playerInfo.delete(oldCreatorId);
-                            gameData.white = socket.id;
-                            playerGames.set(socket.id, gameId);
-                            socket.join(gameId);
-                            // Clear disconnect timeout since creator is back
-                            if (gameData.disconnectTimeout) {
-                                clearTimeout(gameData.disconnectTimeout);
-                                delete gameData.disconnectTimeout;
-                            }
-                            // Update stored creator info with fresh data
-                            gameData.creatorInfo = { username: data.username, elo: data.elo || 1500 };
-                            broadcastLobbyUpdate(); // Refresh lobby so creator name shows correctly
+        const account = data?.token ? verifyToken(data.token) : null;
+        if (!account) {
+            console.log(`registerPlayer rejected for socket ${socket.id}: missing or invalid token`);
+            return;
+        }
+        const elo = data.elo || 1500;
+
+        playerInfo.set(socket.id, {
+            userId: account.userId,
+            username: account.username,
+            elo: elo
+        });
+        console.log(`Player registered: ${account.username} (ELO: ${elo})`);
+        socket.emit('myGames', { games: getMyGames(account.userId) });
+
+        // Challenges still waiting for this player's answer
+        for (const [gameId, gameData] of games.entries()) {
+            if (gameData.challenge?.userId === account.userId) sendChallenge(gameId, gameData);
+        }
+
+        // If this player has an active game under a stale socket ID, update it
+        // This handles the case where the socket reconnected while waiting/playing
+        for (const [gameId, gameData] of games.entries()) {
+            if (gameData.state === 'waiting' && gameData.white !== socket.id) {
+                // Check if the old creator socket is dead
+                const oldCreatorId = gameData.white;
+                const oldSocket = io.sockets.sockets.get(oldCreatorId);
+                if (!oldSocket || !oldSocket.connected) {
+                    // Match by stored creatorUserId (reliable) or by playerInfo userId (fallback)
+                    const oldInfo = playerInfo.get(oldCreatorId);
+                    const isMatch = gameData.creatorUserId === account.userId ||
+                        (oldInfo && oldInfo.userId === account.userId);
+                    if (isMatch) {
+                        console.log(`Updating stale waiting game ${gameId} creator socket: ${oldCreatorId} -> ${socket.id}`);
+                        playerGames.delete(oldCreatorId);
+                        playerInfo.delete(oldCreatorId);
+                        gameData.white = socket.id;
+                        playerGames.set(socket.id, gameId);
+                        socket.join(gameId);
+                        // Clear disconnect timeout since creator is back
+                        if (gameData.disconnectTimeout) {
+                            clearTimeout(gameData.disconnectTimeout);
+                            delete gameData.disconnectTimeout;
                         }
+                        // Update stored creator info with fresh data
+                        gameData.creatorInfo = { username: account.username, elo: elo };
+                        broadcastLobbyUpdate(); // Refresh lobby so creator name shows correctly
                     }
                 }
             }
         }
     });
 
+    // List the player's correspondence games
+    socket.on('getMyGames', () => {
+        const info = playerInfo.get(socket.id);
+        socket.emit('myGames', { games: info?.userId ? getMyGames(info.userId) : [] });
+    });
+
     // Create a new game
     socket.on('createGame', (data) => {
-        const timeControl = data?.timeControl || 10; // Default 10 minutes
-        const gameId = generateGameCode();
-        const game = new KalasRandomChess(timeControl);
-        game.generateStartingPosition();
+        // Correspondence tables give each side a number of days per move instead of a clock
+        const correspondenceDays = data?.correspondenceDays ?? null;
+        if (correspondenceDays !== null) {
+            if (!CORRESPONDENCE_DAYS.includes(correspondenceDays)) {
+                socket.emit('error', { message: 'Invalid days per move' });
+                return;
+            }
+            if (!pool || !playerInfo.get(socket.id)?.userId) {
+                socket.emit('error', { message: 'Correspondence games need a logged-in account' });
+                return;
+            }
+        }
 
-        console.log(`Creating game ${gameId} for socket ${socket.id}`);
-
-        // Store creator info directly so it survives socket reconnections
-        const creator = playerInfo.get(socket.id);
-        games.set(gameId, {
-            game: game,
-            gameId: gameId,
-            white: socket.id,
-            black: null,
-            state: 'waiting', // waiting, playing, finished
-            timeControl: timeControl,
-            createdAt: Date.now(),
-            creatorUserId: creator?.userId || null,
-            creatorInfo: creator ? { username: creator.username, elo: creator.elo } : null
+        // Minutes, or { minutes, increment, mode } for a per-move bonus (default 10 minutes)
+        const timeControl = KalasRandomChess.normalizeTimeControl(correspondenceDays !== null ? 0 : data?.timeControl ?? 10);
+        if (!timeControl) {
+            socket.emit('error', { message: 'Invalid time control' });
+            return;
+        }
+
+        // Optional position ID to replay a known starting layout
+        let positionId = null;
+        if (data?.positionId) {
+            positionId = KalasRandomChess.normalizePositionId(data.positionId);
+            if (!positionId) {
+                socket.emit('error', { message: 'Invalid position ID' });
+                return;
+            }
+        }
+
+        // The colour the creator plays: 'white', 'black' or 'random' (default)
+        let color = data?.color ?? 'random';
+        if (!['white', 'black', 'random'].includes(color)) {
+            socket.emit('error', { message: 'Invalid colour' });
+            return;
+        }
+
+        // A handicap from the create table form is given by 'me' (the creator) or 'opponent', so
+        // a handicap table pins the creator's colour (drawn now if random) to know which colour gives it
+        let requestedRules = data?.rules;
+        if (requestedRules?.handicap?.giver !== undefined) {
+            const { giver, ...handicap } = requestedRules.handicap;
+            if (giver !== 'me' && giver !== 'opponent') {
+                socket.emit('error', { message: 'Invalid handicap' });
+                return;
+            }
+            if (color === 'random') color = Math.random() < 0.5 ? 'white' : 'black';
+            const opponentColor = color === 'white' ? 'black' : 'white';
+            requestedRules = { ...requestedRules, handicap: { ...handicap, color: giver === 'me' ? color : opponentColor } };
+        }
+
+        // Optional rule set chosen by the table creator (missing fields use the defaults)
+        const rules = KalasRandomChess.normalizeRules(requestedRules);
+        if (!rules) {
+            socket.emit('error', { message: 'Invalid rules' });
+            return;
+        }
+
+        // A direct challenge goes to one online player instead of the lobby
+        let challenged = null;
+        if (data?.challenge) {
+            const challenger = playerInfo.get(socket.id);
+            if (!challenger?.userId) {
+                socket.emit('error', { message: 'Challenges need a logged-in account' });
+                return;
+            }
+            challenged = findOnlinePlayer(data.challenge);
+            if (!challenged) {
+                socket.emit('error', { message: `${data.challenge} is not online` });
+                return;
+            }
+            if (challenged.userId === challenger.userId) {
+                socket.emit('error', { message: 'You cannot challenge yourself' });
+                return;
+            }
+        }
+
+        leaveQueue(socket.id); // Opening a table takes the player out of the Quick Pair queue
+        const isPrivate = !!data?.private || !!challenged;
+        const gameId = createTable(socket.id, timeControl, rules, {
+            positionId,
+            correspondenceDays,
+            creatorColor: color === 'random' ? null : color,
+            isPrivate
         });
+        const gameData = games.get(gameId);
+        if (correspondenceDays !== null) {
+            sendMyGames(gameData);
+        }
 
-        playerGames.set(socket.id, gameId);
-        socket.join(gameId);
+        if (challenged) {
+            const expiresAt = Date.now() + CHALLENGE_EXPIRY;
+            gameData.challenge = {
+                userId: challenged.userId,
+                username: challenged.username,
+                expiresAt,
+                timeout: setTimeout(() => endChallenge(gameId, gameData, `${challenged.username} did not answer your challenge`), CHALLENGE_EXPIRY)
+            };
+            sendChallenge(gameId, gameData);
+        }
+
+        socket.emit('gameCreated', {
+            gameId,
+            timeControl,
+            correspondenceDays,
+            positionId: gameData.game.positionId,
+            rules,
+            color,
+            private: isPrivate,
+            challenge: challenged ? { username: challenged.username, expiresAt: gameData.challenge.expiresAt } : null
+        });
+        if (!isPrivate) broadcastLobbyUpdate(); // Notify all clients about new game
+        console.log(`Game created: ${gameId} by ${socket.id} (${KalasRandomChess.formatTimeControl(timeControl)}), stored creatorId: ${games.get(gameId).white}`);
+    });
+
+    // Quick Pair: wait in the queue for an opponent at this time control
+    socket.on('joinQueue', (data) => {
+        const timeControl = KalasRandomChess.normalizeTimeControl(data?.timeControl ?? 10);
+        if (!timeControl) {
+            socket.emit('error', { message: 'Invalid time control' });
+            return;
+        }
+
+        // Correspondence games go on in the background, anything else has to end first
+        const current = games.get(playerGames.get(socket.id));
+        if (current && current.state !== 'finished' && !current.correspondence) {
+            socket.emit('error', { message: 'You are already at a table' });
+            return;
+        }
+
+        leaveSpectating();
+        matchQueue.delete(socket.id); // Joining again moves the player to the back of the queue
+        matchQueue.set(socket.id, {
+            socketId: socket.id,
+            timeControl,
+            key: KalasRandomChess.formatTimeControl(timeControl),
+            joinedAt: Date.now(),
+            allowRegistered: !!data?.allowRegistered
+        });
+        socket.emit('queueJoined', { timeControl });
+        console.log(`Player ${socket.id} queued for Quick Pair (${KalasRandomChess.formatTimeControl(timeControl)})`);
+        matchQueuedPlayers();
+    });
 
-        socket.emit('gameCreated', { gameId, timeControl });
-        broadcastLobbyUpdate(); // Notify all clients about new game
-        console.log(`Game created: ${gameId} by ${socket.id} (${timeControl} min), stored creatorId: ${games.get(gameId).white}`);
+    // Leave the Quick Pair queue
+    socket.on('leaveQueue', () => {
+        if (leaveQueue(socket.id)) {
+            console.log(`Player ${socket.id} left the Quick Pair queue`);
+        }
     });
 
     // Join an existing game
@@ -330,64 +1243,46 @@ io.on('connection', (socket) => {
         const creatorId = gameData.white; // Creator was temporarily stored as white
         console.log(`joinGame: creator socket ID is ${creatorId}`);
 
-        if (creatorId === socket.id) {
-            socket.emit('error', { message: 'Cannot join your own game' });
-            return;
-        }
-
-        // Randomly assign colors
-        const creatorIsWhite = Math.random() < 0.5;
-        if (creatorIsWhite) {
-            gameData.white = creatorId;
-            gameData.black = socket.id;
-        } else {
-            gameData.white = socket.id;
-            gameData.black = creatorId;
-        }
-
-        gameData.state = 'playing';
-        playerGames.set(socket.id, gameId);
-        socket.join(gameId);
-
-        // Start the game timer
-        gameData.game.startTimer();
-        startGameTimer(gameId);
+        const joiner = playerInfo.get(socket.id);
+        if (creatorId === socket.id || (gameData.correspondence && joiner?.userId === gameData.creatorUserId)) {
+            socket.emit('error', { message: 'Cannot join your own game' });
+            return;
+        }
 
-        // Notify both players
-        const gameState = gameData.game.getState();
-        const whitePlayerInfo = playerInfo.get(gameData.white);
-        const blackPlayerInfo = playerInfo.get(gameData.black);
+        if (gameData.correspondence && !joiner?.userId) {
+            socket.emit('error', { message: 'Correspondence games need a logged-in account' });
+            return;
+        }
 
-        const players = {
-            white: whitePlayerInfo ? { username: whitePlayerInfo.username, elo: whitePlayerInfo.elo } : null,
-            black: blackPlayerInfo ? { username: blackPlayerInfo.username, elo: blackPlayerInfo.elo } : null
-        };
+        if (gameData.challenge && joiner?.userId !== gameData.challenge.userId) {
+            socket.emit('error', { message: 'This table is a challenge to another player' });
+            return;
+        }
 
-        // Notify the joining player directly on their socket
-        console.log(`Sending gameJoined to joiner ${socket.id} for game ${gameId}`);
-        socket.emit('gameJoined', {
-            gameId,
-            color: creatorIsWhite ? 'black' : 'white',
-            gameState,
-            players
-        });
+        leaveQueue(socket.id);
+        startJoinedGame(gameId, gameData, socket.id);
+    });
 
-        // Notify the creating player - get their socket directly
-        const creatorSocket = io.sockets.sockets.get(creatorId);
-        if (creatorSocket) {
-            console.log(`Sending gameStart directly to creator socket ${creatorId} for game ${gameId}`);
-            creatorSocket.emit('gameStart', {
-                gameId,
-                color: creatorIsWhite ? 'white' : 'black',
-                gameState,
-                players
-            });
-        } else {
-            console.error(`ERROR: Creator socket ${creatorId} not found! Cannot send gameStart.`);
+    // Accept a challenge: join the challenger's table
+    socket.on('acceptChallenge', ({ gameId }) => {
+        const gameData = games.get(gameId);
+        const info = playerInfo.get(socket.id);
+        if (!gameData || gameData.state !== 'waiting' || !gameData.challenge || gameData.challenge.userId !== info?.userId) {
+            socket.emit('error', { message: 'The challenge is no longer open' });
+            return;
         }
 
-        broadcastLobbyUpdate(); // Game is no longer waiting
-        console.log(`Player ${socket.id} joined game ${gameId}`);
+        leaveQueue(socket.id);
+        startJoinedGame(gameId, gameData, socket.id);
+        console.log(`Challenge ${gameId} accepted by ${info.username}`);
+    });
+
+    // Decline a challenge: the challenger's table is closed
+    socket.on('declineChallenge', ({ gameId }) => {
+        const gameData = games.get(gameId);
+        const info = playerInfo.get(socket.id);
+        if (!gameData || !gameData.challenge || gameData.challenge.userId !== info?.userId) return;
+        endChallenge(gameId, gameData, `${info.username} declined your challenge`);
     });
 
     // Resolve which color a socket belongs to in a game, auto-fixing stale socket IDs
@@ -395,6 +1290,19 @@ io.on('connection', (socket) => {
         if (gameData.white === socketId) return 'white';
         if (gameData.black === socketId) return 'black';
 
+        // Correspondence players are known by account, whichever socket they come back on
+        if (gameData.correspondence) {
+            const info = playerInfo.get(socketId);
+            const color = ['white', 'black'].find(c => info?.userId && gameData.players[c].userId === info.userId);
+            if (!color) return null;
+            console.log(`resolvePlayerColor: ${color} opened game ${gameData.gameId} on socket ${socketId}`);
+            playerGames.delete(gameData[color]);
+            gameData[color] = socketId;
+            playerGames.set(socketId, gameData.gameId);
+            socket.join(gameData.gameId);
+            return color;
+        }
+
         // Socket ID doesn't match — check if either player's socket is dead and reclaim
         const whiteSocket = io.sockets.sockets.get(gameData.white);
         const blackSocket = io.sockets.sockets.get(gameData.black);
@@ -432,6 +1340,78 @@ io.on('connection', (socket) => {
         return null;
     }
 
+    // Send a correspondence game to one of its players who opens it
+    function openCorrespondenceGame(gameId, gameData) {
+        gameData.gameId = gameId;
+        const color = resolvePlayerColor(gameData, socket.id);
+        if (!color) {
+            socket.emit('reconnectError', { message: 'You are not a player in this game' });
+            return;
+        }
+
+        socket.emit('gameReconnected', {
+            gameId,
+            color,
+            gameState: gameData.game.getState(),
+            players: getPublicPlayers(gameData),
+            correspondence: gameData.correspondence
+        });
+    }
+
+    // Whether the socket in a player's seat is gone (a dead socket can be replaced)
+    function isSeatVacant(gameData, color) {
+        if (color !== 'white' && color !== 'black') return false;
+        return !io.sockets.sockets.get(gameData[color])?.connected;
+    }
+
+    // Whether this socket may take over the seat of a player whose socket is gone: it is logged in
+    // to the seat's account, or shows the seat's rejoin token the player's browser got at the start
+    function canTakeSeat(gameData, color, seatToken) {
+        const userId = playerInfo.get(socket.id)?.userId;
+        if (userId && gameData.players?.[color]?.userId === userId) return true;
+        return typeof seatToken === 'string' && seatToken === gameData.seatTokens?.[color];
+    }
+
+    // Seat a player who came back to a live game restored after a restart: by account if they are
+    // logged in, otherwise by the rejoin token their browser kept for the colour it remembered
+    // The clocks start again once both players are back
+    function rejoinRestoredGame(gameId, gameData, requestedColor, seatToken) {
+        const color = gameData.awaiting.find(c => canTakeSeat(gameData, c, c === requestedColor ? seatToken : null));
+        if (!color) {
+            socket.emit('reconnectError', { message: 'No disconnected player to replace' });
+            return;
+        }
+
+        gameData[color] = socket.id;
+        gameData.awaiting = gameData.awaiting.filter(c => c !== color);
+        playerGames.set(socket.id, gameId);
+        socket.join(gameId);
+
+        socket.emit('gameReconnected', {
+            gameId,
+            color,
+            seatToken: gameData.seatTokens?.[color],
+            gameState: gameData.game.getState(),
+            players: getPublicPlayers(gameData)
+        });
+
+        if (gameData.awaiting.length > 0) {
+            socket.emit('opponentDisconnected', { canReconnect: true, gameId });
+            console.log(`Restored game ${gameId}: ${color} is back, waiting for ${gameData.awaiting.join()}`);
+            return;
+        }
+
+        clearTimeout(gameData.reconnectTimeout);
+        delete gameData.reconnectTimeout;
+        delete gameData.awaiting;
+        gameData.state = 'playing';
+        gameData.game.startTimer();
+        startGameTimer(gameId);
+        scheduleFirstMoveAbort(gameId, gameData);
+        io.to(getOpponentId(gameData, color)).emit('opponentReconnected', { gameState: gameData.game.getState() });
+        console.log(`Restored game ${gameId} resumed`);
+    }
+
     // Get the current opponent socket ID from gameData (never stale)
     function getOpponentId(gameData, playerColor) {
         return playerColor === 'white' ? gameData.black : gameData.white;
@@ -464,17 +1444,20 @@ io.on('connection', (socket) => {
             return;
         }
 
-        // Update time before making move
-        gameData.game.updateTime();
+        const receivedAt = Date.now();
+        const lag = socketLag.get(socket.id) ?? 0;
 
-        // Make the move on server
-        const result = gameData.game.makeMove(move.from, move.to);
+        // Make the move on server, giving back the time it spent in transit if it is legal
+        const result = gameData.game.makeLaggedMove(move.from, move.to, move.promotion, Math.min(lag / 2, MAX_LAG_COMPENSATION));
 
         if (!result.success) {
             socket.emit('moveError', { message: result.error });
             return;
         }
 
+        // Timestamp the move with the lag it was credited for
+        Object.assign(result.move, { receivedAt, lag: Math.round(lag), lagCredit: Math.round(result.lagCredit) });
+
         // Reset timestamp for the new player's turn
         gameData.game.lastTimestamp = Date.now();
 
@@ -482,12 +1465,35 @@ io.on('connection', (socket) => {
         gameData.moveCount = (gameData.moveCount || 0) + 1;
         const moveNum = gameData.moveCount;
 
+        // A pending draw offer expires once the player it was offered to moves
+        if (gameData.drawOffer && gameData.drawOffer.from !== playerColor) {
+            io.to(getOpponentId(gameData, playerColor)).emit('drawOfferExpired');
+            gameData.drawOffer = null;
+        }
+
+        // A pending takeback request expires with any move
+        if (gameData.takebackRequest) {
+            const requesterColor = gameData.takebackRequest.from;
+            io.to(requesterColor === 'white' ? gameData.white : gameData.black).emit('takebackExpired');
+            gameData.takebackRequest = null;
+        }
+
+        // Save the game as it stands (in correspondence games, the opponent's days to move start now)
+        // A finished game is saved with its result instead
+        if (!result.gameStatus?.gameOver) {
+            if (gameData.correspondence) startCorrespondenceTurn(gameData);
+            scheduleFirstMoveAbort(gameId, gameData); // The opponent may still owe a first move
+            saveGameState(gameId, gameData);
+        }
+
         const gameState = gameData.game.getState();
 
         // Send confirmation to the player who made the move
         socket.emit('moveConfirmed', {
             gameState: gameState,
-            gameStatus: result.gameStatus
+            gameStatus: result.gameStatus,
+            clock: gameData.game.getClock(),
+            correspondence: gameData.correspondence
         });
 
         // Send to opponent — look up current ID from gameData each time (not a closure capture)
@@ -506,8 +1512,11 @@ io.on('connection', (socket) => {
         io.to(opponentId).emit('moveMade', {
             gameState: gameState,
             gameStatus: result.gameStatus,
-            moveNum: moveNum
+            moveNum: moveNum,
+            clock: gameData.game.getClock(),
+            correspondence: gameData.correspondence
         });
+        updateSpectators(gameId, gameData);
 
         // Retry logic — re-reads opponent ID from gameData each attempt so reconnections are picked up
         const retryInterval = setInterval(() => {
@@ -528,7 +1537,9 @@ io.on('connection', (socket) => {
             io.to(currentOpponentId).emit('moveMade', {
                 gameState: pending.gameState,
                 gameStatus: pending.gameStatus,
-                moveNum: moveNum
+                moveNum: moveNum,
+                clock: gameData.game.getClock(),
+                correspondence: gameData.correspondence
             });
         }, 2000);
 
@@ -538,8 +1549,8 @@ io.on('connection', (socket) => {
             stopGameTimer(gameId);
 
             // Calculate and update ELO
-            const winner = result.gameStatus.result === 'stalemate' ? 'draw' : result.gameStatus.winner;
-            processGameResult(gameId, gameData, winner).then(eloChanges => {
+            const winner = result.gameStatus.winner || 'draw';
+            processGameResult(gameId, gameData, winner, result.gameStatus.result).then(eloChanges => {
                 if (eloChanges) {
                     // Notify both players of ELO changes
                     io.to(gameData.white).emit('eloUpdate', {
@@ -569,6 +1580,17 @@ io.on('connection', (socket) => {
         const gameData = games.get(gameId);
         if (!gameData) return;
 
+        // Spectators chat among themselves, out of the players' sight
+        if (gameData.spectators?.has(socket.id)) {
+            io.to(spectatorRoom(gameId)).emit('chatMessage', {
+                sender: playerInfo.get(socket.id)?.username || 'Spectator',
+                senderColor: 'spectator',
+                text: text.slice(0, 200),
+                ts: Date.now()
+            });
+            return;
+        }
+
         // Verify sender is a player in this game
         gameData.gameId = gameId;
         const senderColor = resolvePlayerColor(gameData, socket.id);
@@ -584,39 +1606,104 @@ io.on('connection', (socket) => {
             ts: Date.now()
         };
 
-        // Send to both players
+        // Send to both players and the spectators
         io.to(gameData.white).emit('chatMessage', msg);
         io.to(gameData.black).emit('chatMessage', msg);
+        io.to(spectatorRoom(gameId)).emit('chatMessage', msg);
+    });
+
+    // Watch a game in progress (one game at a time)
+    socket.on('spectateGame', ({ gameId }) => {
+        const gameData = games.get(gameId);
+        if (!gameData || gameData.state === 'waiting') {
+            socket.emit('error', { message: 'Game not found' });
+            return;
+        }
+
+        if (gameData.white === socket.id || gameData.black === socket.id) {
+            socket.emit('error', { message: 'You are playing in this game' });
+            return;
+        }
+
+        leaveSpectating();
+        if (!gameData.spectators) gameData.spectators = new Set();
+        gameData.spectators.add(socket.id);
+        spectatorGames.set(socket.id, gameId);
+        socket.join(spectatorRoom(gameId));
+
+        socket.emit('spectating', {
+            gameId,
+            gameState: gameData.game.getState(),
+            players: { white: getPlayerSummary(gameData, 'white'), black: getPlayerSummary(gameData, 'black') },
+            clock: gameData.game.getClock(),
+            correspondence: gameData.correspondence
+        });
+
+        sendSpectatorCount(gameId, gameData);
+        broadcastLobbyUpdate();
+        console.log(`Socket ${socket.id} is watching game ${gameId} (${gameData.spectators.size} watching)`);
+    });
+
+    // Stop watching a game
+    socket.on('leaveSpectating', () => {
+        leaveSpectating();
     });
 
+    // Take this socket out of the game it is watching, if any
+    function leaveSpectating() {
+        const gameId = spectatorGames.get(socket.id);
+        if (!gameId) return;
+
+        spectatorGames.delete(socket.id);
+        socket.leave(spectatorRoom(gameId));
+        const gameData = games.get(gameId);
+        if (gameData?.spectators?.delete(socket.id)) {
+            sendSpectatorCount(gameId, gameData);
+            broadcastLobbyUpdate();
+        }
+    }
+
     // Client requests full state sync (recovery from desync)
-    socket.on('requestSync', ({ gameId }) => {
+    socket.on('requestSync', ({ gameId, color, seatToken }) => {
         const gameData = games.get(gameId);
         if (!gameData || gameData.state === 'finished') return;
 
+        // Spectators may resync too, but never take a seat
+        if (gameData.spectators?.has(socket.id)) {
+            socket.emit('spectatorUpdate', {
+                gameState: gameData.game.getState(),
+                clock: gameData.game.getClock(),
+                correspondence: gameData.correspondence,
+                gameStatus: null
+            });
+            return;
+        }
+
+        // After a restart, the game waits for its players to take their seats again
+        if (gameData.awaiting && gameData.white !== socket.id && gameData.black !== socket.id) {
+            rejoinRestoredGame(gameId, gameData, color, seatToken);
+            return;
+        }
+
         // Check if this socket is a known player, or if it's a reconnected socket with a new ID
         let playerColor;
         if (gameData.white === socket.id) {
             playerColor = 'white';
         } else if (gameData.black === socket.id) {
             playerColor = 'black';
+        } else if (gameData.correspondence) {
+            gameData.gameId = gameId;
+            playerColor = resolvePlayerColor(gameData, socket.id);
+            if (!playerColor) return;
         } else {
-            // Socket ID doesn't match either player - check if either player's socket is dead
-            const whiteSocket = io.sockets.sockets.get(gameData.white);
-            const blackSocket = io.sockets.sockets.get(gameData.black);
-
-            if (!whiteSocket || !whiteSocket.connected) {
-                playerColor = 'white';
-                console.log(`requestSync: updating stale white socket ${gameData.white} -> ${socket.id} for game ${gameId}`);
-                gameData.white = socket.id;
-            } else if (!blackSocket || !blackSocket.connected) {
-                playerColor = 'black';
-                console.log(`requestSync: updating stale black socket ${gameData.black} -> ${socket.id} for game ${gameId}`);
-                gameData.black = socket.id;
-            } else {
+            // Socket ID doesn't match either player - a player whose socket is dead may take their seat back
+            if (!isSeatVacant(gameData, color) || !canTakeSeat(gameData, color, seatToken)) {
                 console.log(`requestSync: unknown socket ${socket.id} for game ${gameId}, ignoring`);
                 return;
             }
+            playerColor = color;
+            console.log(`requestSync: updating stale ${color} socket ${gameData[color]} -> ${socket.id} for game ${gameId}`);
+            gameData[color] = socket.id;
             playerGames.set(socket.id, gameId);
             socket.join(gameId);
         }
@@ -626,30 +1713,21 @@ io.on('connection', (socket) => {
 
         socket.emit('fullSync', {
             gameState: gameState,
-            moveCount: gameData.moveCount || 0
+            moveCount: gameData.moveCount || 0,
+            correspondence: gameData.correspondence
         });
     });
 
-    // Handle timeout notification from client
-    socket.on('timeout', ({ gameId }) => {
+    // Abort a game before we have made our first move
+    socket.on('abortGame', ({ gameId }) => {
         const gameData = games.get(gameId);
+        if (!gameData || (gameData.state !== 'playing' && gameData.state !== 'paused')) return;
 
-        if (!gameData || gameData.state !== 'playing') {
-            return;
-        }
-
-        // Verify timeout on server
-        const timeout = gameData.game.checkTimeout();
-        if (timeout) {
-            gameData.state = 'finished';
-            stopGameTimer(gameId);
+        gameData.gameId = gameId;
+        const playerColor = resolvePlayerColor(gameData, socket.id);
+        if (!playerColor || !gameData.game.canAbort(playerColor)) return;
 
-            gameData.gameId = gameId;
-            const playerColor = resolvePlayerColor(gameData, socket.id) ||
-                (gameData.white === socket.id ? 'white' : 'black');
-            const opponentId = getOpponentId(gameData, playerColor);
-            io.to(opponentId).emit('timeout', timeout);
-        }
+        abortGame(gameId, gameData, `${playerColor.charAt(0).toUpperCase() + playerColor.slice(1)} aborted the game.`);
     });
 
     // Player resigns
@@ -675,7 +1753,7 @@ io.on('connection', (socket) => {
         });
 
         // Calculate and update ELO for resignation
-        processGameResult(gameId, gameData, winner).then(eloChanges => {
+        processGameResult(gameId, gameData, winner, 'resignation').then(eloChanges => {
             if (eloChanges) {
                 io.to(gameData.white).emit('eloUpdate', {
                     change: eloChanges.whiteChange,
@@ -689,21 +1767,239 @@ io.on('connection', (socket) => {
         });
     });
 
+    // Offer a draw to the opponent
+    socket.on('offerDraw', ({ gameId }) => {
+        const gameData = games.get(gameId);
+        if (!gameData || gameData.state !== 'playing') return;
+
+        gameData.gameId = gameId;
+        const playerColor = resolvePlayerColor(gameData, socket.id);
+        if (!playerColor) return;
+
+        // Offering while the opponent's offer is pending is an agreement
+        if (gameData.drawOffer && gameData.drawOffer.from !== playerColor) {
+            finishDrawnGame(gameId, gameData, gameData.game.agreeDraw());
+            return;
+        }
+
+        // Our own offer is still pending
+        if (gameData.drawOffer) return;
+
+        // Only one offer per player per move
+        if (!gameData.lastDrawOffer) gameData.lastDrawOffer = {};
+        const moveCount = gameData.moveCount || 0;
+        if (gameData.lastDrawOffer[playerColor] === moveCount) {
+            socket.emit('drawOfferRejected', { message: 'You can only offer a draw once per move' });
+            return;
+        }
+
+        gameData.drawOffer = { from: playerColor };
+        gameData.lastDrawOffer[playerColor] = moveCount;
+        io.to(getOpponentId(gameData, playerColor)).emit('drawOffered', { from: playerColor });
+        console.log(`Draw offered by ${playerColor} in game ${gameId}`);
+    });
+
+    // Accept the opponent's draw offer
+    socket.on('acceptDraw', ({ gameId }) => {
+        const gameData = games.get(gameId);
+        if (!gameData || gameData.state !== 'playing') return;
+
+        gameData.gameId = gameId;
+        const playerColor = resolvePlayerColor(gameData, socket.id);
+        if (!playerColor || !gameData.drawOffer || gameData.drawOffer.from === playerColor) return;
+
+        finishDrawnGame(gameId, gameData, gameData.game.agreeDraw());
+        console.log(`Draw agreed in game ${gameId}`);
+    });
+
+    // Decline the opponent's draw offer
+    socket.on('declineDraw', ({ gameId }) => {
+        const gameData = games.get(gameId);
+        if (!gameData || gameData.state !== 'playing') return;
+
+        gameData.gameId = gameId;
+        const playerColor = resolvePlayerColor(gameData, socket.id);
+        if (!playerColor || !gameData.drawOffer || gameData.drawOffer.from === playerColor) return;
+
+        gameData.drawOffer = null;
+        io.to(getOpponentId(gameData, playerColor)).emit('drawDeclined');
+    });
+
+    // Claim a draw by threefold repetition or the fifty-move rule
+    socket.on('claimDraw', ({ gameId }) => {
+        const gameData = games.get(gameId);
+        if (!gameData || gameData.state !== 'playing') return;
+
+        gameData.gameId = gameId;
+        const playerColor = resolvePlayerColor(gameData, socket.id);
+        if (!playerColor) return;
+
+        const gameStatus = gameData.game.claimDraw();
+        if (!gameStatus) {
+            socket.emit('drawClaimRejected', { message: 'No draw can be claimed in this position' });
+            return;
+        }
+
+        finishDrawnGame(gameId, gameData, gameStatus);
+        console.log(`Draw claimed by ${playerColor} in game ${gameId} (${gameStatus.result})`);
+    });
+
+    // Ask the opponent to take back our last move
+    socket.on('requestTakeback', ({ gameId }) => {
+        const gameData = games.get(gameId);
+        if (!gameData || gameData.state !== 'playing') return;
+
+        gameData.gameId = gameId;
+        const playerColor = resolvePlayerColor(gameData, socket.id);
+        if (!playerColor || gameData.takebackRequest) return;
+
+        // Undo our last move, plus the opponent's reply if they already answered it
+        const history = gameData.game.moveHistory;
+        const plies = gameData.game.currentTurn === playerColor ? 2 : 1;
+        if (history.length < plies) return;
+
+        gameData.takebackRequest = { from: playerColor, plies };
+        io.to(getOpponentId(gameData, playerColor)).emit('takebackRequested', { from: playerColor });
+        console.log(`Takeback requested by ${playerColor} in game ${gameId}`);
+    });
+
+    // Accept the opponent's takeback request
+    socket.on('acceptTakeback', ({ gameId }) => {
+        const gameData = games.get(gameId);
+        if (!gameData || gameData.state !== 'playing') return;
+
+        gameData.gameId = gameId;
+        const playerColor = resolvePlayerColor(gameData, socket.id);
+        const request = gameData.takebackRequest;
+        if (!playerColor || !request || request.from === playerColor) return;
+
+        gameData.takebackRequest = null;
+        gameData.drawOffer = null;
+        gameData.game.updateTime();
+        gameData.game.takeBack(request.plies);
+
+        // Moves still being retried are now out of date
+        if (gameData.pendingMoves) gameData.pendingMoves.clear();
+
+        if (gameData.correspondence) startCorrespondenceTurn(gameData);
+        scheduleFirstMoveAbort(gameId, gameData);
+        saveGameState(gameId, gameData);
+
+        // Resync both players to the rolled-back position
+        const syncData = {
+            gameState: gameData.game.getState(),
+            moveCount: gameData.moveCount || 0,
+            correspondence: gameData.correspondence
+        };
+        io.to(gameData.white).emit('fullSync', syncData);
+        io.to(gameData.black).emit('fullSync', syncData);
+        updateSpectators(gameId, gameData);
+        io.to(getOpponentId(gameData, playerColor)).emit('takebackAccepted');
+        console.log(`Takeback of ${request.plies} move(s) accepted in game ${gameId}`);
+    });
+
+    // Decline the opponent's takeback request
+    socket.on('declineTakeback', ({ gameId }) => {
+        const gameData = games.get(gameId);
+        if (!gameData || gameData.state !== 'playing') return;
+
+        gameData.gameId = gameId;
+        const playerColor = resolvePlayerColor(gameData, socket.id);
+        const request = gameData.takebackRequest;
+        if (!playerColor || !request || request.from === playerColor) return;
+
+        gameData.takebackRequest = null;
+        io.to(getOpponentId(gameData, playerColor)).emit('takebackDeclined');
+    });
+
+    // Offer the opponent a rematch of a finished live game (samePosition replays its starting position)
+    socket.on('offerRematch', ({ gameId, samePosition }) => {
+        const gameData = games.get(gameId);
+        if (!gameData || gameData.state !== 'finished' || gameData.correspondence) return;
+
+        gameData.gameId = gameId;
+        const playerColor = resolvePlayerColor(gameData, socket.id);
+        if (!playerColor) return;
+
+        const opponentId = getOpponentId(gameData, playerColor);
+        if (gameData.rematchClosed || !io.sockets.sockets.get(opponentId)?.connected) {
+            socket.emit('rematchDeclined', { message: 'Your opponent has left' });
+            return;
+        }
+
+        // Both players want a rematch: the first offer stands
+        if (gameData.rematchOffer && gameData.rematchOffer.color !== playerColor) {
+            startRematch(gameId, gameData);
+            return;
+        }
+
+        gameData.rematchOffer = { color: playerColor, samePosition: !!samePosition };
+        io.to(opponentId).emit('rematchOffered', { samePosition: !!samePosition });
+        console.log(`Rematch offered by ${playerColor} in game ${gameId}`);
+    });
+
+    // Accept the opponent's rematch offer
+    socket.on('acceptRematch', ({ gameId }) => {
+        const gameData = games.get(gameId);
+        if (!gameData || !gameData.rematchOffer) return;
+
+        gameData.gameId = gameId;
+        const playerColor = resolvePlayerColor(gameData, socket.id);
+        if (!playerColor || gameData.rematchOffer.color === playerColor) return;
+
+        if (!io.sockets.sockets.get(getOpponentId(gameData, playerColor))?.connected) {
+            gameData.rematchOffer = null;
+            socket.emit('rematchDeclined', { message: 'Your opponent has left' });
+            return;
+        }
+        startRematch(gameId, gameData);
+    });
+
+    // Decline the opponent's rematch offer, or leave a finished game: no rematch after that
+    socket.on('declineRematch', ({ gameId }) => {
+        const gameData = games.get(gameId);
+        if (!gameData || gameData.state !== 'finished' || gameData.rematchClosed) return;
+
+        gameData.gameId = gameId;
+        const playerColor = resolvePlayerColor(gameData, socket.id);
+        if (!playerColor) return;
+
+        const offeredByOpponent = gameData.rematchOffer && gameData.rematchOffer.color !== playerColor;
+        gameData.rematchOffer = null;
+        gameData.rematchClosed = true;
+        io.to(getOpponentId(gameData, playerColor)).emit('rematchDeclined', {
+            message: offeredByOpponent ? 'Your opponent declined the rematch' : 'Your opponent has left'
+        });
+    });
+
     // Cancel waiting game
     socket.on('cancelGame', ({ gameId }) => {
         const gameData = games.get(gameId);
 
-        if (gameData && gameData.state === 'waiting' && gameData.white === socket.id) {
-            games.delete(gameId);
-            playerGames.delete(socket.id);
+        // Correspondence tables can be cancelled from any of the creator's sockets
+        const info = playerInfo.get(socket.id);
+        const isCreator = gameData && (gameData.white === socket.id ||
+            (gameData.correspondence && info?.userId && info.userId === gameData.creatorUserId));
+
+        if (gameData && gameData.state === 'waiting' && isCreator) {
             socket.leave(gameId);
-            broadcastLobbyUpdate(); // Game removed from lobby
+            removeWaitingTable(gameId, gameData); // Game removed from lobby
             console.log(`Game cancelled: ${gameId}`);
         }
     });
 
+    // Open a correspondence game from the "my games" list
+    socket.on('openGame', ({ gameId }) => {
+        const gameData = games.get(gameId);
+        if (!gameData || !gameData.correspondence || gameData.state !== 'playing') {
+            socket.emit('reconnectError', { message: 'Game not found' });
+            return;
+        }
+        openCorrespondenceGame(gameId, gameData);
+    });
+
     // Handle reconnection to a game
-    socket.on('reconnectGame', ({ gameId }) => {
+    socket.on('reconnectGame', ({ gameId, color, seatToken }) => {
         const gameData = games.get(gameId);
 
         if (!gameData) {
@@ -716,34 +2012,45 @@ io.on('connection', (socket) => {
             return;
         }
 
+        // Correspondence games are never paused; their players can come back at any time
+        if (gameData.correspondence) {
+            if (gameData.state === 'playing') {
+                openCorrespondenceGame(gameId, gameData);
+            } else {
+                socket.emit('reconnectError', { message: 'Game has not started' });
+            }
+            return;
+        }
+
+        // After a restart, the game waits for its players to take their seats again
+        if (gameData.awaiting) {
+            rejoinRestoredGame(gameId, gameData, color, seatToken);
+            return;
+        }
+
+        // Only the player of the seat, proven by account or rejoin token, may take it back
+        if (!canTakeSeat(gameData, color, seatToken)) {
+            socket.emit('reconnectError', { message: 'No disconnected player to replace' });
+            return;
+        }
+
         // Handle fast reconnect - game is still 'playing' but socket ID is stale
         if (gameData.state === 'playing') {
-            // Figure out which player this is by checking localStorage-saved color
-            // The old socket ID is gone, so check if either slot has a dead socket
-            const whiteSocket = io.sockets.sockets.get(gameData.white);
-            const blackSocket = io.sockets.sockets.get(gameData.black);
-
-            let playerColor = null;
-            if (!whiteSocket || !whiteSocket.connected) {
-                playerColor = 'white';
-                gameData.white = socket.id;
-            } else if (!blackSocket || !blackSocket.connected) {
-                playerColor = 'black';
-                gameData.black = socket.id;
-            } else {
-                // Both sockets are still alive - this might be a duplicate tab or stale localStorage
+            if (!isSeatVacant(gameData, color)) {
+                // Our old socket is still alive - this might be a duplicate tab or stale localStorage
                 socket.emit('reconnectError', { message: 'Game already has both players connected' });
                 return;
             }
+            gameData[color] = socket.id;
 
-            console.log(`Fast reconnect: updating ${playerColor} socket to ${socket.id} for game ${gameId}`);
+            console.log(`Fast reconnect: updating ${color} socket to ${socket.id} for game ${gameId}`);
             playerGames.set(socket.id, gameId);
             socket.join(gameId);
 
             const gameState = gameData.game.getState();
             socket.emit('gameReconnected', {
                 gameId,
-                color: playerColor,
+                color,
                 gameState
             });
             return;
@@ -755,8 +2062,8 @@ io.on('connection', (socket) => {
         }
 
         // Determine which player is reconnecting
-        const isWhite = gameData.disconnectedPlayer === 'white';
-        const isBlack = gameData.disconnectedPlayer === 'black';
+        const isWhite = gameData.disconnectedPlayer === 'white' && color === 'white';
+        const isBlack = gameData.disconnectedPlayer === 'black' && color === 'black';
 
         if (!isWhite && !isBlack) {
             socket.emit('reconnectError', { message: 'No disconnected player to replace' });
@@ -805,27 +2112,19 @@ io.on('connection', (socket) => {
     // Handle disconnection
     socket.on('disconnect', () => {
         console.log(`Player disconnected: ${socket.id}`);
+        socketLag.delete(socket.id);
+        leaveSpectating();
+        leaveQueue(socket.id);
 
         const gameId = playerGames.get(socket.id);
         if (gameId) {
             const gameData = games.get(gameId);
 
-            if (gameData) {
+            // Correspondence games carry on without their players
+            if (gameData && !gameData.correspondence) {
                 if (gameData.state === 'waiting') {
                     // Don't delete immediately - give creator time to reconnect
-                    // The registerPlayer handler will reclaim the game on reconnect
-                    gameData.disconnectTimeout = setTimeout(() => {
-                        // If game is still waiting and socket is still dead, delete it
-                        if (gameData.state === 'waiting') {
-                            const currentSocket = io.sockets.sockets.get(gameData.white);
-                            if (!currentSocket || !currentSocket.connected) {
-                                games.delete(gameId);
-                                playerGames.delete(gameData.white);
-                                broadcastLobbyUpdate();
-                                console.log(`Waiting game ${gameId} deleted after creator disconnect timeout`);
-                            }
-                        }
-                    }, 15000); // 15 second grace period for reconnect
+                    scheduleWaitingGameExpiry(gameId, gameData, 15000); // 15 second grace period for reconnect
                 } else if (gameData.state === 'playing') {
                     // Pause the game and allow reconnection
                     stopGameTimer(gameId);
@@ -834,6 +2133,7 @@ io.on('connection', (socket) => {
                     const playerColor = gameData.white === socket.id ? 'white' : 'black';
                     gameData.disconnectedPlayer = playerColor;
                     gameData.state = 'paused';
+                    saveGameState(gameId, gameData);
 
                     const opponentId = playerColor === 'white' ? gameData.black : gameData.white;
                     if (opponentId) {
@@ -845,11 +2145,15 @@ io.on('connection', (socket) => {
 
                     // Set timeout for auto-forfeit (60 seconds)
                     gameData.reconnectTimeout = setTimeout(() => {
-                        if (gameData.state === 'paused') {
+                        if (gameData.state === 'paused' && gameData.game.canAbort(playerColor)) {
+                            // Leaving before a first move costs no rating
+                            abortGame(gameId, gameData, `${playerColor.charAt(0).toUpperCase() + playerColor.slice(1)} left before making a first move. The game was aborted.`);
+                        } else if (gameData.state === 'paused') {
                             gameData.state = 'finished';
                             const winner = playerColor === 'white' ? 'black' : 'white';
                             gameData.game.gameOver = true;
                             gameData.game.winner = winner;
+                            gameData.game.result = 'forfeit';
 
                             if (opponentId) {
                                 io.to(opponentId).emit('opponentForfeit', {
@@ -859,7 +2163,7 @@ io.on('connection', (socket) => {
                             }
 
                             // Calculate and update ELO for forfeit
-                            processGameResult(gameId, gameData, winner).then(eloChanges => {
+                            processGameResult(gameId, gameData, winner, 'forfeit').then(eloChanges => {
                                 if (eloChanges && opponentId) {
                                     const isOpponentWhite = gameData.white !== socket.id;
                                     io.to(opponentId).emit('eloUpdate', {
@@ -874,6 +2178,10 @@ io.on('connection', (socket) => {
                     }, 60000); // 60 second reconnect window
 
                     console.log(`Game ${gameId} paused - waiting for ${playerColor} to reconnect`);
+                } else if (gameData.awaiting) {
+                    // A player who left a restored game before it resumed has to rejoin it too
+                    const playerColor = gameData.white === socket.id ? 'white' : 'black';
+                    if (!gameData.awaiting.includes(playerColor)) gameData.awaiting.push(playerColor);
                 }
             }
 
@@ -901,9 +2209,56 @@ setInterval(() => {
     console.log(`Active games: ${games.size}`);
 }, 30 * 60 * 1000);
 
+// Adjudicate correspondence games whose player to move has run out of days (see adjudicateCorrespondence)
+function adjudicateCorrespondenceGames() {
+    const now = Date.now();
+    for (const [gameId, gameData] of games.entries()) {
+        if (!gameData.correspondence || gameData.state !== 'playing') continue;
+        const verdict = adjudicateCorrespondence(gameData.correspondence, gameData.game, now);
+        if (!verdict) continue;
+
+        const { loser, winner } = verdict;
+        const capitalize = (color) => color.charAt(0).toUpperCase() + color.slice(1);
+        if (verdict.outcome === 'abort') {
+            abortGame(gameId, gameData, `${capitalize(loser)} did not make a first move in time. The game was aborted.`);
+            continue;
+        }
+        gameData.state = 'finished';
+        gameData.game.gameOver = true;
+        gameData.game.winner = winner;
+        gameData.game.result = 'timeout';
+
+        const timeout = {
+            gameOver: true,
+            result: 'timeout',
+            winner,
+            message: `${capitalize(loser)} ran out of days to move! ${capitalize(winner)} wins!`
+        };
+        io.to(gameData.white).emit('timeout', timeout);
+        io.to(gameData.black).emit('timeout', timeout);
+
+        processGameResult(gameId, gameData, winner, 'timeout').then(eloChanges => {
+            if (eloChanges) {
+                io.to(gameData.white).emit('eloUpdate', {
+                    change: eloChanges.whiteChange,
+                    newElo: eloChanges.whiteNewElo
+                });
+                io.to(gameData.black).emit('eloUpdate', {
+                    change: eloChanges.blackChange,
+                    newElo: eloChanges.blackNewElo
+                });
+            }
+        });
+        console.log(`Correspondence game ${gameId} adjudicated: ${loser} ran out of days`);
+    }
+}
+
 // Start server
 async function startServer() {
     await initializeDatabase();
+    await loadActiveGames();
+    setInterval(adjudicateCorrespondenceGames, CORRESPONDENCE_CHECK_INTERVAL);
+    setInterval(matchQueuedPlayers, MATCHMAKING_INTERVAL);
     server.listen(PORT, () => {
         console.log(`Kalas Random Chess server running on port ${PORT}`);
         console.log(`Open http://localhost:${PORT} in your browser`);
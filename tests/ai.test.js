@@ -0,0 +1,125 @@
+// Tests for the Kalas Random Chess AI and starting-position balance scoring
+const { KalasRandomChess } = require('../public/game-logic.js');
+const { ChessAI } = require('../public/ai.js');
+
+describe('ChessAI', () => {
+    let game;
+    let ai;
+
+    beforeEach(() => {
+        game = new KalasRandomChess(10);
+        ai = new ChessAI('medium');
+    });
+
+    describe('evaluatePosition', () => {
+        test('counts material', () => {
+            game.fromFEN('4k3/8/8/8/8/8/8/Q3K3 w - - 0 1');
+            expect(ai.evaluatePosition(game)).toBeGreaterThan(800);
+            game.fromFEN('q3k3/8/8/8/8/8/8/4K3 w - - 0 1');
+            expect(ai.evaluatePosition(game)).toBeLessThan(-800);
+        });
+    });
+
+    describe('castling', () => {
+        test('generates castling moves and undoes them', () => {
+            game = new KalasRandomChess(10, { castling: true });
+            game.fromFEN('r3k2r/pppppppp/8/8/8/8/PPPPPPPP/R3K2R w HAha - 0 1 5');
+            const fen = game.toFEN();
+            const castles = ai.getAllMoves(game, 'white').filter(m => m.from === 4 && (m.to === 0 || m.to === 7));
+            expect(castles.length).toBe(2);
+
+            const undo = ai.makeTemporaryMove(game, 4, 7);
+            expect(game.board[6]).toBe('K');
+            expect(game.board[5]).toBe('R');
+            expect(game.castlingRights.white).toEqual({ kingside: null, queenside: null });
+            undo();
+            expect(game.toFEN()).toBe(fen);
+        });
+    });
+
+    describe('search speed', () => {
+        // Starting positions a few moves in, once captures are allowed
+        function benchmarkPositions() {
+            return ['ABC123', 'K7Q2ZX', 'ZZ9'].map((positionId, index) => {
+                const position = new KalasRandomChess(0);
+                position.generateStartingPosition(positionId);
+                for (let ply = 0; ply < 8; ply++) {
+                    const moves = position.getAllValidMoves();
+                    const move = moves[(ply * 7 + index * 3) % moves.length];
+                    position.makeMove(move.from, move.to);
+                }
+                return position;
+            });
+        }
+
+        // Positions a hard search looks at per second, in the fastest of several rounds
+        function searchSpeed(useBitboards, rounds) {
+            const hard = new ChessAI('hard');
+            let fastest = { nodes: 0, perSecond: 0 };
+            for (let round = 0; round < rounds; round++) {
+                let nodes = 0;
+                let seconds = 0;
+                for (const position of benchmarkPositions()) {
+                    position.useBitboards = useBitboards;
+                    const start = process.hrtime.bigint();
+                    hard.findBestMove(position);
+                    seconds += Number(process.hrtime.bigint() - start) / 1e9;
+                    nodes += hard.positionsEvaluated;
+                }
+                if (nodes / seconds > fastest.perSecond) fastest = { nodes, perSecond: nodes / seconds };
+            }
+            return fastest;
+        }
+
+        test('searches at least ten times as fast as with the board-array generators', () => {
+            const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+            const bitboards = searchSpeed(true, 5);
+            const boardArray = searchSpeed(false, 1);
+            log.mockRestore();
+
+            // The same search, position for position
+            expect(bitboards.nodes).toBe(boardArray.nodes);
+            expect(bitboards.perSecond / boardArray.perSecond).toBeGreaterThanOrEqual(10);
+        }, 120000);
+    });
+
+    describe('evaluateBalance', () => {
+        test('scores a mirrored position as even', () => {
+            game.fromFEN('rnb1kbnr/pp1pp1pp/2p2p2/8/8/2P2P2/PP1PP1PP/RNB1KBNR w - - 0 1');
+            const balance = ai.evaluateBalance(game);
+            expect(balance.score).toBe(0);
+            expect(ChessAI.isBalanced(balance, 150)).toBe(true);
+        });
+
+        test('restores the turn and turn count', () => {
+            game.generateStartingPosition('ABC123');
+            ai.evaluateBalance(game);
+            expect(game.currentTurn).toBe('white');
+            expect(game.turnCount).toBe(1);
+            expect(game.board.filter(p => p !== null).length).toBe(32);
+        });
+
+        test('flags a hanging queen once captures open up', () => {
+            // Black's queen on d4 is attacked by the e3 pawn
+            game.fromFEN('rnb1kbnr/pppppppp/8/8/3q4/4P3/PPPP1PPP/RNBQKBNR w - - 0 1');
+            const balance = ai.evaluateBalance(game);
+            expect(balance.whiteToMove).toBeGreaterThan(500);
+            expect(ChessAI.isBalanced(balance, 150)).toBe(false);
+        });
+
+        test('flags bishops on the same square colour', () => {
+            // White bishops on c1 and e1, both dark squares
+            game.fromFEN('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQBKNR w - - 0 1');
+            const balance = ai.evaluateBalance(game);
+            expect(balance.sameColorBishops.white).toBe(true);
+            expect(ChessAI.isBalanced(balance, 10000)).toBe(false);
+        });
+
+        test('respects a longer capture-free opening', () => {
+            game = new KalasRandomChess(10, { captureFreeTurns: 6 });
+            game.generateStartingPosition('ABC123');
+            expect(() => ai.evaluateBalance(game)).not.toThrow();
+            expect(game.turnCount).toBe(1);
+        });
+    });
+});
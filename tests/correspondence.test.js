@@ -0,0 +1,66 @@
+// Tests for the correspondence game helpers
+const { KalasRandomChess } = require('../public/game-logic.js');
+const { getMoveDeadline, adjudicateCorrespondence, sortMyGames, DAY_MS } = require('../correspondence');
+
+// A correspondence game after the given number of moves
+function gameAfter(moves) {
+    const game = new KalasRandomChess(0);
+    game.generateStartingPosition('ABC123');
+    for (let i = 0; i < moves; i++) {
+        const move = game.getAllValidMoves()[0];
+        game.makeMove(move.from, move.to);
+    }
+    return game;
+}
+
+describe('getMoveDeadline', () => {
+    test('gives the player to move the table\'s days', () => {
+        expect(getMoveDeadline(3, 1000)).toBe(1000 + 3 * DAY_MS);
+    });
+});
+
+describe('adjudicateCorrespondence', () => {
+    const correspondence = { days: 1, deadline: 5000 };
+
+    test('leaves games with time left alone', () => {
+        expect(adjudicateCorrespondence(correspondence, gameAfter(2), 4999)).toBe(null);
+        expect(adjudicateCorrespondence({ days: 1, deadline: null }, gameAfter(2), 5000)).toBe(null);
+    });
+
+    test('the player to move loses once their deadline has passed', () => {
+        expect(adjudicateCorrespondence(correspondence, gameAfter(2), 5000))
+            .toEqual({ outcome: 'timeout', loser: 'white', winner: 'black' });
+        expect(adjudicateCorrespondence(correspondence, gameAfter(3), 6000))
+            .toEqual({ outcome: 'timeout', loser: 'black', winner: 'white' });
+    });
+
+    test('aborts the game if the player who ran out of days never moved', () => {
+        expect(adjudicateCorrespondence(correspondence, gameAfter(0), 5000))
+            .toEqual({ outcome: 'abort', loser: 'white', winner: null });
+        expect(adjudicateCorrespondence(correspondence, gameAfter(1), 5000))
+            .toEqual({ outcome: 'abort', loser: 'black', winner: null });
+    });
+});
+
+describe('sortMyGames', () => {
+    test('lists games awaiting our move, then the opponent\'s, then open tables', () => {
+        const games = [
+            { gameId: 'table', state: 'waiting' },
+            { gameId: 'theirs', state: 'playing', yourMove: false, deadline: 1000 },
+            { gameId: 'ours', state: 'playing', yourMove: true, deadline: 5000 }
+        ];
+        expect(sortMyGames(games).map(g => g.gameId)).toEqual(['ours', 'theirs', 'table']);
+    });
+
+    test('puts the nearest deadline first within each group', () => {
+        const games = [
+            { gameId: 'ours-late', state: 'playing', yourMove: true, deadline: 9000 },
+            { gameId: 'theirs-late', state: 'playing', yourMove: false, deadline: 8000 },
+            { gameId: 'ours-soon', state: 'playing', yourMove: true, deadline: 2000 },
+            { gameId: 'theirs-soon', state: 'playing', yourMove: false, deadline: 3000 },
+            { gameId: 'no-deadline', state: 'playing', yourMove: false, deadline: null }
+        ];
+        expect(sortMyGames(games).map(g => g.gameId))
+            .toEqual(['ours-soon', 'ours-late', 'theirs-soon', 'theirs-late', 'no-deadline']);
+    });
+});
@@ -1,5 +1,5 @@
 // Tests for Kalas Random Chess game logic
-const { KalasRandomChess, PIECES } = require('../public/game-logic.js');
+const { KalasRandomChess, PIECES, DEFAULT_RULES } = require('../public/game-logic.js');
 
 describe('KalasRandomChess', () => {
     let game;
@@ -134,6 +134,223 @@ describe('KalasRandomChess', () => {
         });
     });
 
+    describe('position IDs', () => {
+        test('the same position ID regenerates the same layout', () => {
+            game.generateStartingPosition('K7Q2ZX');
+            const other = new KalasRandomChess(10);
+            other.generateStartingPosition('k7q2zx');
+            expect(other.board).toEqual(game.board);
+            expect(game.positionId).toBe('K7Q2ZX');
+            expect(other.positionId).toBe('K7Q2ZX');
+        });
+
+        test('different position IDs give different layouts', () => {
+            game.generateStartingPosition('1');
+            const other = new KalasRandomChess(10);
+            other.generateStartingPosition('2');
+            expect(other.board).not.toEqual(game.board);
+        });
+
+        test('a random position records an ID that reproduces it', () => {
+            game.generateStartingPosition();
+            const replay = new KalasRandomChess(10);
+            replay.generateStartingPosition(game.positionId);
+            expect(replay.board).toEqual(game.board);
+        });
+
+        test('seeded layouts follow the placement rules', () => {
+            game.generateStartingPosition('ZZZZZZ');
+            expect(game.board.filter(p => p !== null).length).toBe(32);
+            expect(game.board.findIndex(p => p === 'K')).toBeLessThan(8);
+            expect(game.board.findIndex(p => p === 'k')).toBeGreaterThanOrEqual(56);
+        });
+
+        test('normalizePositionId canonicalizes and validates', () => {
+            expect(KalasRandomChess.normalizePositionId(' 00abc ')).toBe('ABC');
+            expect(KalasRandomChess.normalizePositionId('1Z141Z3')).toBe('1Z141Z3'); // 2^32 - 1
+            expect(KalasRandomChess.normalizePositionId('1Z141Z4')).toBe(null); // 2^32
+            expect(KalasRandomChess.normalizePositionId('AB-12')).toBe(null);
+            expect(KalasRandomChess.normalizePositionId('')).toBe(null);
+            expect(KalasRandomChess.normalizePositionId(null)).toBe(null);
+        });
+
+        test('invalid position IDs are rejected', () => {
+            expect(() => game.generateStartingPosition('not valid')).toThrow('Invalid position ID');
+        });
+
+        test('position ID survives getState/loadState', () => {
+            game.generateStartingPosition('ABC123');
+            const restored = new KalasRandomChess(10);
+            restored.loadState(game.getState());
+            expect(restored.positionId).toBe('ABC123');
+        });
+    });
+
+    describe('rules', () => {
+        test('defaults to the standard Kalas rules', () => {
+            expect(game.rules).toEqual(DEFAULT_RULES);
+            expect(KalasRandomChess.isDefaultRules(null)).toBe(true);
+        });
+
+        test('normalizeRules fills in defaults and validates', () => {
+            expect(KalasRandomChess.normalizeRules({ captureFreeTurns: 5 })).toEqual({ ...DEFAULT_RULES, captureFreeTurns: 5 });
+            expect(KalasRandomChess.normalizeRules({ captureFreeTurns: -1 })).toBe(null);
+            expect(KalasRandomChess.normalizeRules({ checkRule: 'sometimes' })).toBe(null);
+            expect(KalasRandomChess.normalizeRules({ pawnRanks: [1, 3] })).toBe(null); // pawns on the back rank
+            expect(KalasRandomChess.normalizeRules({ pawnRanks: [4, 2] })).toBe(null);
+            expect(KalasRandomChess.normalizeRules({ pawnRanks: [2, 2], pieceRanks: [2, 2] })).toBe(null); // no room
+            expect(KalasRandomChess.normalizeRules('fast')).toBe(null);
+            expect(() => new KalasRandomChess(10, { captureFreeTurns: 'many' })).toThrow('Invalid rules');
+        });
+
+        test('a longer capture-free opening delays captures', () => {
+            game = new KalasRandomChess(10, { captureFreeTurns: 5 });
+            game.turnCount = 5;
+            expect(game.areCapturesAllowed()).toBe(false);
+            game.turnCount = 6;
+            expect(game.areCapturesAllowed()).toBe(true);
+        });
+
+        test('a wider pawn zone places pawns on the chosen ranks', () => {
+            game = new KalasRandomChess(10, { pawnRanks: [2, 5] });
+            for (let i = 0; i < 20; i++) {
+                game.generateStartingPosition();
+                expect(game.board.filter(p => p !== null).length).toBe(32);
+                game.board.forEach((p, idx) => {
+                    if (p === 'P') expect(game.getRow(idx)).toBeGreaterThanOrEqual(1);
+                    if (p === 'P') expect(game.getRow(idx)).toBeLessThanOrEqual(4);
+                    if (p === 'p') expect(game.getRow(idx)).toBeGreaterThanOrEqual(3);
+                    if (p === 'p') expect(game.getRow(idx)).toBeLessThanOrEqual(6);
+                });
+            }
+        });
+
+        test('the default rules keep existing position IDs', () => {
+            const custom = new KalasRandomChess(10, { checkRule: 'illegal' });
+            custom.generateStartingPosition('K7Q2ZX');
+            game.generateStartingPosition('K7Q2ZX');
+            expect(custom.board).toEqual(game.board);
+        });
+
+        test('with the illegal check rule, moves into check are not offered', () => {
+            game = new KalasRandomChess(10, { checkRule: 'illegal' });
+            game.board[4] = 'K'; // e1
+            game.board[60] = 'k'; // e8
+            game.board[11] = 'R'; // d2 - pinned
+            game.board[32] = 'b'; // a5
+            game.board[61] = 'r'; // f8
+            const kingMoves = game.getValidMoves(4).map(m => m.to);
+            expect(kingMoves).toContain(12); // e2
+            expect(kingMoves).not.toContain(5); // f1
+            expect(kingMoves).not.toContain(13); // f2
+            expect(game.getValidMoves(11)).toEqual([]);
+            expect(game.makeMove(11, 19).success).toBe(false);
+        });
+
+        test('rules survive getState/loadState', () => {
+            game = new KalasRandomChess(10, { captureFreeTurns: 7, checkRule: 'illegal' });
+            const restored = new KalasRandomChess(10);
+            restored.loadState(game.getState());
+            expect(restored.rules).toEqual(game.rules);
+        });
+    });
+
+    describe('symmetric setups', () => {
+        test('mirrored setups reflect White across the middle of the board', () => {
+            game = new KalasRandomChess(10, { symmetry: 'mirrored' });
+            for (let i = 0; i < 20; i++) {
+                game.generateStartingPosition();
+                expect(game.board.filter(p => p !== null).length).toBe(32);
+                game.board.forEach((p, idx) => {
+                    if (p && game.isWhitePiece(p)) {
+                        expect(game.board[(7 - game.getRow(idx)) * 8 + game.getCol(idx)]).toBe(p.toLowerCase());
+                    }
+                });
+            }
+        });
+
+        test('point-symmetric setups rotate White half a turn', () => {
+            game = new KalasRandomChess(10, { symmetry: 'point' });
+            for (let i = 0; i < 20; i++) {
+                game.generateStartingPosition();
+                expect(game.board.filter(p => p !== null).length).toBe(32);
+                game.board.forEach((p, idx) => {
+                    if (p && game.isWhitePiece(p)) expect(game.board[63 - idx]).toBe(p.toLowerCase());
+                });
+            }
+        });
+
+        test('works with zones that cross the middle of the board', () => {
+            game = new KalasRandomChess(10, { symmetry: 'mirrored', pawnRanks: [2, 7] });
+            for (let i = 0; i < 20; i++) {
+                game.generateStartingPosition();
+                expect(game.board.filter(p => p !== null).length).toBe(32);
+            }
+        });
+
+        test('position IDs regenerate the same symmetric layout', () => {
+            game = new KalasRandomChess(10, { symmetry: 'point' });
+            const other = new KalasRandomChess(10, { symmetry: 'point' });
+            expect(game.generateStartingPosition('K7Q2ZX')).toEqual(other.generateStartingPosition('K7Q2ZX'));
+        });
+
+        test('the mode is validated and recorded in the PGN', () => {
+            expect(KalasRandomChess.normalizeRules({ symmetry: 'diagonal' })).toBe(null);
+            game = new KalasRandomChess(10, { symmetry: 'mirrored' });
+            game.generateStartingPosition('ABC123');
+            const loaded = KalasRandomChess.fromPGN(game.toPGN());
+            expect(loaded.success).toBe(true);
+            expect(loaded.game.rules.symmetry).toBe('mirrored');
+            expect(loaded.game.board).toEqual(game.board);
+        });
+    });
+
+    describe('handicap games', () => {
+        test('the side giving odds starts without the chosen piece', () => {
+            const even = new KalasRandomChess(10);
+            even.generateStartingPosition('K7Q2ZX');
+            game = new KalasRandomChess(10, { handicap: { color: 'white', odds: 'knight' } });
+            game.generateStartingPosition('K7Q2ZX');
+            expect(game.board.filter(p => p === 'N').length).toBe(1);
+            expect(game.board.filter(p => p === 'n').length).toBe(2);
+            expect(game.board.filter(p => p !== null).length).toBe(31);
+            expect(game.board.filter((p, idx) => p !== even.board[idx])).toEqual([null]);
+        });
+
+        test('black can give queen odds', () => {
+            game = new KalasRandomChess(10, { handicap: { color: 'black', odds: 'queen' } });
+            game.generateStartingPosition();
+            expect(game.board).not.toContain('q');
+            expect(game.board).toContain('Q');
+        });
+
+        test('extra time goes to the player receiving the handicap', () => {
+            game = new KalasRandomChess(10, { handicap: { color: 'white', extraTime: 5 } });
+            expect(game.whiteTime).toBe(10 * 60 * 1000);
+            expect(game.blackTime).toBe(15 * 60 * 1000);
+            const untimed = new KalasRandomChess(0, { handicap: { color: 'white', extraTime: 5 } });
+            expect(untimed.blackTime).toBe(0);
+        });
+
+        test('handicap options are validated', () => {
+            expect(KalasRandomChess.normalizeRules({ handicap: { color: 'white', odds: 'king' } })).toBe(null);
+            expect(KalasRandomChess.normalizeRules({ handicap: { color: 'red', odds: 'pawn' } })).toBe(null);
+            expect(KalasRandomChess.normalizeRules({ handicap: { color: 'white', extraTime: -1 } })).toBe(null);
+            expect(KalasRandomChess.normalizeRules({ handicap: { color: 'white' } }).handicap).toBe(null);
+            expect(KalasRandomChess.normalizeRules({ handicap: { color: 'black', odds: 'rook' } }).handicap)
+                .toEqual({ color: 'black', odds: 'rook', extraTime: 0 });
+        });
+
+        test('the handicap is replayed from the PGN', () => {
+            game = new KalasRandomChess(10, { handicap: { color: 'white', odds: 'pawn', extraTime: 2 } });
+            game.generateStartingPosition('ABC123');
+            const loaded = KalasRandomChess.fromPGN(game.toPGN());
+            expect(loaded.success).toBe(true);
+            expect(loaded.game.rules.handicap).toEqual(game.rules.handicap);
+            expect(loaded.game.board).toEqual(game.board);
+        });
+    });
+
     describe('capture restrictions', () => {
         test('captures not allowed on turns 1-3', () => {
             game.turnCount = 1;
@@ -247,6 +464,655 @@ describe('KalasRandomChess', () => {
         });
     });
 
+    describe('promotion', () => {
+        beforeEach(() => {
+            game.board[4] = 'K'; // white king on e1
+            game.board[63] = 'k'; // black king on h8
+            game.board[48] = 'P'; // white pawn on a7
+            game.board[57] = 'n'; // black knight on b8
+            game.currentTurn = 'white';
+            game.turnCount = 4;
+        });
+
+        test('pawn moves to last rank are flagged as promotions', () => {
+            const moves = game.getPawnMoves(48, 'white');
+            expect(moves.find(m => m.to === 56).isPromotion).toBe(true);
+            expect(moves.find(m => m.to === 57).isPromotion).toBe(true);
+        });
+
+        test('defaults to queen when no piece is given', () => {
+            const result = game.makeMove(48, 56);
+            expect(result.success).toBe(true);
+            expect(game.board[56]).toBe('Q');
+            expect(result.move.promotion).toBe('Q');
+        });
+
+        test('underpromotes to the chosen piece', () => {
+            const result = game.makeMove(48, 57, 'n');
+            expect(result.success).toBe(true);
+            expect(game.board[57]).toBe('N');
+            expect(game.moveHistory[0].promotion).toBe('N');
+            expect(game.moveHistory[0].captured).toBe('n');
+        });
+
+        test('uses the mover color regardless of letter case', () => {
+            game.board[48] = null;
+            game.board[8] = 'p'; // black pawn on a2
+            game.currentTurn = 'black';
+            const result = game.makeMove(8, 0, 'R');
+            expect(result.success).toBe(true);
+            expect(game.board[0]).toBe('r');
+        });
+
+        test('rejects invalid promotion pieces', () => {
+            for (const promotion of ['k', 'p', 'x', 'qq']) {
+                const result = game.makeMove(48, 56, promotion);
+                expect(result.success).toBe(false);
+                expect(result.error).toBe('Invalid promotion piece');
+            }
+            expect(game.board[48]).toBe('P');
+            expect(game.currentTurn).toBe('white');
+        });
+    });
+
+    describe('draw rules', () => {
+        test('bare kings are insufficient material', () => {
+            game.board[0] = 'K';
+            game.board[63] = 'k';
+            expect(game.isInsufficientMaterial()).toBe(true);
+        });
+
+        test('a single minor piece is insufficient material', () => {
+            game.board[0] = 'K';
+            game.board[63] = 'k';
+            game.board[20] = 'N';
+            expect(game.isInsufficientMaterial()).toBe(true);
+        });
+
+        test('bishops on the same square color are insufficient material', () => {
+            game.board[0] = 'K';
+            game.board[63] = 'k';
+            game.board[2] = 'B'; // c1 (dark)
+            game.board[61] = 'b'; // f8 (dark)
+            expect(game.isInsufficientMaterial()).toBe(true);
+            game.board[61] = null;
+            game.board[58] = 'b'; // c8 (light)
+            expect(game.isInsufficientMaterial()).toBe(false);
+        });
+
+        test('pawns, rooks and queens are sufficient material', () => {
+            game.board[0] = 'K';
+            game.board[63] = 'k';
+            game.board[20] = 'P';
+            expect(game.isInsufficientMaterial()).toBe(false);
+        });
+
+        test('capturing down to bare kings ends the game as a draw', () => {
+            game.board[0] = 'K';
+            game.board[63] = 'k';
+            game.board[27] = 'N'; // d4
+            game.board[42] = 'p'; // c6
+            game.turnCount = 4;
+            const result = game.makeMove(27, 42); // Nxc6 leaves K+N vs K
+            expect(result.gameStatus.gameOver).toBe(true);
+            expect(result.gameStatus.result).toBe('insufficient-material');
+            expect(result.gameStatus.winner).toBe(null);
+            expect(game.result).toBe('insufficient-material');
+        });
+
+        test('threefold repetition can be claimed', () => {
+            game.board[0] = 'K'; // a1
+            game.board[63] = 'k'; // h8
+            game.board[9] = 'R'; // b2
+            game.board[54] = 'r'; // g7
+            game.turnCount = 4;
+            let result;
+            for (let i = 0; i < 2; i++) {
+                game.makeMove(9, 17); // Rb3
+                game.makeMove(54, 46); // Rg6
+                game.makeMove(17, 9); // Rb2
+                result = game.makeMove(46, 54); // Rg7
+            }
+            expect(game.getRepetitionCount()).toBe(3);
+            expect(result.gameStatus.gameOver).toBe(false);
+            expect(game.canClaimDraw()).toBe('threefold-repetition');
+
+            const claim = game.claimDraw();
+            expect(claim.gameOver).toBe(true);
+            expect(claim.result).toBe('threefold-repetition');
+            expect(claim.winner).toBe(null);
+            expect(game.gameOver).toBe(true);
+        });
+
+        test('fivefold repetition ends the game automatically', () => {
+            game.board[0] = 'K'; // a1
+            game.board[63] = 'k'; // h8
+            game.board[9] = 'R'; // b2
+            game.board[54] = 'r'; // g7
+            game.turnCount = 4;
+            let result;
+            for (let i = 0; i < 4; i++) {
+                game.makeMove(9, 17); // Rb3
+                game.makeMove(54, 46); // Rg6
+                game.makeMove(17, 9); // Rb2
+                result = game.makeMove(46, 54); // Rg7
+            }
+            expect(result.gameStatus.gameOver).toBe(true);
+            expect(result.gameStatus.result).toBe('fivefold-repetition');
+        });
+
+        test('no draw can be claimed without repetition or fifty moves', () => {
+            game.board[0] = 'K';
+            game.board[63] = 'k';
+            game.board[9] = 'R';
+            expect(game.canClaimDraw()).toBe(null);
+            expect(game.claimDraw()).toBe(null);
+            expect(game.gameOver).toBe(false);
+        });
+
+        test('draw by agreement', () => {
+            const result = game.agreeDraw();
+            expect(result.gameOver).toBe(true);
+            expect(result.result).toBe('agreement');
+            expect(result.winner).toBe(null);
+            expect(game.isDrawResult(game.result)).toBe(true);
+        });
+
+        test('halfmove clock resets on pawn moves and captures', () => {
+            game.board[0] = 'K';
+            game.board[63] = 'k';
+            game.board[9] = 'R'; // b2
+            game.board[12] = 'P'; // e2
+            game.board[54] = 'r'; // g7
+            game.turnCount = 4;
+            game.makeMove(9, 17); // Rb3
+            expect(game.halfmoveClock).toBe(1);
+            game.makeMove(54, 46); // Rg6
+            expect(game.halfmoveClock).toBe(2);
+            game.makeMove(12, 20); // e3
+            expect(game.halfmoveClock).toBe(0);
+        });
+
+        test('fifty-move rule can be claimed', () => {
+            game.board[0] = 'K';
+            game.board[63] = 'k';
+            game.board[9] = 'R'; // b2
+            game.board[54] = 'r'; // g7
+            game.turnCount = 4;
+            game.halfmoveClock = 99;
+            const result = game.makeMove(9, 17);
+            expect(result.gameStatus.gameOver).toBe(false);
+            expect(game.canClaimDraw()).toBe('fifty-move-rule');
+        });
+
+        test('seventy-five-move rule ends the game automatically', () => {
+            game.board[0] = 'K';
+            game.board[63] = 'k';
+            game.board[9] = 'R'; // b2
+            game.board[54] = 'r'; // g7
+            game.turnCount = 4;
+            game.halfmoveClock = 149;
+            const result = game.makeMove(9, 17);
+            expect(result.gameStatus.gameOver).toBe(true);
+            expect(result.gameStatus.result).toBe('seventy-five-move-rule');
+        });
+
+        test('draw tracking survives getState/loadState', () => {
+            game.board[0] = 'K';
+            game.board[63] = 'k';
+            game.board[9] = 'R';
+            game.board[54] = 'r';
+            game.turnCount = 4;
+            game.makeMove(9, 17);
+            const restored = new KalasRandomChess(10);
+            restored.loadState(game.getState());
+            expect(restored.halfmoveClock).toBe(1);
+            expect(restored.positionHistory).toEqual(game.positionHistory);
+        });
+    });
+
+    describe('undoMove', () => {
+        beforeEach(() => {
+            game.board[4] = 'K'; // e1
+            game.board[60] = 'k'; // e8
+            game.board[12] = 'P'; // e2
+            game.board[51] = 'p'; // d7
+            game.board[27] = 'p'; // d4
+        });
+
+        test('restores the board, turn and counters', () => {
+            const before = game.getState();
+            game.makeMove(12, 20); // e3
+            game.undoMove();
+            expect(game.board).toEqual(before.board);
+            expect(game.currentTurn).toBe('white');
+            expect(game.turnCount).toBe(1);
+            expect(game.moveNumber).toBe(1);
+            expect(game.moveHistory.length).toBe(0);
+            expect(game.lastMove).toBe(null);
+        });
+
+        test('restores the en passant target and halfmove clock', () => {
+            game.turnCount = 4;
+            game.halfmoveClock = 7;
+            game.makeMove(12, 28); // e4, e3 becomes the en passant target
+            expect(game.enPassantTarget).toBe(20);
+            game.makeMove(27, 20); // dxe3 en passant
+            expect(game.board[28]).toBe(null);
+
+            game.undoMove();
+            expect(game.board[28]).toBe('P');
+            expect(game.board[27]).toBe('p');
+            expect(game.board[20]).toBe(null);
+            expect(game.enPassantTarget).toBe(20);
+            expect(game.currentTurn).toBe('black');
+
+            game.undoMove();
+            expect(game.enPassantTarget).toBe(null);
+            expect(game.halfmoveClock).toBe(7);
+            expect(game.board[12]).toBe('P');
+        });
+
+        test('restores a promoted pawn and the captured piece', () => {
+            game.board[51] = null;
+            game.board[27] = null;
+            game.board[60] = null;
+            game.board[63] = 'k'; // h8
+            game.board[48] = 'P'; // a7
+            game.board[57] = 'r'; // b8
+            game.turnCount = 4;
+            game.makeMove(48, 57, 'n');
+            game.undoMove();
+            expect(game.board[48]).toBe('P');
+            expect(game.board[57]).toBe('r');
+        });
+
+        test('restores the clocks to when the move was made', () => {
+            game.makeMove(12, 20);
+            game.whiteTime = 100000;
+            game.blackTime = 200000;
+            game.makeMove(51, 43);
+            const { whiteTime, blackTime } = game.moveHistory[1];
+            game.whiteTime = 50000;
+            game.undoMove();
+            expect(game.whiteTime).toBe(whiteTime);
+            expect(game.blackTime).toBe(blackTime);
+        });
+
+        test('fails with no moves or after the game ended', () => {
+            expect(game.undoMove().success).toBe(false);
+            game.makeMove(12, 20);
+            game.resign('black');
+            expect(game.undoMove().success).toBe(false);
+        });
+    });
+
+    describe('FEN', () => {
+        test('round-trips a generated starting position', () => {
+            game.generateStartingPosition('K7Q2ZX');
+            const fen = game.toFEN();
+            expect(fen.split(' ').slice(1)).toEqual(['w', '-', '-', '0', '1', '1']);
+
+            const other = new KalasRandomChess(10);
+            expect(other.fromFEN(fen).success).toBe(true);
+            expect(other.board).toEqual(game.board);
+            expect(other.toFEN()).toBe(fen);
+        });
+
+        test('encodes en passant, clocks and the turn count', () => {
+            game.board[4] = 'K'; // e1
+            game.board[60] = 'k'; // e8
+            game.board[12] = 'P'; // e2
+            game.halfmoveClock = 3;
+            game.makeMove(12, 28); // e4
+            expect(game.toFEN()).toBe('4k3/8/8/8/4P3/8/8/4K3 b - e3 0 1 2');
+        });
+
+        test('loads a position and resets the game', () => {
+            game.gameOver = true;
+            game.moveHistory = [{}];
+            const result = game.fromFEN('4k3/8/8/3pP3/8/8/8/4K3 w - d6 5 20 39');
+            expect(result.success).toBe(true);
+            expect(game.board[4]).toBe('K');
+            expect(game.board[35]).toBe('p');
+            expect(game.enPassantTarget).toBe(43);
+            expect(game.halfmoveClock).toBe(5);
+            expect(game.moveNumber).toBe(20);
+            expect(game.turnCount).toBe(39);
+            expect(game.gameOver).toBe(false);
+            expect(game.moveHistory).toEqual([]);
+        });
+
+        test('derives the turn count when it is omitted', () => {
+            game.fromFEN('4k3/8/8/8/8/8/8/4K3 b - - 0 2');
+            expect(game.turnCount).toBe(4);
+            expect(game.areCapturesAllowed()).toBe(true);
+        });
+
+        test('rejects invalid positions without changing the game', () => {
+            game.generateStartingPosition('K7Q2ZX');
+            const fen = game.toFEN();
+            const invalid = [
+                '',
+                '4k3/8/8/8/8/8/8 w - - 0 1',
+                '4k3/8/8/8/8/8/8/4K4 w - - 0 1',
+                '4k3/8/8/8/8/8/8/4X3 w - - 0 1',
+                '4k3/8/8/8/8/8/8/8 w - - 0 1',
+                '4kk2/8/8/8/8/8/8/4K3 w - - 0 1',
+                'P3k3/8/8/8/8/8/8/4K3 w - - 0 1',
+                '4k3/8/8/8/8/8/8/p3K3 w - - 0 1',
+                '4k3/8/8/8/8/8/8/4K3 x - - 0 1',
+                '4k3/8/8/8/8/8/8/4K3 w KQ - 0 1',
+                '4k3/8/8/8/8/8/8/4K3 w - e3 0 1',
+                '4k3/8/8/8/8/8/8/4K3 w - - -1 1',
+                '4k3/8/8/8/8/8/8/4K3 w - - 0 0',
+                '4k3/8/8/8/8/8/8/4K3 w - - 9 2',
+                '4k3/8/8/8/8/8/8/4K3 w - - 0 1 2'
+            ];
+            for (const bad of invalid) {
+                expect(game.fromFEN(bad).success).toBe(false);
+            }
+            expect(game.toFEN()).toBe(fen);
+        });
+    });
+
+    describe('SAN', () => {
+        beforeEach(() => {
+            game.board[4] = 'K'; // e1
+            game.board[60] = 'k'; // e8
+            game.turnCount = 4;
+        });
+
+        test('records SAN on each move', () => {
+            game.board[6] = 'N'; // g1
+            game.board[12] = 'P'; // e2
+            game.makeMove(6, 21); // Nf3
+            expect(game.moveHistory[0].san).toBe('Nf3');
+            game.makeMove(60, 59); // Kd8
+            game.makeMove(12, 28); // e4
+            expect(game.moveHistory.map(m => m.san)).toEqual(['Nf3', 'Kd8', 'e4']);
+        });
+
+        test('disambiguates by file, rank or square', () => {
+            game.board[16] = 'R'; // a3
+            game.board[23] = 'R'; // h3
+            expect(game.getSAN(16, 19)).toBe('Rad3');
+
+            game.board[23] = null;
+            game.board[32] = 'R'; // a5
+            expect(game.getSAN(16, 24)).toBe('R3a4');
+
+            game.board[16] = null;
+            game.board[32] = null;
+            game.board[9] = 'Q'; // b2
+            game.board[11] = 'Q'; // d2
+            game.board[25] = 'Q'; // b4
+            expect(game.getSAN(9, 18)).toBe('Qb2c3');
+        });
+
+        test('marks pawn captures and en passant', () => {
+            game.board[36] = 'P'; // e5
+            game.board[51] = 'p'; // d7
+            game.currentTurn = 'black';
+            game.makeMove(51, 35); // d5
+            game.makeMove(36, 43); // exd6 en passant
+            expect(game.moveHistory[1].san).toBe('exd6');
+        });
+
+        test('marks promotion and check', () => {
+            game.board[60] = null;
+            game.board[63] = 'k'; // h8
+            game.board[55] = 'p'; // h7
+            game.board[48] = 'P'; // a7
+            game.makeMove(48, 56, 'q'); // a8=Q+
+            expect(game.moveHistory[0].san).toBe('a8=Q+');
+        });
+
+        test('marks checkmate', () => {
+            // Black king boxed in on h8, captures not yet allowed
+            game.turnCount = 1;
+            game.board[60] = null;
+            game.board[63] = 'k'; // h8
+            game.board[62] = 'b'; // g8
+            game.board[53] = 'p'; // f7
+            game.board[54] = 'p'; // g7
+            game.board[55] = 'p'; // h7
+            game.board[45] = 'P'; // f6
+            game.board[47] = 'P'; // h6
+            game.board[36] = 'N'; // e5
+            game.makeMove(36, 46); // Ng6#
+            expect(game.result).toBe('checkmate');
+            expect(game.moveHistory[0].san).toBe('Ng6#');
+        });
+
+        test('parses SAN into moves', () => {
+            game.board[16] = 'R'; // a3
+            game.board[23] = 'R'; // h3
+            game.board[12] = 'P'; // e2
+            expect(game.parseSAN('Rad3')).toEqual({ success: true, from: 16, to: 19, promotion: null });
+            expect(game.parseSAN('e4+')).toMatchObject({ from: 12, to: 28 });
+            expect(game.parseSAN('Rd3').success).toBe(false); // ambiguous
+            expect(game.parseSAN('Nf3').success).toBe(false); // no knight
+            expect(game.parseSAN('e5').success).toBe(false);
+            expect(game.parseSAN('hello').success).toBe(false);
+        });
+
+        test('makeSANMove plays a typed move', () => {
+            game.board[48] = 'P'; // a7
+            game.board[57] = 'r'; // b8
+            expect(game.makeSANMove('axb8=N').success).toBe(true);
+            expect(game.board[57]).toBe('N');
+            expect(game.moveHistory[0].san).toBe('axb8=N');
+        });
+    });
+
+    describe('PGN', () => {
+        // Play the first legal non-capturing moves until n moves have been made
+        const playMoves = (n) => {
+            for (let played = 0; played < n; played++) {
+                let moved = false;
+                for (let from = 0; from < 64 && !moved; from++) {
+                    if (game.getPieceColor(game.board[from]) !== game.currentTurn) continue;
+                    const move = game.getValidMoves(from).find(m => !m.isCapture);
+                    if (move) moved = game.makeMove(from, move.to).success;
+                }
+            }
+        };
+
+        test('writes the setup, player and result tags', () => {
+            game.generateStartingPosition('K7Q2ZX');
+            const startFen = game.toFEN();
+            playMoves(3);
+            game.resign('black');
+            const pgn = game.toPGN({ White: 'alice', Black: 'bob', WhiteElo: 1520, BlackElo: 1480 });
+
+            expect(pgn).toContain('[White "alice"]');
+            expect(pgn).toContain('[BlackElo "1480"]');
+            expect(pgn).toContain('[Result "1-0"]');
+            expect(pgn).toContain('[Variant "Kalas Random"]');
+            expect(pgn).toContain(`[FEN "${startFen}"]`);
+            expect(pgn).toContain('[PositionId "K7Q2ZX"]');
+            expect(pgn).toContain('[TimeControl "600"]');
+            expect(pgn).toContain('[Termination "resignation"]');
+            expect(pgn.trim().endsWith('1-0')).toBe(true);
+        });
+
+        test('writes SAN moves with promotions', () => {
+            game.board[4] = 'K'; // e1
+            game.board[63] = 'k'; // h8
+            game.board[48] = 'P'; // a7
+            game.board[57] = 'r'; // b8
+            game.board[55] = 'p'; // h7
+            game.turnCount = 4;
+            game.makeMove(48, 57, 'n');
+            expect(game.toPGN()).toContain('\n1. axb8=N *\n');
+        });
+
+        test('rebuilds the game from its PGN', () => {
+            game.generateStartingPosition('ABC123');
+            playMoves(6);
+            const parsed = KalasRandomChess.fromPGN(game.toPGN({ White: 'alice' }));
+
+            expect(parsed.success).toBe(true);
+            expect(parsed.headers.White).toBe('alice');
+            expect(parsed.game.board).toEqual(game.board);
+            expect(parsed.game.turnCount).toBe(game.turnCount);
+            expect(parsed.game.moveHistory.length).toBe(6);
+            expect(parsed.game.positionId).toBe('ABC123');
+            expect(parsed.game.gameOver).toBe(false);
+        });
+
+        test('reads long algebraic moves', () => {
+            game.generateStartingPosition('ABC123');
+            playMoves(2);
+            const longMoves = game.moveHistory.map(m => game.getMoveNotation(m));
+            const pgn = game.toPGN().replace(/\n\n.*$/s, `\n\n1. ${longMoves[0]} ${longMoves[1]} *\n`);
+            const parsed = KalasRandomChess.fromPGN(pgn);
+            expect(parsed.success).toBe(true);
+            expect(parsed.game.board).toEqual(game.board);
+        });
+
+        test('restores results that happened off the board', () => {
+            game.generateStartingPosition('ABC123');
+            playMoves(2);
+            game.agreeDraw();
+            const parsed = KalasRandomChess.fromPGN(game.toPGN());
+            expect(parsed.game.gameOver).toBe(true);
+            expect(parsed.game.winner).toBe(null);
+            expect(parsed.game.result).toBe('agreement');
+        });
+
+        test('rejects illegal or unreadable moves', () => {
+            game.generateStartingPosition('ABC123');
+            const pgn = game.toPGN();
+            expect(KalasRandomChess.fromPGN(pgn.replace('*\n', '1. Qa1-h8 *\n')).success).toBe(false);
+            expect(KalasRandomChess.fromPGN(pgn.replace('*\n', '1. banana *\n')).success).toBe(false);
+            expect(KalasRandomChess.fromPGN('1. e2-e4 *').success).toBe(false);
+        });
+    });
+
+    describe('castling', () => {
+        const CASTLING_FEN = 'r3k2r/pppppppp/8/8/8/8/PPPPPPPP/R3K2R w HAha - 0 1 5';
+
+        beforeEach(() => {
+            game = new KalasRandomChess(10, { castling: true });
+            game.fromFEN(CASTLING_FEN);
+        });
+
+        test('is off under the standard rules', () => {
+            const standard = new KalasRandomChess(10);
+            standard.generateStartingPosition('ABC123');
+            expect(standard.castlingRights).toEqual(KalasRandomChess.noCastlingRights());
+            expect(standard.fromFEN(CASTLING_FEN).success).toBe(false);
+        });
+
+        test('gives a back-rank king rights with the outermost rook on each side', () => {
+            game.board = new Array(64).fill(null);
+            game.board[1] = 'R'; // b1
+            game.board[2] = 'R'; // c1
+            game.board[5] = 'K'; // f1
+            game.board[7] = 'R'; // h1
+            game.board[60] = 'k'; // e8 (no rooks)
+            expect(game.getInitialCastlingRights()).toEqual({
+                white: { kingside: 7, queenside: 1 },
+                black: { kingside: null, queenside: null }
+            });
+        });
+
+        test('castles by moving the king onto its rook', () => {
+            const result = game.makeMove(4, 7); // e1 onto h1
+            expect(result.success).toBe(true);
+            expect(game.board[6]).toBe('K'); // g1
+            expect(game.board[5]).toBe('R'); // f1
+            expect(game.board[4]).toBeNull();
+            expect(game.board[7]).toBeNull();
+            expect(game.moveHistory[0].san).toBe('O-O');
+            expect(game.moveHistory[0].to).toBe(6);
+            expect(game.castlingRights.white).toEqual({ kingside: null, queenside: null });
+
+            expect(game.makeSANMove('O-O-O').success).toBe(true);
+            expect(game.board[58]).toBe('k'); // c8
+            expect(game.board[59]).toBe('r'); // d8
+        });
+
+        test('replays castling from the squares an online client sends', () => {
+            const server = new KalasRandomChess(10, { castling: true });
+            server.fromFEN(CASTLING_FEN);
+            for (const san of ['O-O', 'O-O-O']) {
+                const result = game.makeSANMove(san);
+                expect(result.success).toBe(true);
+                const { from, to, promotion } = KalasRandomChess.moveInput(result.move);
+                expect(server.makeMove(from, to, promotion).success).toBe(true);
+                expect(server.toFEN()).toBe(game.toFEN());
+            }
+        });
+
+        test('handles a king that starts next to its castled square', () => {
+            game.fromFEN('1r4kr/pppppppp/8/8/8/8/PPPPPPPP/1R4KR w HBhb - 0 1 5');
+            expect(game.makeSANMove('O-O').success).toBe(true);
+            expect(game.board[6]).toBe('K'); // g1 (king did not move)
+            expect(game.board[5]).toBe('R'); // f1
+            expect(game.board[7]).toBeNull();
+            expect(game.makeSANMove('O-O-O').success).toBe(true);
+            expect(game.board[58]).toBe('k'); // c8
+            expect(game.board[59]).toBe('r'); // d8
+            expect(game.board[57]).toBeNull();
+        });
+
+        test('is not allowed through pieces or attacked squares', () => {
+            game.board[5] = 'B'; // f1 blocks kingside
+            expect(game.parseSAN('O-O').success).toBe(false);
+            game.board[5] = null;
+
+            game.board[13] = null; // f2
+            game.board[21] = 'r'; // f3 attacks f1
+            expect(game.parseSAN('O-O').success).toBe(false);
+            expect(game.parseSAN('O-O-O').success).toBe(true);
+        });
+
+        test('is lost once the king or rook moves', () => {
+            game.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w HAha - 0 1 5');
+            game.makeMove(7, 15); // Rh1-h2
+            expect(game.castlingRights.white).toEqual({ kingside: null, queenside: 0 });
+            game.makeMove(60, 52); // Ke8-e7
+            expect(game.castlingRights.black).toEqual({ kingside: null, queenside: null });
+            expect(game.toFEN().split(' ')[2]).toBe('A');
+        });
+
+        test('is lost when the rook is captured', () => {
+            game.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w HAha - 0 1 5');
+            game.makeMove(0, 56); // Ra1xa8
+            expect(game.castlingRights.black.queenside).toBeNull();
+            expect(game.castlingRights.white.queenside).toBeNull();
+        });
+
+        test('undoMove restores the king, rook and rights', () => {
+            game.makeMove(4, 0); // O-O-O
+            expect(game.undoMove().success).toBe(true);
+            expect(game.toFEN()).toBe(CASTLING_FEN);
+        });
+
+        test('round-trips rights through FEN and PGN', () => {
+            game.makeSANMove('O-O');
+            game.makeSANMove('O-O-O');
+            const loaded = KalasRandomChess.fromPGN(game.toPGN());
+            expect(loaded.success).toBe(true);
+            expect(loaded.game.toFEN()).toBe(game.toFEN());
+            expect(loaded.game.moveHistory.map(m => m.san)).toEqual(['O-O', 'O-O-O']);
+        });
+
+        test('rejects castling rights without a matching king and rook', () => {
+            expect(game.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w Gh - 0 1 5').success).toBe(false);
+            expect(game.fromFEN('r3k2r/8/8/8/8/8/4K3/R6R w H - 0 1 5').success).toBe(false);
+            expect(game.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w HH - 0 1 5').success).toBe(false);
+        });
+
+        test('starting positions get rights when the rule is on', () => {
+            game.generateStartingPosition('ABC123');
+            expect(game.castlingRights).toEqual(game.getInitialCastlingRights());
+        });
+    });
+
     describe('check detection', () => {
         test('detects when king is in check', () => {
             game.board[0] = 'K'; // white king on a1
@@ -300,6 +1166,47 @@ describe('KalasRandomChess', () => {
         });
     });
 
+    describe('abort', () => {
+        // Make the first legal non-capturing move of the side to move
+        const playFirstMove = () => {
+            for (let from = 0; from < 64; from++) {
+                if (game.getPieceColor(game.board[from]) !== game.currentTurn) continue;
+                const move = game.getValidMoves(from).find(m => !m.isCapture);
+                if (move && game.makeMove(from, move.to).success) return;
+            }
+        };
+
+        test('either side may abort until they have moved', () => {
+            game.generateStartingPosition();
+            expect(game.canAbort('white')).toBe(true);
+            playFirstMove();
+            expect(game.canAbort('white')).toBe(false);
+            expect(game.canAbort('black')).toBe(true);
+            playFirstMove();
+            expect(game.canAbort('black')).toBe(false);
+        });
+
+        test('a takeback of a first move does not make the game abortable again', () => {
+            game.generateStartingPosition();
+            playFirstMove();
+            game.takeBack(1);
+            expect(game.moveHistory).toHaveLength(0);
+            expect(game.canAbort('white')).toBe(false);
+            expect(game.canAbort('black')).toBe(true);
+
+            const restored = new KalasRandomChess(10);
+            restored.loadState(game.getState());
+            expect(restored.canAbort('white')).toBe(false);
+        });
+
+        test('an aborted game ends without a result', () => {
+            const result = game.abort();
+            expect(result).toMatchObject({ gameOver: true, result: 'aborted', winner: null });
+            expect(game.canAbort('white')).toBe(false);
+            expect(game.getPGNResult()).toBe('*');
+        });
+    });
+
     describe('timer', () => {
         test('untimed games have no timeout', () => {
             const untimedGame = new KalasRandomChess(0);
@@ -314,4 +1221,167 @@ describe('KalasRandomChess', () => {
             expect(game.formatTime(0)).toBe('0:00');
         });
     });
+
+    describe('running clocks', () => {
+        let now;
+
+        // Start a 5-minute game with the given bonus, its clock starting now
+        function startClock(increment, mode) {
+            now = 1000;
+            const timed = new KalasRandomChess({ minutes: 5, increment, mode });
+            timed.generateStartingPosition('ABC123');
+            timed.startTimer();
+            return timed;
+        }
+
+        // White spends the given time on a move
+        function playWhiteMove(timed, ms) {
+            now += ms;
+            const move = timed.getAllValidMoves()[0];
+            expect(timed.makeMove(move.from, move.to).success).toBe(true);
+        }
+
+        beforeEach(() => {
+            jest.spyOn(Date, 'now').mockImplementation(() => now);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('normalizes minutes and { minutes, increment, mode }', () => {
+            expect(KalasRandomChess.normalizeTimeControl(10)).toEqual({ minutes: 10, increment: 0, mode: 'fischer' });
+            expect(KalasRandomChess.normalizeTimeControl({ minutes: 3, increment: 2 }))
+                .toEqual({ minutes: 3, increment: 2, mode: 'fischer' });
+            expect(KalasRandomChess.normalizeTimeControl({ minutes: 0, increment: 5, mode: 'delay' }))
+                .toEqual({ minutes: 0, increment: 0, mode: 'fischer' });
+            expect(KalasRandomChess.normalizeTimeControl(-1)).toBe(null);
+            expect(KalasRandomChess.normalizeTimeControl(2.5)).toBe(null);
+            expect(KalasRandomChess.normalizeTimeControl({ minutes: 180 })).toEqual({ minutes: 180, increment: 0, mode: 'fischer' });
+            expect(KalasRandomChess.normalizeTimeControl({ minutes: 181 })).toBe(null);
+            expect(KalasRandomChess.normalizeTimeControl(Infinity)).toBe(null);
+            expect(KalasRandomChess.normalizeTimeControl({ minutes: 5, increment: 1.5 })).toBe(null);
+            expect(KalasRandomChess.normalizeTimeControl({ minutes: 5, increment: 61 })).toBe(null);
+            expect(KalasRandomChess.normalizeTimeControl({ minutes: 5, mode: 'hourglass' })).toBe(null);
+            expect(() => new KalasRandomChess('5+3')).toThrow('Invalid time control');
+        });
+
+        test('formats time controls', () => {
+            expect(KalasRandomChess.formatTimeControl(0)).toBe('Untimed');
+            expect(KalasRandomChess.formatTimeControl(10)).toBe('10 min');
+            expect(KalasRandomChess.formatTimeControl({ minutes: 5, increment: 3 })).toBe('5+3');
+            expect(KalasRandomChess.formatTimeControl({ minutes: 5, increment: 3, mode: 'delay' })).toBe('5 min, 3s delay');
+            expect(KalasRandomChess.formatTimeControl({ minutes: 5, increment: 3, mode: 'bronstein' }))
+                .toBe('5 min, 3s Bronstein');
+        });
+
+        test('Fischer increment is added after every move', () => {
+            const timed = startClock(3, 'fischer');
+            playWhiteMove(timed, 10000);
+            expect(timed.whiteTime).toBe(300000 - 10000 + 3000);
+            expect(timed.blackTime).toBe(300000);
+        });
+
+        test('Bronstein delay gives back the time used, up to the bonus', () => {
+            const timed = startClock(3, 'bronstein');
+            playWhiteMove(timed, 2000);
+            expect(timed.whiteTime).toBe(300000);
+            timed.undoMove();
+            playWhiteMove(timed, 10000);
+            expect(timed.whiteTime).toBe(300000 - 10000 + 3000);
+        });
+
+        test('simple delay holds the clock at the start of each turn', () => {
+            const timed = startClock(3, 'delay');
+            now += 2000;
+            expect(timed.getTimeRemaining('white')).toBe(300000);
+            now += 2000;
+            expect(timed.getTimeRemaining('white')).toBe(299000);
+            playWhiteMove(timed, 6000);
+            expect(timed.whiteTime).toBe(293000);
+
+            // Black's turn starts with a fresh delay
+            now += 3000;
+            expect(timed.getTimeRemaining('black')).toBe(300000);
+        });
+
+        test('a player whose time has run out gets no bonus', () => {
+            const timed = startClock(3, 'fischer');
+            playWhiteMove(timed, 400000);
+            expect(timed.whiteTime).toBe(0);
+        });
+
+        test('survives getState/loadState and PGN', () => {
+            const timed = startClock(3, 'bronstein');
+            playWhiteMove(timed, 1000);
+            const restored = new KalasRandomChess(10);
+            restored.loadState(timed.getState());
+            expect(restored.getTimeControl()).toEqual({ minutes: 5, increment: 3, mode: 'bronstein' });
+
+            const pgn = timed.toPGN();
+            expect(pgn).toContain('[TimeControl "300"]');
+            expect(pgn).toContain('[KalasClock "bronstein 3"]');
+            expect(KalasRandomChess.fromPGN(pgn).game.getTimeControl()).toEqual(timed.getTimeControl());
+
+            const fischer = new KalasRandomChess({ minutes: 3, increment: 2 });
+            fischer.generateStartingPosition('ABC123');
+            expect(fischer.toPGN()).toContain('[TimeControl "180+2"]');
+            expect(KalasRandomChess.fromPGN(fischer.toPGN()).game.getTimeControl())
+                .toEqual({ minutes: 3, increment: 2, mode: 'fischer' });
+        });
+
+        test('lag compensation gives back transit time, up to the time the turn took', () => {
+            const timed = startClock(0, 'fischer');
+            now += 5000;
+            expect(timed.compensateLag(300)).toBe(300);
+            expect(timed.getTimeRemaining('white')).toBe(295300);
+            expect(timed.compensateLag(10000)).toBe(4700);
+            expect(timed.getTimeRemaining('white')).toBe(300000);
+            expect(new KalasRandomChess(0).compensateLag(300)).toBe(0);
+        });
+
+        test('lag compensation only gives back time the delay did not cover', () => {
+            const timed = startClock(3, 'delay');
+            now += 3200;
+            expect(timed.compensateLag(500)).toBe(200);
+            expect(timed.getTimeRemaining('white')).toBe(300000);
+        });
+
+        test('lag is only given back for a move the server accepts', () => {
+            const timed = startClock(0, 'fischer');
+            now += 5000;
+            for (let i = 0; i < 3; i++) {
+                expect(timed.makeLaggedMove(0, 0, null, 500).success).toBe(false);
+            }
+            expect(timed.getTimeRemaining('white')).toBe(295000);
+
+            const move = timed.getAllValidMoves()[0];
+            const result = timed.makeLaggedMove(move.from, move.to, null, 500);
+            expect(result.success).toBe(true);
+            expect(result.lagCredit).toBe(500);
+            expect(timed.whiteTime).toBe(295500);
+        });
+
+        test('imports clocks Kalas cannot represent rounded or untimed', () => {
+            const untimed = new KalasRandomChess(0);
+            untimed.generateStartingPosition('ABC123');
+            const pgnWith = (tags) => untimed.toPGN().replace('[TimeControl "-"]', tags);
+            const importClock = (tags) => KalasRandomChess.fromPGN(pgnWith(tags)).game.getTimeControl();
+            expect(importClock('[TimeControl "90+2"]')).toEqual({ minutes: 2, increment: 2, mode: 'fischer' });
+            expect(importClock('[TimeControl "20"]')).toEqual({ minutes: 1, increment: 0, mode: 'fischer' });
+            expect(importClock('[TimeControl "14400"]').minutes).toBe(0);
+            expect(importClock('[TimeControl "300+90"]').minutes).toBe(0);
+            expect(KalasRandomChess.fromPGN(pgnWith('[TimeControl "5 min"]')).error).toBe('Invalid TimeControl tag');
+            expect(KalasRandomChess.fromPGN(pgnWith('[TimeControl "300"]\n[KalasClock "hourglass 3"]')).error)
+                .toBe('Invalid KalasClock tag');
+        });
+
+        test('clock readings give the deadline of the running clock', () => {
+            const timed = startClock(3, 'delay');
+            now += 1000;
+            expect(timed.getClock()).toEqual({ whiteTime: 300000, blackTime: 300000, turn: 'white', deadline: 1000 + 1000 + 2000 + 300000 });
+            timed.stopTimer();
+            expect(timed.getClock().deadline).toBe(null);
+        });
+    });
 });
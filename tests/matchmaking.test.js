@@ -0,0 +1,74 @@
+// Tests for the Quick Pair matchmaking rules
+const { getMatchWindow, canPairQueued, findQueuePairs, MATCH_ELO_WINDOW, MATCH_ELO_WINDOW_MAX } = require('../matchmaking');
+
+// A player queued for 5+3 at time 0, registered under their socket ID unless a guest
+function queued(socketId, elo, fields = {}) {
+    const userId = fields.isGuest ? null : socketId;
+    return { socketId, key: '5+3', joinedAt: 0, userId, elo, isGuest: false, allowRegistered: false, ...fields };
+}
+
+describe('matchmaking', () => {
+    test('the rating window widens with waiting time up to a maximum', () => {
+        const entry = queued('a', 1500);
+        expect(getMatchWindow(entry, 0)).toBe(MATCH_ELO_WINDOW);
+        expect(getMatchWindow(entry, 9999)).toBe(MATCH_ELO_WINDOW);
+        expect(getMatchWindow(entry, 10000)).toBe(MATCH_ELO_WINDOW + 50);
+        expect(getMatchWindow(entry, 35000)).toBe(MATCH_ELO_WINDOW + 150);
+        expect(getMatchWindow(entry, 60 * 60 * 1000)).toBe(MATCH_ELO_WINDOW_MAX);
+    });
+
+    test('pairs ratings within both players\' windows', () => {
+        const a = queued('a', 1500);
+        const b = queued('b', 1650);
+        expect(canPairQueued(a, b, 0)).toBe(false);
+        expect(canPairQueued(a, b, 10000)).toBe(true);
+
+        // The newer player's narrower window also counts
+        expect(canPairQueued(a, { ...b, joinedAt: 5000 }, 10000)).toBe(false);
+    });
+
+    test('only pairs players queued for the same time control', () => {
+        expect(canPairQueued(queued('a', 1500), queued('b', 1500, { key: '10 min' }), 0)).toBe(false);
+        expect(canPairQueued(queued('a', 1500), queued('b', 1500), 0)).toBe(true);
+    });
+
+    test('never pairs two sockets of the same account', () => {
+        const tab = queued('a', 1500);
+        const otherTab = queued('a2', 1500, { userId: 'a' });
+        expect(canPairQueued(tab, otherTab, 0)).toBe(false);
+        expect(findQueuePairs([tab, otherTab], 0)).toEqual([]);
+        expect(findQueuePairs([tab, otherTab, queued('b', 1500)], 0).map(([x, y]) => [x.socketId, y.socketId]))
+            .toEqual([['a', 'b']]);
+
+        // Guests have no account to compare
+        const guest = queued('g1', 1500, { isGuest: true });
+        expect(canPairQueued(guest, { ...guest, socketId: 'g2' }, 0)).toBe(true);
+    });
+
+    test('pairs guests with registered players only if the guest opted in', () => {
+        const registered = queued('a', 1500);
+        const guest = queued('b', 1500, { isGuest: true });
+        expect(canPairQueued(registered, guest, 0)).toBe(false);
+        expect(canPairQueued(guest, registered, 0)).toBe(false);
+        expect(canPairQueued(registered, { ...guest, allowRegistered: true }, 0)).toBe(true);
+        expect(canPairQueued({ ...guest, allowRegistered: true }, registered, 0)).toBe(true);
+        expect(canPairQueued(guest, queued('c', 1500, { isGuest: true }), 0)).toBe(true);
+    });
+
+    test('pairs the longest waiting player with the closest rating', () => {
+        const a = queued('a', 1500);
+        const b = queued('b', 1580, { joinedAt: 1000 });
+        const c = queued('c', 1520, { joinedAt: 2000 });
+        const d = queued('d', 1590, { joinedAt: 3000 });
+        const pairs = findQueuePairs([a, b, c, d], 3000);
+        expect(pairs.map(([x, y]) => [x.socketId, y.socketId])).toEqual([['a', 'c'], ['b', 'd']]);
+    });
+
+    test('leaves players unpaired when no one fits', () => {
+        const a = queued('a', 1500);
+        const b = queued('b', 1900);
+        const c = queued('c', 1500, { key: '10 min' });
+        expect(findQueuePairs([a, b, c], 0)).toEqual([]);
+        expect(findQueuePairs([a], 0)).toEqual([]);
+    });
+});
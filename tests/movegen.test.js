@@ -0,0 +1,151 @@
+// Tests that the bitboard move generator matches the original board-array generators
+const { KalasRandomChess, PROMOTION_PIECES } = require('../public/game-logic.js');
+const { ChessAI } = require('../public/ai.js');
+
+// Small seeded generator so the random playouts are the same on every run
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return state / 2147483647;
+    };
+}
+
+const PACKED_MOVES = new Int32Array(512);
+
+// Everything the move generator answers about a position, from one of the two generators
+function describePosition(game, useBitboards) {
+    const originalTurn = game.currentTurn;
+    game.useBitboards = useBitboards;
+    const answers = {};
+    for (const color of ['white', 'black']) {
+        game.currentTurn = color;
+        answers[color] = {
+            moves: Array.from({ length: 64 }, (_, i) => game.getValidMoves(i)),
+            allMoves: game.getAllValidMoves(),
+            packedMoves: Array.from(PACKED_MOVES.subarray(0, game.addValidMoves(PACKED_MOVES, 0))),
+            count: game.countValidMoves(color),
+            hasMoves: game.hasValidMoves(color),
+            inCheck: game.isInCheck(color),
+            attacked: Array.from({ length: 64 }, (_, i) => game.isSquareAttacked(i, color))
+        };
+    }
+    game.currentTurn = originalTurn;
+    game.useBitboards = true;
+    return answers;
+}
+
+function expectSameAnswers(game) {
+    expect(describePosition(game, true)).toEqual(describePosition(game, false));
+}
+
+// Play random moves from the current position, comparing the generators after each one
+function comparePlayout(game, random, plies) {
+    expectSameAnswers(game);
+    for (let ply = 0; ply < plies && !game.gameOver; ply++) {
+        const moves = game.getAllValidMoves();
+        if (moves.length === 0) break;
+        const move = moves[Math.floor(random() * moves.length)];
+        const promotion = PROMOTION_PIECES[Math.floor(random() * PROMOTION_PIECES.length)];
+        expect(game.makeMove(move.from, move.to, promotion).success).toBe(true);
+        expectSameAnswers(game);
+    }
+}
+
+function comparePerft(game, depth) {
+    const fen = game.toFEN();
+    const fast = game.perft(depth);
+    game.useBitboards = false;
+    const slow = game.perft(depth);
+    game.useBitboards = true;
+    expect(fast).toBe(slow);
+    expect(game.toFEN()).toBe(fen);
+    return fast;
+}
+
+describe('bitboard move generation', () => {
+    describe('matches the board-array generators', () => {
+        const ruleSets = [
+            {},
+            { checkRule: 'illegal' },
+            { castling: true },
+            { castling: true, checkRule: 'illegal', symmetry: 'mirrored' },
+            { captureFreeTurns: 0, pawnRanks: [2, 6], pieceRanks: [1, 4] },
+            { symmetry: 'point', kingRanks: [1, 3] }
+        ];
+
+        ruleSets.forEach((rules, index) => {
+            test(`random playouts with rules ${JSON.stringify(rules)}`, () => {
+                const random = seededRandom(index + 1);
+                for (const positionId of ['ABC123', 'K7Q2ZX', 'ZZ9']) {
+                    const game = new KalasRandomChess(0, rules);
+                    game.generateStartingPosition(positionId);
+                    comparePlayout(game, random, 60);
+                }
+            });
+        });
+
+        test('en passant, promotion and check positions', () => {
+            const fens = [
+                '4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 3 9', // En passant available
+                '4k3/8/8/8/2pP4/8/8/4K3 b - d3 0 3 10', // En passant for Black
+                '4k3/8/8/2KpP2r/8/8/8/8 w - d6 0 3 9', // En passant would expose the king
+                'r3k2r/1P6/8/8/8/8/6p1/R3K2R w - - 0 30 59', // Promotions with and without capture
+                '4k3/8/8/8/1b6/8/3P4/4K3 w - - 0 10 19', // White in check from the bishop
+                'Q3k3/8/8/8/8/8/8/4K2q w - - 0 40 79' // Both kings attacked
+            ];
+            for (const fen of fens) {
+                for (const checkRule of ['loses', 'illegal']) {
+                    const game = new KalasRandomChess(0, { checkRule });
+                    expect(game.fromFEN(fen).success).toBe(true);
+                    expectSameAnswers(game);
+                }
+            }
+        });
+
+        test('capture-free opening turns', () => {
+            const game = new KalasRandomChess(0);
+            expect(game.fromFEN('4k3/8/8/3pP3/3Q4/8/8/4K3 w - d6 0 1 1').success).toBe(true);
+            expectSameAnswers(game);
+            expect(game.getValidMoves(27).some(m => m.isCapture)).toBe(false);
+        });
+    });
+
+    describe('perft comparison', () => {
+        test('seeded starting positions', () => {
+            for (const positionId of ['ABC123', 'HELLO']) {
+                const game = new KalasRandomChess(0);
+                game.generateStartingPosition(positionId);
+                game.turnCount = 5; // Past the capture-free turns
+                expect(comparePerft(game, 2)).toBeGreaterThan(0);
+            }
+        });
+
+        test('castling and left-in-check rules', () => {
+            const game = new KalasRandomChess(0, { castling: true, checkRule: 'illegal' });
+            expect(game.fromFEN('r3k2r/pppq1ppp/2n2n2/3pp3/3PP3/2N2N2/PPPQ1PPP/R3K2R w HAha - 0 8 15').success).toBe(true);
+            expect(game.getAllValidMoves().filter(m => m.isCastling)).toHaveLength(2);
+            expect(comparePerft(game, 2)).toBeGreaterThan(0);
+        });
+
+        test('en passant and promotion', () => {
+            const game = new KalasRandomChess(0);
+            expect(game.fromFEN('4k3/1P6/8/3pP3/8/8/6p1/4K3 w - d6 0 20 39').success).toBe(true);
+            expect(comparePerft(game, 3)).toBeGreaterThan(0);
+        });
+    });
+
+    test('the AI searches the same tree with either generator', () => {
+        const game = new KalasRandomChess(0);
+        game.generateStartingPosition('QWERTY');
+        game.turnCount = 5;
+        const search = () => {
+            const ai = new ChessAI('medium');
+            const score = ai.withSearchBitboards(game, () => ai.minimax(game, 3, -Infinity, Infinity, true));
+            return { score, positions: ai.positionsEvaluated };
+        };
+        const fast = search();
+        game.useBitboards = false;
+        expect(search()).toEqual(fast);
+    });
+});
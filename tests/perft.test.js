@@ -0,0 +1,60 @@
+// Perft node counts for a corpus of seeded and hand-set positions
+// Any change to move generation or the rules that end a game changes some count here; if the
+// change is intended, check the new counts by hand before updating perft-corpus.json
+const { KalasRandomChess } = require('../public/game-logic.js');
+require('../public/variants.js');
+const corpus = require('./perft-corpus.json');
+
+function loadPosition(entry) {
+    const game = new KalasRandomChess(0, entry.rules || {});
+    if (entry.fen) {
+        expect(game.fromFEN(entry.fen).success).toBe(true);
+    } else {
+        game.generateStartingPosition(entry.positionId);
+    }
+    return game;
+}
+
+describe('perft', () => {
+    describe('corpus', () => {
+        test.each(corpus.map(entry => [`${entry.name}: ${entry.positionId || entry.fen}`, entry]))('%s', (_, entry) => {
+            const game = loadPosition(entry);
+            const nodes = entry.nodes.map((_, i) => game.perft(i + 1));
+            expect(nodes).toEqual(entry.nodes);
+        });
+    });
+
+    test('depth 0 is the position itself and a finished game has no moves', () => {
+        const game = new KalasRandomChess(0);
+        game.generateStartingPosition('ABC123');
+        expect(game.perft(0)).toBe(1);
+        game.gameOver = true;
+        expect(game.perft(2)).toBe(0);
+    });
+
+    test('leaves the game as it found it', () => {
+        const game = new KalasRandomChess(5, { castling: true });
+        game.generateStartingPosition('CASTLE');
+        const [move] = game.getAllValidMoves();
+        game.makeMove(move.from, move.to);
+        const fen = game.toFEN();
+        const state = JSON.stringify(game.getState());
+        game.perft(3);
+        expect(game.toFEN()).toBe(fen);
+        expect(JSON.stringify(game.getState())).toBe(state);
+    });
+
+    test('counts a move that ends the game as one sequence', () => {
+        // The rook checks White's king: Kb1 stays in check, while Ka2 and Kb2 each leave Black
+        // 17 replies (3 king moves, 14 rook moves)
+        const fen = 'k7/8/8/8/8/8/8/K6r w - - 0 10 19';
+        const game = new KalasRandomChess(0);
+        expect(game.fromFEN(fen).success).toBe(true);
+        expect(game.perft(1)).toBe(3);
+        expect(game.perft(2)).toBe(1 + 17 + 17);
+
+        const strict = new KalasRandomChess(0, { checkRule: 'illegal' });
+        expect(strict.fromFEN(fen).success).toBe(true);
+        expect(strict.perft(2)).toBe(17 + 17);
+    });
+});
@@ -0,0 +1,117 @@
+// Tests for saving live games and restoring them after a restart
+const { KalasRandomChess } = require('../public/game-logic.js');
+const { createSeatToken, nextStateVersion, getSavedState, restoreGameData, getRestoredGameExpiry } = require('../restore');
+
+// A live game in play after the given number of moves, as the server keeps it
+function liveGame(moves) {
+    const game = new KalasRandomChess({ minutes: 5, increment: 3 });
+    game.generateStartingPosition('ABC123');
+    for (let i = 0; i < moves; i++) {
+        const move = game.getAllValidMoves()[0];
+        game.makeMove(move.from, move.to);
+    }
+    return { game, state: 'playing', seatTokens: { white: createSeatToken(), black: createSeatToken() } };
+}
+
+// The games row a save leaves behind, joined with its players
+function savedRow(gameData, fields = {}) {
+    return {
+        id: 'GAME42',
+        status: gameData.state,
+        state: JSON.parse(JSON.stringify(getSavedState(gameData))),
+        state_version: gameData.stateVersion ?? 1,
+        correspondence_days: null,
+        move_deadline: null,
+        balance_score: 20,
+        created_at: new Date(1000).toISOString(),
+        private: false,
+        creator_color: null,
+        white_id: 7, white_username: 'alice', white_elo: 1600,
+        black_id: null, black_username: null, black_elo: null,
+        ...fields
+    };
+}
+
+describe('restore', () => {
+    test('seat tokens are long random secrets', () => {
+        const token = createSeatToken();
+        expect(token).toMatch(/^[0-9a-f]{32}$/);
+        expect(createSeatToken()).not.toBe(token);
+    });
+
+    test('a restored live game has its position, clock, seat tokens and players', () => {
+        const original = liveGame(3);
+        const restored = restoreGameData(savedRow(original));
+
+        expect(restored.game.toFEN()).toBe(original.game.toFEN());
+        expect(restored.timeControl).toEqual({ minutes: 5, increment: 3, mode: 'fischer' });
+        expect(restored.moveCount).toBe(3);
+        expect(restored.seatTokens).toEqual(original.seatTokens);
+        expect(restored.players).toEqual({ white: { userId: 7, username: 'alice', elo: 1600 }, black: null });
+        expect(restored.createdAt).toBe(1000);
+    });
+
+    test('seat tokens are saved with the game but never part of the state sent to players', () => {
+        const gameData = liveGame(1);
+        expect(getSavedState(gameData).seatTokens).toEqual(gameData.seatTokens);
+        expect(gameData.game.getState().seatTokens).toBeUndefined();
+    });
+
+    test('live games wait paused for both players, correspondence games carry on', () => {
+        const live = restoreGameData(savedRow(liveGame(2)));
+        expect(live.state).toBe('paused');
+        expect(live.awaiting).toEqual(['white', 'black']);
+
+        const correspondence = restoreGameData(savedRow(liveGame(2), { correspondence_days: 3, move_deadline: new Date(5000) }));
+        expect(correspondence.state).toBe('playing');
+        expect(correspondence.awaiting).toBeUndefined();
+        expect(correspondence.correspondence).toEqual({ days: 3, deadline: 5000 });
+    });
+
+    test('a waiting table comes back waiting for its creator', () => {
+        const table = liveGame(0);
+        table.state = 'waiting';
+        const restored = restoreGameData(savedRow(table));
+        expect(restored.state).toBe('waiting');
+        expect(restored.creatorUserId).toBe(7);
+        expect(restored.players).toBe(null);
+    });
+
+    test('saves of a restored game are numbered after the version it was saved with', () => {
+        const gameData = liveGame(1);
+        expect(nextStateVersion(gameData)).toBe(1);
+        expect(nextStateVersion(gameData)).toBe(2);
+
+        const restored = restoreGameData(savedRow(gameData));
+        expect(restored.stateVersion).toBe(2);
+        expect(nextStateVersion(restored)).toBe(3);
+    });
+
+    describe('getRestoredGameExpiry', () => {
+        const restoredAfter = (moves, awaiting) => ({ ...restoreGameData(savedRow(liveGame(moves))), awaiting });
+
+        test('a game neither player came back to is abandoned', () => {
+            expect(getRestoredGameExpiry(restoredAfter(4, ['white', 'black'])))
+                .toEqual({ outcome: 'abandoned', winner: null, absent: null });
+        });
+
+        test('the player who came back wins by forfeit', () => {
+            expect(getRestoredGameExpiry(restoredAfter(4, ['black'])))
+                .toEqual({ outcome: 'forfeit', winner: 'white', absent: 'black' });
+            expect(getRestoredGameExpiry(restoredAfter(4, ['white'])))
+                .toEqual({ outcome: 'forfeit', winner: 'black', absent: 'white' });
+        });
+
+        test('a game whose absent player never moved is aborted', () => {
+            expect(getRestoredGameExpiry(restoredAfter(1, ['black'])))
+                .toEqual({ outcome: 'abort', winner: null, absent: 'black' });
+        });
+
+        test('a game that resumed or ended is left alone', () => {
+            expect(getRestoredGameExpiry({ ...restoredAfter(4, ['black']), state: 'playing' })).toBe(null);
+            const resumed = restoredAfter(4, ['black']);
+            delete resumed.awaiting;
+            expect(getRestoredGameExpiry(resumed)).toBe(null);
+        });
+    });
+});
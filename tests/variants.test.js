@@ -0,0 +1,118 @@
+// Tests for the rule variant hooks and the built-in variants
+const { KalasRandomChess } = require('../public/game-logic.js');
+const { ChessAI } = require('../public/ai.js');
+require('../public/variants.js');
+
+describe('variants', () => {
+    describe('registry', () => {
+        test('built-in variants are registered by name', () => {
+            const names = KalasRandomChess.getVariants().map(v => v.name);
+            expect(names).toContain('king-of-the-hill');
+            expect(names).toContain('three-check');
+        });
+
+        test('rules only accept registered variants', () => {
+            expect(KalasRandomChess.normalizeRules({ variant: 'three-check' }).variant).toBe('three-check');
+            expect(KalasRandomChess.normalizeRules({}).variant).toBe('standard');
+            expect(KalasRandomChess.normalizeRules({ variant: 'no-such-variant' })).toBe(null);
+            expect(() => KalasRandomChess.registerVariant('Bad Name', {})).toThrow('Invalid variant name');
+        });
+
+        test('a variant can restrict moves through getValidMoves', () => {
+            KalasRandomChess.registerVariant('test-rooks-only-sideways', {
+                label: 'Test',
+                description: 'Rooks only move along ranks',
+                getValidMoves: (game, fromIndex, moves) => (game.board[fromIndex].toLowerCase() === 'r'
+                    ? moves.filter(m => game.getRow(m.to) === game.getRow(fromIndex))
+                    : moves)
+            });
+            const game = new KalasRandomChess(10, { variant: 'test-rooks-only-sideways' });
+            game.fromFEN('4k3/8/8/8/8/8/8/R3K3 w - - 0 1');
+            expect(game.getValidMoves(0).map(m => m.to)).toEqual([1, 2, 3]);
+            expect(game.makeMove(0, 8).success).toBe(false);
+        });
+    });
+
+    describe('King of the Hill', () => {
+        let game;
+
+        beforeEach(() => {
+            game = new KalasRandomChess(10, { variant: 'king-of-the-hill' });
+        });
+
+        test('reaching a centre square wins', () => {
+            game.fromFEN('4k3/p7/8/8/8/4K3/P7/8 w - - 0 1');
+            const result = game.makeMove(20, 28); // Ke3-e4
+            expect(result.gameStatus.gameOver).toBe(true);
+            expect(result.gameStatus.result).toBe('king-of-the-hill');
+            expect(game.winner).toBe('white');
+        });
+
+        test('other king moves play on', () => {
+            game.fromFEN('4k3/p7/8/8/8/4K3/P7/8 w - - 0 1');
+            expect(game.makeMove(20, 19).gameStatus.gameOver).toBe(false); // Ke3-d3
+        });
+
+        test('the AI walks onto the hill', () => {
+            game.fromFEN('4k3/pppppppp/8/8/8/4K3/8/8 w - - 0 1 5');
+            const ai = new ChessAI('hard');
+            const move = ai.findBestMove(game);
+            expect([27, 28]).toContain(move.to);
+        });
+
+        test('the PGN records the variant', () => {
+            game.generateStartingPosition('ABC123');
+            const pgn = game.toPGN();
+            expect(pgn).toContain('[Variant "Kalas Random King of the Hill"]');
+            expect(KalasRandomChess.fromPGN(pgn).game.rules.variant).toBe('king-of-the-hill');
+        });
+    });
+
+    describe('Three-Check', () => {
+        let game;
+
+        beforeEach(() => {
+            game = new KalasRandomChess(10, { variant: 'three-check' });
+            // The rook checks the king from d3 and e3 as it steps between d8 and e8
+            game.fromFEN('4k3/8/8/8/8/8/8/R3K3 w - - 0 1 5');
+        });
+
+        test('counts checks and undoes them', () => {
+            game.makeMove(0, 16); // Ra3
+            game.makeMove(60, 59); // Kd8
+            game.makeMove(16, 19); // Rd3+
+            expect(game.variantState.checks).toEqual({ white: 1, black: 0 });
+            game.undoMove();
+            expect(game.variantState.checks).toEqual({ white: 0, black: 0 });
+        });
+
+        test('the third check wins', () => {
+            game.makeMove(0, 16); // Ra3
+            game.makeMove(60, 59); // Kd8
+            game.makeMove(16, 19); // Rd3+ (1)
+            game.makeMove(59, 60); // Ke8
+            game.makeMove(19, 20); // Re3+ (2)
+            game.makeMove(60, 59); // Kd8
+            const result = game.makeMove(20, 19); // Rd3+ (3)
+            expect(result.gameStatus.result).toBe('three-check');
+            expect(game.winner).toBe('white');
+        });
+
+        test('check counts survive getState/loadState and PGN replay', () => {
+            game.makeMove(0, 16); // Ra3
+            game.makeMove(60, 59); // Kd8
+            game.makeMove(16, 19); // Rd3+
+            const restored = new KalasRandomChess(10);
+            restored.loadState(game.getState());
+            expect(restored.variantState.checks.white).toBe(1);
+            expect(KalasRandomChess.fromPGN(game.toPGN()).game.variantState.checks.white).toBe(1);
+        });
+
+        test('the AI search keeps the counts unchanged', () => {
+            const ai = new ChessAI('medium');
+            ai.findBestMove(game);
+            expect(game.variantState.checks).toEqual({ white: 0, black: 0 });
+            expect(game.toFEN()).toBe('4k3/8/8/8/8/8/8/R3K3 w - - 0 1 5');
+        });
+    });
+});